@@ -4,6 +4,7 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cookieParser = require('cookie-parser');
 const connectDB = require('./config/db');
+const storage = require('./services/storage');
 
 // Security middleware
 const { setupSecurity } = require('./middlewares/security');
@@ -24,6 +25,17 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser());
 
+// Uploaded files, when they are kept on the local disk
+if (storage.getDriver().name === 'local') {
+  const { LOCAL_UPLOAD_DIR } = storage.drivers.local;
+  app.use('/uploads', express.static(LOCAL_UPLOAD_DIR, {
+    immutable: true,
+    maxAge: '365d',
+    index: false,
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  }));
+}
+
 // API Documentation (Swagger)
 const { swaggerSpec, swaggerUi } = require('./config/swagger');
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec, {
@@ -63,6 +75,14 @@ app.use('/api/v1/products', require('./routes/productRoute'));
 app.use('/api/v1/engineers', require('./routes/engineerRoutes'));
 app.use('/api/v1/shops', require('./routes/shopRoutes'));
 app.use('/api/v1/ads', require('./routes/adsRoutes'));
+app.use('/api/v1/uploads', require('./routes/uploadRoutes'));
+app.use('/api/v1/favorites', require('./routes/favoriteRoutes'));
+app.use('/api/v1/saved-searches', require('./routes/savedSearchRoutes'));
+app.use('/api/v1/notifications', require('./routes/notificationRoutes'));
+app.use('/api/v1/admin/users', require('./routes/adminUserRoutes'));
+app.use('/api/v1/admin/audit-logs', require('./routes/auditLogRoutes'));
+app.use('/api/v1/admin/api-keys', require('./routes/apiKeyRoutes'));
+app.use('/api/v1/admin/exchange-rates', require('./routes/exchangeRateRoutes'));
 app.use('/api/v1/admin', require('./routes/adminApprovalRoutes'));
 app.use('/api/v1/admin/stats', require('./routes/adminStatsRoute'));
 app.use('/api/v1/marketplace', require('./routes/userRoutes'));
@@ -84,6 +104,15 @@ const server = app.listen(PORT, () => {
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
 });
 
+// Background jobs
+const { startAccountPurgeJob } = require('./jobs/accountPurge');
+const { startSavedSearchAlertJob } = require('./jobs/savedSearchAlerts');
+const { startListingStatsJob } = require('./jobs/listingStats');
+const { flushApiKeyUsage } = require('./middlewares/apiKey');
+startAccountPurgeJob();
+startSavedSearchAlertJob();
+startListingStatsJob();
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err, promise) => {
   console.log('Unhandled Rejection at:', promise, 'reason:', err);
@@ -102,7 +131,9 @@ process.on('uncaughtException', (err) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('👋 SIGTERM RECEIVED. Shutting down gracefully');
-  server.close(() => {
+  server.close(async () => {
+    // Write API key usage still batched in memory
+    await flushApiKeyUsage();
     console.log('💥 Process terminated!');
   });
 });
@@ -40,6 +40,12 @@ const swaggerDefinition = {
         in: 'cookie',
         name: 'jwt',
         description: 'JWT token stored in cookie'
+      },
+      apiKeyAuth: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-API-Key',
+        description: 'Partner API key (qfz_...), issued by a super admin with scopes such as products:write'
       }
     },
     schemas: {
@@ -68,7 +74,7 @@ const swaggerDefinition = {
         required: ['phone', 'otp'],
         properties: {
           phone: { type: 'string', example: '+967777123456' },
-          otp: { type: 'string', example: '112233' }
+          otp: { type: 'string', example: '483920' }
         }
       },
       UserProfileUpdate: {
@@ -80,6 +86,25 @@ const swaggerDefinition = {
       },
 
       // Product schemas
+      ProductSpecifications: {
+        type: 'object',
+        description: 'Typed specifications; only the fields of the product type are accepted. ' +
+          'Panel: watts, cellType, efficiency. Inverter: kva, phase, mppt, mode. ' +
+          'Battery: ah, voltage, chemistry, cycles. Other types have none.',
+        properties: {
+          watts: { type: 'number', minimum: 1, maximum: 1000, example: 550, description: 'Panel rated power (W)' },
+          cellType: { type: 'string', enum: ['monocrystalline', 'polycrystalline', 'thin_film'], description: 'Panel cell type' },
+          efficiency: { type: 'number', minimum: 1, maximum: 30, example: 21.3, description: 'Panel efficiency (%)' },
+          kva: { type: 'number', minimum: 0.1, maximum: 1000, example: 5, description: 'Inverter rated power (kVA)' },
+          phase: { type: 'string', enum: ['single', 'three'], description: 'Inverter output phase' },
+          mppt: { type: 'integer', minimum: 0, maximum: 20, example: 2, description: 'Inverter MPPT tracker count' },
+          mode: { type: 'string', enum: ['hybrid', 'off_grid', 'on_grid'], description: 'Inverter operating mode' },
+          ah: { type: 'number', minimum: 1, maximum: 5000, example: 200, description: 'Battery capacity (Ah)' },
+          voltage: { type: 'number', minimum: 1, maximum: 1000, example: 12, description: 'Battery nominal voltage (V)' },
+          chemistry: { type: 'string', enum: ['lifepo4', 'lithium_ion', 'lead_acid', 'gel', 'agm'], description: 'Battery chemistry' },
+          cycles: { type: 'integer', minimum: 1, maximum: 20000, example: 6000, description: 'Battery rated cycle life' }
+        }
+      },
       Product: {
         type: 'object',
         properties: {
@@ -102,17 +127,10 @@ const swaggerDefinition = {
             items: { type: 'string', format: 'url' },
             example: ['https://example.com/image1.jpg', 'https://example.com/image2.jpg']
           },
-          specifications: {
-            type: 'object',
-            properties: {
-              power: { type: 'string', example: '100W' },
-              voltage: { type: 'string', example: '12V' },
-              capacity: { type: 'string', example: '100Ah' },
-              warranty: { type: 'string', example: '2 years' }
-            }
-          },
+          specifications: { $ref: '#/components/schemas/ProductSpecifications' },
           status: { type: 'string', enum: ['pending', 'approved', 'rejected', 'sold', 'inactive'] },
-          views: { type: 'number', example: 25 },
+          viewCount: { type: 'number', example: 25, description: 'Views, counted once per viewer per day' },
+          contactCount: { type: 'number', example: 4, description: 'Phone reveals and WhatsApp taps, counted once per viewer per day' },
           isNegotiable: { type: 'boolean', example: true },
           featured: { type: 'boolean', example: false },
           createdAt: { type: 'string', format: 'date-time' },
@@ -141,15 +159,7 @@ const swaggerDefinition = {
             items: { type: 'string', format: 'url' },
             example: ['https://example.com/image1.jpg']
           },
-          specifications: {
-            type: 'object',
-            properties: {
-              power: { type: 'string', example: '100W' },
-              voltage: { type: 'string', example: '12V' },
-              capacity: { type: 'string', example: '100Ah' },
-              warranty: { type: 'string', example: '2 years' }
-            }
-          },
+          specifications: { $ref: '#/components/schemas/ProductSpecifications' },
           isNegotiable: { type: 'boolean', example: true }
         }
       },
@@ -39,7 +39,7 @@ const updateProductStatus = async (req, res) => {
 
         const product = await Product.findByIdAndUpdate(
             id,
-            { status },
+            { status, approvedBy: req.user._id, approvedAt: new Date() },
             { new: true }
         );
 
@@ -1,8 +1,24 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const Admin = require('../models/admin');
+const AdminInvite = require('../models/adminInvite');
+const totp = require('../utils/totp');
+const mailService = require('../services/mail');
+const logger = require('../utils/logger');
+const { escapeRegex } = require('../utils/regex');
 const { AppError } = require('../middlewares/errorHandler');
 const { catchAsync } = require('../middlewares/errorHandler');
 const { createSendToken } = require('../middlewares/auth');
 
+const TWO_FACTOR_CHALLENGE_PURPOSE = 'admin_2fa';
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = '5m';
+
+// Short-lived token proving the password step passed; only accepted by /login/2fa
+const signTwoFactorChallenge = (adminId) =>
+  jwt.sign({ id: adminId, purpose: TWO_FACTOR_CHALLENGE_PURPOSE }, process.env.SECRET_KEY, {
+    expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN
+  });
+
 // Admin login
 const loginAdmin = catchAsync(async (req, res, next) => {
   const { email, password } = req.body;
@@ -38,6 +54,18 @@ const loginAdmin = catchAsync(async (req, res, next) => {
     return next(new AppError('Invalid email or password', 401));
   }
 
+  // With 2FA on, the password alone only earns a challenge for the second step
+  if (admin.twoFactorEnabled) {
+    return res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication code required',
+      data: {
+        twoFactorRequired: true,
+        challengeToken: signTwoFactorChallenge(admin._id)
+      }
+    });
+  }
+
   // Reset login attempts on successful login
   await admin.resetLoginAttempts();
 
@@ -45,6 +73,142 @@ const loginAdmin = catchAsync(async (req, res, next) => {
   createSendToken(admin, 200, res);
 });
 
+// Admin login, second step: authenticator or backup code
+const verifyTwoFactorLogin = catchAsync(async (req, res, next) => {
+  const { challengeToken, code } = req.body;
+
+  if (!challengeToken || !code) {
+    return next(new AppError('Please provide the challenge token and a verification code', 400));
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, process.env.SECRET_KEY);
+  } catch (error) {
+    decoded = null;
+  }
+  if (!decoded || decoded.purpose !== TWO_FACTOR_CHALLENGE_PURPOSE) {
+    return next(new AppError('Login challenge is invalid or has expired. Please log in again.', 401));
+  }
+
+  const admin = await Admin.findById(decoded.id)
+    .select('+isActive +loginAttempts +lockUntil +twoFactorSecret +twoFactorBackupCodes +twoFactorLastUsedStep');
+
+  if (!admin || !admin.isActive) {
+    return next(new AppError('Admin account is inactive. Please contact support.', 401));
+  }
+
+  if (admin.isLocked) {
+    return next(new AppError('Account is temporarily locked due to multiple failed login attempts. Please try again later.', 423));
+  }
+
+  // Wrong codes count towards the same lockout as wrong passwords
+  const method = admin.verifyTwoFactorCode(code);
+  if (!method) {
+    await admin.incLoginAttempts();
+    return next(new AppError('Invalid two-factor authentication code', 401));
+  }
+
+  // Persist the consumed backup code / last used step
+  await admin.save();
+  await admin.resetLoginAttempts();
+
+  admin.twoFactorSecret = undefined;
+  admin.twoFactorBackupCodes = undefined;
+  admin.twoFactorLastUsedStep = undefined;
+
+  createSendToken(admin, 200, res);
+});
+
+// Link to a dashboard page; without ADMIN_DASHBOARD_URL it points at this API
+const adminLink = (req, path) => {
+  const baseUrl = process.env.ADMIN_DASHBOARD_URL || `${req.protocol}://${req.get('host')}/api/v1/admin-auth`;
+  return `${baseUrl.replace(/\/$/, '')}${path}`;
+};
+
+// Email a password reset link. Always answers the same way so the endpoint
+// can't be used to discover admin email addresses.
+const forgotPassword = catchAsync(async (req, res, next) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return next(new AppError('Please provide your email address', 400));
+  }
+
+  const genericResponse = {
+    status: 'success',
+    message: 'If an admin account exists for this email, a password reset link has been sent.'
+  };
+
+  const admin = await Admin.findOne({ email: String(email).toLowerCase().trim() }).select('+isActive');
+  if (!admin || !admin.isActive) {
+    return res.status(200).json(genericResponse);
+  }
+
+  const resetToken = admin.createPasswordResetToken();
+  await admin.save({ validateBeforeSave: false });
+
+  const resetUrl = adminLink(req, `/reset-password/${resetToken}`);
+  const expiresInMinutes = Math.round((admin.passwordResetExpires - Date.now()) / 60000);
+
+  try {
+    await mailService.sendAdminPasswordReset(admin, resetUrl, expiresInMinutes);
+  } catch (error) {
+    admin.passwordResetToken = null;
+    admin.passwordResetExpires = null;
+    await admin.save({ validateBeforeSave: false });
+    return next(error);
+  }
+
+  logger.info('Admin password reset requested', { adminId: admin._id, ip: req.ip });
+
+  res.status(200).json(genericResponse);
+});
+
+// Set a new password with the emailed token. Clears any login lockout and,
+// through passwordChangedAt, invalidates every token issued before the reset.
+const resetPassword = catchAsync(async (req, res, next) => {
+  const { password, confirmPassword } = req.body;
+
+  if (!password || !confirmPassword) {
+    return next(new AppError('Please provide password and confirm password', 400));
+  }
+
+  if (password !== confirmPassword) {
+    return next(new AppError('Password and confirm password do not match', 400));
+  }
+
+  if (password.length < 6) {
+    return next(new AppError('Password must be at least 6 characters long', 400));
+  }
+
+  const hashedToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
+
+  const admin = await Admin.findOne({
+    passwordResetToken: hashedToken,
+    passwordResetExpires: { $gt: Date.now() }
+  }).select('+isActive');
+
+  if (!admin || !admin.isActive) {
+    return next(new AppError('Password reset link is invalid or has expired', 400));
+  }
+
+  admin.password = password;
+  admin.passwordResetToken = null;
+  admin.passwordResetExpires = null;
+  admin.loginAttempts = 0;
+  admin.lockUntil = null;
+  await admin.save();
+
+  logger.info('Admin password reset completed', { adminId: admin._id, ip: req.ip });
+
+  // No token here: the admin logs in again, including the 2FA step if enabled
+  res.status(200).json({
+    status: 'success',
+    message: 'Password reset successfully. Please log in with your new password.'
+  });
+});
+
 // Get current admin profile
 const getAdminProfile = catchAsync(async (req, res, next) => {
   const admin = await Admin.findById(req.user._id).select('-password -passwordResetToken -passwordResetExpires -loginAttempts -lockUntil');
@@ -133,6 +297,33 @@ const changePassword = catchAsync(async (req, res, next) => {
   });
 });
 
+// Effective permissions of the current admin, so the dashboard can hide
+// actions they can't perform
+const getMyPermissions = catchAsync(async (req, res, next) => {
+  const admin = req.user;
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      role: admin.role,
+      isSuperAdmin: admin.isSuperAdmin,
+      permissions: admin.getEffectivePermissions(),
+      // Admin management, 2FA resets and the audit log are super-admin only
+      canManageAdmins: admin.isSuperAdmin
+    }
+  });
+});
+
+// Permission presets per role (Super admin only)
+const getRolePresets = catchAsync(async (req, res, next) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      roles: Admin.rolePermissionPresets()
+    }
+  });
+});
+
 // Admin logout
 const logoutAdmin = catchAsync(async (req, res, next) => {
   res.cookie('jwt', 'loggedout', {
@@ -146,39 +337,210 @@ const logoutAdmin = catchAsync(async (req, res, next) => {
   });
 });
 
-// Create new admin (Super admin only)
-const createAdmin = catchAsync(async (req, res, next) => {
-  const { name, email, password, role, permissions } = req.body;
+// Invite a new admin by email (Super admin only)
+// The invitee chooses their own password when accepting
+const createInvite = catchAsync(async (req, res, next) => {
+  const { email, name, role = 'admin', permissions, requireTwoFactor = false } = req.body;
+
+  if (!email) {
+    return next(new AppError('Please provide the email address to invite', 400));
+  }
+
+  if (!['admin', 'super_admin', 'moderator'].includes(role)) {
+    return next(new AppError('Invalid role', 400));
+  }
 
-  // Check if admin already exists
-  const existingAdmin = await Admin.findOne({ email });
+  const normalizedEmail = String(email).toLowerCase().trim();
+
+  const existingAdmin = await Admin.findOne({ email: normalizedEmail });
   if (existingAdmin) {
     return next(new AppError('Admin with this email already exists', 409));
   }
 
-  // Create admin
-  const admin = new Admin({
+  // Re-inviting replaces any invitation still pending for this email
+  await AdminInvite.updateMany(
+    { email: normalizedEmail, ...AdminInvite.statusQuery('pending') },
+    { revokedAt: new Date(), revokedBy: req.user._id }
+  );
+
+  const invite = new AdminInvite({
+    email: normalizedEmail,
     name,
-    email,
-    password,
-    role: role || 'admin',
-    permissions: permissions || {}
+    role,
+    permissions: permissions || Admin.permissionsForRole(role),
+    requireTwoFactor: !!requireTwoFactor,
+    invitedBy: req.user._id
   });
+  const token = invite.createToken();
+  await invite.save();
+
+  try {
+    await mailService.sendAdminInvite(
+      invite,
+      req.user,
+      adminLink(req, `/invites/accept/${token}`),
+      AdminInvite.ADMIN_INVITE_EXPIRES_HOURS
+    );
+  } catch (error) {
+    invite.revokedAt = new Date();
+    invite.revokedBy = req.user._id;
+    await invite.save();
+    return next(error);
+  }
 
-  await admin.save();
-
-  // Remove password from response
-  admin.password = undefined;
+  invite.tokenHash = undefined;
 
   res.status(201).json({
     status: 'success',
-    message: 'Admin created successfully',
+    message: `Invitation sent to ${invite.email}`,
     data: {
-      admin
+      invite
+    }
+  });
+});
+
+// List invitations, optionally by status (Super admin only)
+const getInvites = catchAsync(async (req, res, next) => {
+  const { page = 1, limit = 20, status } = req.query;
+
+  if (status && !['pending', 'accepted', 'revoked', 'expired'].includes(status)) {
+    return next(new AppError('status must be pending, accepted, revoked or expired', 400));
+  }
+
+  const query = AdminInvite.statusQuery(status);
+
+  const invites = await AdminInvite.find(query)
+    .populate('invitedBy', 'name email')
+    .populate('acceptedAdmin', 'name email')
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await AdminInvite.countDocuments(query);
+
+  res.status(200).json({
+    status: 'success',
+    results: invites.length,
+    data: {
+      invites,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    }
+  });
+});
+
+// Revoke a pending invitation (Super admin only)
+const revokeInvite = catchAsync(async (req, res, next) => {
+  const invite = await AdminInvite.findById(req.params.inviteId);
+
+  if (!invite) {
+    return next(new AppError('Invitation not found', 404));
+  }
+
+  if (invite.status !== 'pending') {
+    return next(new AppError(`Invitation is already ${invite.status}`, 400));
+  }
+
+  invite.revokedAt = new Date();
+  invite.revokedBy = req.user._id;
+  await invite.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Invitation revoked'
+  });
+});
+
+// Look up an invitation by its emailed token, to prefill the accept form
+const getInviteByToken = catchAsync(async (req, res, next) => {
+  const invite = await AdminInvite.findPendingByToken(req.params.token).populate('invitedBy', 'name');
+
+  if (!invite) {
+    return next(new AppError('Invitation is invalid or has expired', 400));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      email: invite.email,
+      name: invite.name,
+      role: invite.role,
+      requireTwoFactor: invite.requireTwoFactor,
+      invitedBy: invite.invitedBy ? invite.invitedBy.name : null,
+      expiresAt: invite.expiresAt
     }
   });
 });
 
+// Accept an invitation: create the admin with the invitee's own password and
+// log them in. If the invite requires 2FA, only the enrollment routes work
+// until it is set up.
+const acceptInvite = catchAsync(async (req, res, next) => {
+  const { name, password, confirmPassword } = req.body;
+
+  if (!password || !confirmPassword) {
+    return next(new AppError('Please provide password and confirm password', 400));
+  }
+
+  if (password !== confirmPassword) {
+    return next(new AppError('Password and confirm password do not match', 400));
+  }
+
+  if (password.length < 6) {
+    return next(new AppError('Password must be at least 6 characters long', 400));
+  }
+
+  const invite = await AdminInvite.findPendingByToken(req.params.token);
+  if (!invite) {
+    return next(new AppError('Invitation is invalid or has expired', 400));
+  }
+
+  const adminName = (name || invite.name || '').trim();
+  if (adminName.length < 2 || adminName.length > 100) {
+    return next(new AppError('Admin name must be between 2 and 100 characters', 400));
+  }
+
+  const existingAdmin = await Admin.findOne({ email: invite.email });
+  if (existingAdmin) {
+    return next(new AppError('Admin with this email already exists', 409));
+  }
+
+  // Claim the invite first so the same token can't create two admins
+  const claimed = await AdminInvite.findOneAndUpdate(
+    { _id: invite._id, acceptedAt: null, revokedAt: null },
+    { acceptedAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) {
+    return next(new AppError('Invitation is invalid or has expired', 400));
+  }
+
+  let admin;
+  try {
+    admin = await Admin.create({
+      name: adminName,
+      email: invite.email,
+      password,
+      role: invite.role,
+      permissions: invite.permissions || Admin.permissionsForRole(invite.role),
+      twoFactorRequired: invite.requireTwoFactor
+    });
+  } catch (error) {
+    await AdminInvite.updateOne({ _id: invite._id }, { acceptedAt: null });
+    return next(error);
+  }
+
+  await AdminInvite.updateOne({ _id: invite._id }, { acceptedAdmin: admin._id });
+
+  logger.info('Admin invitation accepted', { adminId: admin._id, inviteId: invite._id, ip: req.ip });
+
+  createSendToken(admin, 201, res);
+});
+
 // Get all admins (Super admin only)
 const getAllAdmins = catchAsync(async (req, res, next) => {
   const { page = 1, limit = 20, search } = req.query;
@@ -187,8 +549,8 @@ const getAllAdmins = catchAsync(async (req, res, next) => {
   
   if (search) {
     query.$or = [
-      { name: new RegExp(search, 'i') },
-      { email: new RegExp(search, 'i') }
+      { name: new RegExp(escapeRegex(search), 'i') },
+      { email: new RegExp(escapeRegex(search), 'i') }
     ];
   }
 
@@ -225,9 +587,19 @@ const updateAdminPermissions = catchAsync(async (req, res, next) => {
     return next(new AppError('Admin not found', 404));
   }
 
-  // Update permissions and/or role
-  if (permissions) admin.permissions = permissions;
+  // Super admins can't demote themselves and leave nobody to manage admins
+  if (role && role !== 'super_admin' && admin._id.equals(req.user._id)) {
+    return next(new AppError('You cannot remove your own super admin role', 403));
+  }
+
+  // Update permissions and/or role; a role change alone applies that role's preset.
+  // The role also sets isSuperAdmin (see models/admin.js).
   if (role) admin.role = role;
+  if (permissions) {
+    admin.permissions = permissions;
+  } else if (role) {
+    admin.permissions = Admin.permissionsForRole(role);
+  }
 
   await admin.save();
 
@@ -269,13 +641,246 @@ const deactivateAdmin = catchAsync(async (req, res, next) => {
   });
 });
 
+// Get own 2FA status
+const getTwoFactorStatus = catchAsync(async (req, res, next) => {
+  const admin = await Admin.findById(req.user._id).select('+twoFactorBackupCodes');
+  if (!admin) {
+    return next(new AppError('Admin not found', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      enabled: admin.twoFactorEnabled,
+      required: admin.twoFactorRequired,
+      enabledAt: admin.twoFactorEnabledAt,
+      backupCodesRemaining: admin.twoFactorBackupCodes.length
+    }
+  });
+});
+
+// Start 2FA enrollment: issue a secret for the authenticator app
+const setupTwoFactor = catchAsync(async (req, res, next) => {
+  const admin = await Admin.findById(req.user._id);
+  if (!admin) {
+    return next(new AppError('Admin not found', 404));
+  }
+
+  if (admin.twoFactorEnabled) {
+    return next(new AppError('Two-factor authentication is already enabled', 400));
+  }
+
+  const secret = admin.createTwoFactorSecret();
+  await admin.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    data: {
+      secret,
+      otpauthUrl: totp.buildOtpauthURI(secret, admin.email)
+    }
+  });
+});
+
+// Finish 2FA enrollment with a code from the authenticator app
+const enableTwoFactor = catchAsync(async (req, res, next) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return next(new AppError('Please provide the code from your authenticator app', 400));
+  }
+
+  const admin = await Admin.findById(req.user._id).select('+twoFactorPendingSecret');
+  if (!admin) {
+    return next(new AppError('Admin not found', 404));
+  }
+
+  if (admin.twoFactorEnabled) {
+    return next(new AppError('Two-factor authentication is already enabled', 400));
+  }
+
+  if (!admin.twoFactorPendingSecret) {
+    return next(new AppError('Please start two-factor setup first', 400));
+  }
+
+  const backupCodes = admin.enableTwoFactor(code);
+  if (!backupCodes) {
+    return next(new AppError('Invalid verification code', 400));
+  }
+
+  await admin.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Two-factor authentication enabled. Store these backup codes somewhere safe; they will not be shown again.',
+    data: {
+      backupCodes
+    }
+  });
+});
+
+// Turn off own 2FA (password + current code)
+const disableTwoFactor = catchAsync(async (req, res, next) => {
+  const { password, code } = req.body;
+
+  if (!password || !code) {
+    return next(new AppError('Please provide your password and a verification code', 400));
+  }
+
+  const admin = await Admin.findById(req.user._id)
+    .select('+password +twoFactorSecret +twoFactorBackupCodes +twoFactorLastUsedStep');
+  if (!admin) {
+    return next(new AppError('Admin not found', 404));
+  }
+
+  if (!admin.twoFactorEnabled) {
+    return next(new AppError('Two-factor authentication is not enabled', 400));
+  }
+
+  if (admin.twoFactorRequired) {
+    return next(new AppError('Two-factor authentication is required for your account and cannot be disabled', 403));
+  }
+
+  if (admin.isLocked) {
+    return next(new AppError('Account is temporarily locked due to multiple failed login attempts. Please try again later.', 423));
+  }
+
+  // Wrong guesses count towards the login lockout, so a stolen token can't brute-force the code
+  const isValidPassword = await admin.comparePassword(password);
+  if (!isValidPassword || !admin.verifyTwoFactorCode(code)) {
+    await admin.incLoginAttempts();
+    return next(new AppError('Invalid password or verification code', 400));
+  }
+
+  admin.disableTwoFactor();
+  await admin.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+// Replace own backup codes (authenticator code required)
+const regenerateBackupCodes = catchAsync(async (req, res, next) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return next(new AppError('Please provide the code from your authenticator app', 400));
+  }
+
+  const admin = await Admin.findById(req.user._id)
+    .select('+twoFactorSecret +twoFactorBackupCodes +twoFactorLastUsedStep');
+  if (!admin) {
+    return next(new AppError('Admin not found', 404));
+  }
+
+  if (!admin.twoFactorEnabled) {
+    return next(new AppError('Two-factor authentication is not enabled', 400));
+  }
+
+  if (admin.isLocked) {
+    return next(new AppError('Account is temporarily locked due to multiple failed login attempts. Please try again later.', 423));
+  }
+
+  // Wrong codes count towards the login lockout, as in disableTwoFactor
+  if (!admin.verifyTwoFactorCode(code, { allowBackupCode: false })) {
+    await admin.incLoginAttempts();
+    return next(new AppError('Invalid verification code', 400));
+  }
+
+  const backupCodes = admin.regenerateBackupCodes();
+  await admin.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'New backup codes generated. Previous codes no longer work.',
+    data: {
+      backupCodes
+    }
+  });
+});
+
+// Reset another admin's 2FA, e.g. after a lost phone (Super admin only)
+const resetAdminTwoFactor = catchAsync(async (req, res, next) => {
+  const { adminId } = req.params;
+
+  if (adminId === req.user._id.toString()) {
+    return next(new AppError('Use your own two-factor settings to change your 2FA', 400));
+  }
+
+  const admin = await Admin.findById(adminId);
+  if (!admin) {
+    return next(new AppError('Admin not found', 404));
+  }
+
+  admin.disableTwoFactor();
+  await admin.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: admin.twoFactorRequired
+      ? 'Two-factor authentication reset. The admin must enroll again before using the dashboard.'
+      : 'Two-factor authentication reset'
+  });
+});
+
+// Require or stop requiring 2FA for an admin (Super admin only)
+const setTwoFactorRequirement = catchAsync(async (req, res, next) => {
+  const { adminId } = req.params;
+  const { required } = req.body;
+
+  if (typeof required !== 'boolean') {
+    return next(new AppError('required must be true or false', 400));
+  }
+
+  const admin = await Admin.findById(adminId);
+  if (!admin) {
+    return next(new AppError('Admin not found', 404));
+  }
+
+  admin.twoFactorRequired = required;
+  await admin.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: required ? 'Two-factor authentication is now required for this admin' : 'Two-factor authentication is now optional for this admin',
+    data: {
+      admin: {
+        id: admin._id,
+        name: admin.name,
+        email: admin.email,
+        twoFactorEnabled: admin.twoFactorEnabled,
+        twoFactorRequired: admin.twoFactorRequired
+      }
+    }
+  });
+});
+
 module.exports = {
   loginAdmin,
+  verifyTwoFactorLogin,
+  forgotPassword,
+  resetPassword,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  resetAdminTwoFactor,
+  setTwoFactorRequirement,
   getAdminProfile,
+  getMyPermissions,
+  getRolePresets,
   updateAdminProfile,
   changePassword,
   logoutAdmin,
-  createAdmin,
+  createInvite,
+  getInvites,
+  revokeInvite,
+  getInviteByToken,
+  acceptInvite,
   getAllAdmins,
   updateAdminPermissions,
   deactivateAdmin
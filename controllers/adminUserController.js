@@ -0,0 +1,195 @@
+const User = require('../models/auth');
+const Product = require('../models/product');
+const Session = require('../models/session');
+const sessionService = require('../services/session');
+const { AppError } = require('../middlewares/errorHandler');
+const { catchAsync } = require('../middlewares/errorHandler');
+const { escapeRegex } = require('../utils/regex');
+
+// Fields never sent to the admin dashboard
+const HIDDEN_FIELDS = '-password -otp -otpPurpose -otpExpires -pendingPhone -__v';
+
+const parseBoolean = (value) => {
+  if (value === 'true' || value === true) return true;
+  if (value === 'false' || value === false) return false;
+  return undefined;
+};
+
+// List and search users (Admin with users.read)
+// GET /api/v1/admin/users?phone=777&name=ali&isVerified=true&isActive=true&isBanned=false
+const getAllUsers = catchAsync(async (req, res, next) => {
+  const { page = 1, limit = 20, phone, name, isVerified, isActive, isBanned } = req.query;
+
+  const query = { deletedAt: null };
+
+  if (phone) {
+    // Match on digits so "+967 777", "0777" and "777" all find +967777...
+    const digits = String(phone).replace(/[^0-9]/g, '').replace(/^(00)?967/, '').replace(/^0/, '');
+    if (digits) query.phone = new RegExp(escapeRegex(digits));
+  }
+  if (name) query.name = new RegExp(escapeRegex(name), 'i');
+
+  const verified = parseBoolean(isVerified);
+  if (verified !== undefined) query.isVerified = verified;
+
+  const active = parseBoolean(isActive);
+  if (active !== undefined) query.isActive = active;
+
+  const banned = parseBoolean(isBanned);
+  if (banned === true) {
+    query.isBanned = true;
+    query.$or = [{ bannedUntil: null }, { bannedUntil: { $gt: new Date() } }];
+  } else if (banned === false) {
+    query.$or = [{ isBanned: false }, { bannedUntil: { $ne: null, $lte: new Date() } }];
+  }
+
+  const users = await User.find(query)
+    .select(HIDDEN_FIELDS)
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await User.countDocuments(query);
+
+  res.status(200).json({
+    status: 'success',
+    results: users.length,
+    data: {
+      users,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    }
+  });
+});
+
+// View one user with their listings and login history (Admin with users.read)
+// Login history comes from the user's sessions: one entry per sign-in, with device and IP
+const getUserById = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.params.userId)
+    .select(HIDDEN_FIELDS)
+    .populate('bannedBy', 'name email');
+
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  const [products, productStats, logins] = await Promise.all([
+    Product.find({ userId: user._id })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .select('name type status isActive price currency governorate city createdAt'),
+    Product.aggregate([
+      { $match: { userId: user._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    Session.find({ userId: user._id })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .select('deviceName userAgent ip createdAt lastSeenAt revokedAt revokedReason')
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      user,
+      products,
+      productStats: productStats.reduce((acc, { _id, count }) => ({ ...acc, [_id]: count }), {}),
+      loginHistory: logins
+    }
+  });
+});
+
+// Ban a user (Admin with users.update)
+const banUser = catchAsync(async (req, res, next) => {
+  const { reason, expiresAt } = req.body;
+
+  if (!reason || !reason.trim()) {
+    return next(new AppError('Ban reason is required', 400));
+  }
+
+  let until = null;
+  if (expiresAt) {
+    until = new Date(expiresAt);
+    if (isNaN(until.getTime()) || until <= Date.now()) {
+      return next(new AppError('Ban expiry must be a valid future date', 400));
+    }
+  }
+
+  const user = await User.findById(req.params.userId);
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  user.ban({ reason: reason.trim(), until, adminId: req.user._id });
+  await user.save();
+
+  // Banning bumps tokenVersion; also drop refresh tokens so no new ones are minted
+  await sessionService.revokeAllSessions(user._id, { reason: 'banned' });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'User banned successfully',
+    data: {
+      user: {
+        id: user._id,
+        phone: user.phone,
+        isBanned: user.isBanned,
+        banReason: user.banReason,
+        bannedAt: user.bannedAt,
+        bannedUntil: user.bannedUntil
+      }
+    }
+  });
+});
+
+// Lift a ban (Admin with users.update)
+const unbanUser = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.params.userId);
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  if (!user.isBanned) {
+    return next(new AppError('User is not banned', 400));
+  }
+
+  user.unban();
+  await user.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'User unbanned successfully'
+  });
+});
+
+// Manually mark a user's phone as verified (Admin with users.update)
+const verifyUser = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.params.userId);
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  if (user.isVerified) {
+    return next(new AppError('User is already verified', 400));
+  }
+
+  user.clearOTP(); // clears any pending code and marks the phone verified
+  await user.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'User verified successfully'
+  });
+});
+
+module.exports = {
+  getAllUsers,
+  getUserById,
+  banUser,
+  unbanUser,
+  verifyUser
+};
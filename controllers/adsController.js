@@ -1,7 +1,8 @@
 
 // Create new ad
 const Ads = require('../models/ads');
-const { uploadToCloud } = require('../utils/uploadToCloud');
+const imageService = require('../services/image');
+const { usesCursor, offsetParams, cursorParams, cursorPage } = require('../utils/pagination');
 
 // Create new ad with image
 const postAds = async (req, res) => {
@@ -36,24 +37,39 @@ const updateAd = async (req, res) => {
 // Get all ads (admin or public)
 const getAllAds = async (req, res) => {
     try {
-        const { page = 1, limit = 10 } = req.query;
+        if (usesCursor(req)) {
+            const { items, nextCursor, hasMore, limit } = await cursorPage(Ads.find(), cursorParams(req));
+            return res.status(200).json({
+                status: 200,
+                data: items,
+                nextCursor,
+                hasMore,
+                limit,
+                message: "Ads fetched successfully"
+            });
+        }
+
+        const { page, limit, skip } = offsetParams(req);
 
         const total = await Ads.countDocuments();
 
         const ads = await Ads.find()
             .sort({ createdAt: -1 })
-            .skip((parseInt(page) - 1) * parseInt(limit))
-            .limit(parseInt(limit));
+            .skip(skip)
+            .limit(limit);
 
         res.status(200).json({
             status: 200,
             data: ads,
             total,
-            currentPage: parseInt(page),
+            currentPage: page,
             totalPages: Math.ceil(total / limit),
             message: "Ads fetched successfully"
         });
     } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({ status: error.statusCode, message: error.message });
+        }
         res.status(500).json({
             status: 500,
             message: 'Failed to get ads',
@@ -80,7 +96,10 @@ const getAdsByPlacement = async (req, res) => {
 const deleteAd = async (req, res) => {
     try {
         const { id } = req.params;
-        await Ads.findByIdAndDelete(id);
+        const ad = await Ads.findByIdAndDelete(id);
+        if (ad) {
+            await imageService.deleteImages(ad.imageUrl, { folder: 'ads' });
+        }
         res.status(200).json({ message: 'Ad deleted' });
     } catch (error) {
         res.status(500).json({ message: 'Failed to delete ad', error });
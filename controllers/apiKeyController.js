@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const ApiKey = require('../models/apiKey');
+const User = require('../models/auth');
+const { AppError } = require('../middlewares/errorHandler');
+const { catchAsync } = require('../middlewares/errorHandler');
+
+const validateScopes = (scopes) => {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return 'Please provide at least one scope';
+  }
+
+  const unknown = scopes.filter((scope) => !ApiKey.API_KEY_SCOPES.includes(scope));
+  if (unknown.length) {
+    return `Unknown scope(s): ${unknown.join(', ')}. Allowed: ${ApiKey.API_KEY_SCOPES.join(', ')}`;
+  }
+
+  return null;
+};
+
+// Issue a partner API key (Super admin only)
+// The full key is returned once and never again
+const createApiKey = catchAsync(async (req, res, next) => {
+  const { name, userId, scopes, rateLimitPerMinute, expiresAt, shopId, engineerId } = req.body;
+
+  if (!name || !userId) {
+    return next(new AppError('Please provide a key name and the owner userId', 400));
+  }
+
+  for (const [field, value] of Object.entries({ userId, shopId, engineerId })) {
+    if (value && !mongoose.isValidObjectId(value)) {
+      return next(new AppError(`Invalid ${field}`, 400));
+    }
+  }
+
+  const scopeError = validateScopes(scopes);
+  if (scopeError) {
+    return next(new AppError(scopeError, 400));
+  }
+
+  if (expiresAt && !(new Date(expiresAt) > Date.now())) {
+    return next(new AppError('expiresAt must be a date in the future', 400));
+  }
+
+  const owner = await User.findById(userId).select('+isActive');
+  if (!owner || !owner.isActive) {
+    return next(new AppError('Key owner not found or inactive', 404));
+  }
+
+  if (!owner.isVerified) {
+    return next(new AppError('The key owner must have a verified phone number', 400));
+  }
+
+  const apiKey = new ApiKey({
+    name,
+    userId,
+    shopId: shopId || null,
+    engineerId: engineerId || null,
+    scopes: [...new Set(scopes)],
+    rateLimitPerMinute,
+    expiresAt: expiresAt || null,
+    createdBy: req.user._id
+  });
+  const key = apiKey.generateKey();
+  await apiKey.save();
+
+  apiKey.keyHash = undefined;
+
+  res.status(201).json({
+    status: 'success',
+    message: 'API key created. Copy it now; it will not be shown again.',
+    data: {
+      key,
+      apiKey
+    }
+  });
+});
+
+// List API keys (Super admin only)
+// GET /api/v1/admin/api-keys?userId=&status=active|revoked|expired
+const getApiKeys = catchAsync(async (req, res, next) => {
+  const { page = 1, limit = 20, userId, status } = req.query;
+
+  const query = {};
+  if (userId) {
+    if (!mongoose.isValidObjectId(userId)) {
+      return next(new AppError('Invalid userId', 400));
+    }
+    query.userId = userId;
+  }
+
+  const now = new Date();
+  if (status === 'active') {
+    query.revokedAt = null;
+    query.$or = [{ expiresAt: null }, { expiresAt: { $gt: now } }];
+  } else if (status === 'revoked') {
+    query.revokedAt = { $ne: null };
+  } else if (status === 'expired') {
+    query.revokedAt = null;
+    query.expiresAt = { $ne: null, $lte: now };
+  } else if (status) {
+    return next(new AppError('status must be active, revoked or expired', 400));
+  }
+
+  const apiKeys = await ApiKey.find(query)
+    .populate('userId', 'name phone')
+    .populate('createdBy', 'name email')
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await ApiKey.countDocuments(query);
+
+  res.status(200).json({
+    status: 'success',
+    results: apiKeys.length,
+    data: {
+      apiKeys,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    }
+  });
+});
+
+// Get one API key (Super admin only)
+const getApiKeyById = catchAsync(async (req, res, next) => {
+  const apiKey = await ApiKey.findById(req.params.keyId)
+    .populate('userId', 'name phone')
+    .populate('shopId', 'name')
+    .populate('engineerId', 'name')
+    .populate('createdBy', 'name email');
+
+  if (!apiKey) {
+    return next(new AppError('API key not found', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      apiKey
+    }
+  });
+});
+
+// Rename a key or change its scopes / rate limit (Super admin only)
+const updateApiKey = catchAsync(async (req, res, next) => {
+  const { name, scopes, rateLimitPerMinute } = req.body;
+
+  const apiKey = await ApiKey.findById(req.params.keyId);
+  if (!apiKey) {
+    return next(new AppError('API key not found', 404));
+  }
+
+  if (apiKey.revokedAt) {
+    return next(new AppError('Revoked API keys cannot be changed', 400));
+  }
+
+  if (scopes !== undefined) {
+    const scopeError = validateScopes(scopes);
+    if (scopeError) {
+      return next(new AppError(scopeError, 400));
+    }
+    apiKey.scopes = [...new Set(scopes)];
+  }
+  if (name !== undefined) apiKey.name = name;
+  if (rateLimitPerMinute !== undefined) apiKey.rateLimitPerMinute = rateLimitPerMinute;
+
+  await apiKey.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'API key updated',
+    data: {
+      apiKey
+    }
+  });
+});
+
+// Revoke a key; it stops working immediately (Super admin only)
+const revokeApiKey = catchAsync(async (req, res, next) => {
+  const apiKey = await ApiKey.findById(req.params.keyId);
+  if (!apiKey) {
+    return next(new AppError('API key not found', 404));
+  }
+
+  if (apiKey.revokedAt) {
+    return next(new AppError('API key is already revoked', 400));
+  }
+
+  apiKey.revokedAt = new Date();
+  await apiKey.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'API key revoked'
+  });
+});
+
+module.exports = {
+  createApiKey,
+  getApiKeys,
+  getApiKeyById,
+  updateApiKey,
+  revokeApiKey
+};
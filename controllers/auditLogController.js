@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/auditLog');
+const { AppError } = require('../middlewares/errorHandler');
+const { catchAsync } = require('../middlewares/errorHandler');
+const { escapeRegex } = require('../utils/regex');
+
+const MAX_EXPORT_ROWS = 50000;
+
+// Build the Mongo filter shared by the list and export endpoints.
+// Throws an AppError on malformed ids or dates.
+const buildFilter = ({ actorId, action, entityType, entityId, from, to }) => {
+  const filter = {};
+
+  if (actorId) {
+    if (!mongoose.isValidObjectId(actorId)) throw new AppError('Invalid actorId', 400);
+    filter['actor.id'] = actorId;
+  }
+
+  // "product" matches every product.* action, "product.delete" only that one
+  if (action) {
+    filter.action = action.includes('.') ? action : new RegExp(`^${escapeRegex(action)}\\.`);
+  }
+
+  if (entityType) filter['entity.type'] = entityType;
+
+  if (entityId) {
+    if (!mongoose.isValidObjectId(entityId)) throw new AppError('Invalid entityId', 400);
+    filter['entity.id'] = entityId;
+  }
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) {
+      const fromDate = new Date(from);
+      if (isNaN(fromDate)) throw new AppError('Invalid from date', 400);
+      filter.createdAt.$gte = fromDate;
+    }
+    if (to) {
+      const toDate = new Date(to);
+      if (isNaN(toDate)) throw new AppError('Invalid to date', 400);
+      filter.createdAt.$lte = toDate;
+    }
+  }
+
+  return filter;
+};
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' && !(value instanceof mongoose.Types.ObjectId)
+    ? JSON.stringify(value)
+    : String(value);
+  // Keep spreadsheet apps from evaluating cells as formulas
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_COLUMNS = [
+  ['createdAt', (log) => log.createdAt.toISOString()],
+  ['actorId', (log) => log.actor.id],
+  ['actorEmail', (log) => log.actor.email],
+  ['actorRole', (log) => log.actor.role],
+  ['action', (log) => log.action],
+  ['entityType', (log) => log.entity.type],
+  ['entityId', (log) => log.entity.id],
+  ['changes', (log) => log.changes],
+  ['method', (log) => log.method],
+  ['path', (log) => log.path],
+  ['statusCode', (log) => log.statusCode],
+  ['ip', (log) => log.ip],
+  ['userAgent', (log) => log.userAgent]
+];
+
+// Browse the audit log, newest first (Super admin only)
+// GET /api/v1/admin/audit-logs?actorId=&action=product&entityType=shop&entityId=&from=&to=
+const getAuditLogs = catchAsync(async (req, res, next) => {
+  const { page = 1, limit = 50 } = req.query;
+  const filter = buildFilter(req.query);
+
+  const logs = await AuditLog.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit)
+    .lean();
+
+  const total = await AuditLog.countDocuments(filter);
+
+  res.status(200).json({
+    status: 'success',
+    results: logs.length,
+    data: {
+      logs,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    }
+  });
+});
+
+// Get one audit entry (Super admin only)
+const getAuditLogById = catchAsync(async (req, res, next) => {
+  const log = await AuditLog.findById(req.params.logId).lean();
+
+  if (!log) {
+    return next(new AppError('Audit log entry not found', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      log
+    }
+  });
+});
+
+// Download the filtered log as CSV or JSON lines (Super admin only)
+// Streams from a cursor so large exports don't sit in memory
+const exportAuditLogs = catchAsync(async (req, res, next) => {
+  const format = req.query.format || 'csv';
+  if (!['csv', 'json'].includes(format)) {
+    return next(new AppError('format must be csv or json', 400));
+  }
+
+  const filter = buildFilter(req.query);
+  const cursor = AuditLog.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(MAX_EXPORT_ROWS)
+    .lean()
+    .cursor();
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  if (format === 'csv') {
+    res.attachment(`audit-log-${stamp}.csv`);
+    res.type('text/csv');
+    res.write(CSV_COLUMNS.map(([name]) => name).join(',') + '\n');
+  } else {
+    res.attachment(`audit-log-${stamp}.jsonl`);
+    res.type('application/x-ndjson');
+  }
+
+  for await (const log of cursor) {
+    const line = format === 'csv'
+      ? CSV_COLUMNS.map(([, read]) => csvCell(read(log))).join(',')
+      : JSON.stringify(log);
+    res.write(line + '\n');
+  }
+
+  res.end();
+});
+
+module.exports = {
+  getAuditLogs,
+  getAuditLogById,
+  exportAuditLogs
+};
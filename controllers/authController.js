@@ -1,19 +1,19 @@
 const User = require('../models/auth');
+const Product = require('../models/product');
 const { AppError } = require('../middlewares/errorHandler');
 const { catchAsync } = require('../middlewares/errorHandler');
-const { createSendToken } = require('../middlewares/auth');
+const { createSendSession, setSessionCookies, clearSessionCookies } = require('../middlewares/auth');
 const bcrypt = require('bcrypt');
-const generateToken = require('../utils/generateToken');
+const otpService = require('../services/otp');
+const sessionService = require('../services/session');
+const accountService = require('../services/account');
+const { isStrongPassword, PASSWORD_POLICY_MESSAGE } = require('../middlewares/validation');
+const logger = require('../utils/logger');
 // Register user with phone number only (as per scope)
 const registerUser = catchAsync(async (req, res, next) => {
   const { name, phone , password, profileImageUrl} = req.body;
-const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&]).{6,}$/;
-
-if (!passwordRegex.test(password)) {
-  return next(new AppError(
-    'Password must be at least 6 characters long and include uppercase, lowercase, number, and special character.',
-    400
-  ));
+if (!isStrongPassword(password)) {
+  return next(new AppError(PASSWORD_POLICY_MESSAGE, 400));
 }
   // Check if user already exists
   const existingUser = await User.findOne({ phone });
@@ -27,34 +27,27 @@ if (!passwordRegex.test(password)) {
   if (existingUser && !existingUser.isVerified) {
     // User exists but not verified, resend OTP
     user = existingUser;
-    user.generateOTP();
-    await user.save();
   } else {
     // Create new user
     user = new User({ phone ,name,password:hashPassword,profileImageUrl});
-    user.generateOTP();
-    console.log('🔐 Creating new user:', {
-      phone: user.phone,
+    logger.debug('Creating new user', {
       isActive: user.isActive,
       isVerified: user.isVerified
     });
-    await user.save();
   }
 
+  const otp = await otpService.sendOTP(user);
+
   res.status(201).json({
     status: 'success',
     message: 'Registration successful. Please verify your phone number using OTP.',
-    data: {
-      phone: user.phone,
-      otpExpiresAt: user.otpExpires
-    }
+    data: otp
   });
 });
 
 // Verify OTP and complete registration
 const verifyOTP = catchAsync(async (req, res, next) => {
   const {phone} = req.params;
-  console.log(phone)
   const { otp } = req.body;
 
   // Find user by phone
@@ -63,18 +56,16 @@ const verifyOTP = catchAsync(async (req, res, next) => {
     return next(new AppError('No user found with this phone number', 404));
   }
 
-  // Verify OTP
-  if (!user.verifyOTP(otp)) {
-    return next(new AppError('Invalid or expired OTP', 400));
-  }
+  // Verify OTP (throws on wrong code or lockout)
+  await otpService.verifyOTP(user, otp);
 
   // Clear OTP and mark as verified
   user.clearOTP();
   user.lastLogin = new Date();
   await user.save();
 
-  // Send token
-  createSendToken(user, 200, res);
+  // Start a session and send tokens
+  await createSendSession(user, 200, req, res);
 });
 
 // login
@@ -93,8 +84,7 @@ const login = async (req, res) => {
 
     const validUser = await User.findOne({ phone });
 
-    console.log('🔐 Login attempt - User lookup:', {
-      phone,
+    logger.debug('Login user lookup', {
       userFound: !!validUser,
       isActive: validUser?.isActive,
       isVerified: validUser?.isVerified,
@@ -109,6 +99,15 @@ const login = async (req, res) => {
       });
     }
 
+    // Accounts waiting out their deletion grace period can be restored
+    if (!validUser.isActive && validUser.isPendingDeletion) {
+      return res.status(403).json({
+        status: 403,
+        data: { deletionScheduledFor: validUser.deletionScheduledFor },
+        message: "This account is scheduled for deletion. Restore it to log in again.",
+      });
+    }
+
     // Check if user account is active
     if (!validUser.isActive) {
       return res.status(401).json({
@@ -128,13 +127,25 @@ const login = async (req, res) => {
       });
     }
 
-    // Generate token after successful phone + password match
-    const token = generateToken(validUser);
+    // Banned users get the reason and expiry, but only after proving the password
+    if (validUser.isCurrentlyBanned) {
+      return res.status(403).json({
+        status: 403,
+        data: {
+          reason: validUser.banReason,
+          bannedUntil: validUser.bannedUntil
+        },
+        message: "Your account has been banned.",
+      });
+    }
+
+    // Start a session for this device after successful phone + password match
+    const { accessToken: token, refreshToken, session } = await sessionService.createSession(validUser, req);
+    setSessionCookies(res, token, refreshToken);
     
-    console.log('🔐 Login successful - Token generated for user:', {
+    logger.debug('Login successful, session created', {
       userId: validUser._id,
-      phone: validUser.phone,
-      tokenLength: token.length
+      sessionId: session._id
     });
 
     return res.status(200).json({
@@ -149,7 +160,9 @@ const login = async (req, res) => {
           isVerified: validUser.isVerified,
           createdAt: validUser.createdAt
         },
-        token 
+        token,
+        refreshToken,
+        sessionId: session._id
       },
       message: "Login successful",
     });
@@ -172,17 +185,59 @@ const requestOTP = catchAsync(async (req, res, next) => {
     return next(new AppError('No user found with this phone number. Please register first.', 404));
   }
 
-  // Generate new OTP
-  user.generateOTP();
-  await user.save();
+  // Generate and send new OTP
+  const otp = await otpService.sendOTP(user);
 
   res.status(200).json({
     status: 'success',
     message: 'OTP sent successfully',
-    data: {
-      phone: user.phone,
-      otpExpiresAt: user.otpExpires
-    }
+    data: otp
+  });
+});
+
+// Forgot password - send a reset OTP to the registered phone
+const forgotPassword = catchAsync(async (req, res, next) => {
+  const { phone } = req.body;
+
+  const user = await User.findOne({ phone });
+  if (!user || !user.isActive) {
+    return next(new AppError('No active user found with this phone number', 404));
+  }
+
+  const otp = await otpService.sendOTP(user, { purpose: 'password_reset' });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Password reset OTP sent successfully',
+    data: otp
+  });
+});
+
+// Reset password - verify the reset OTP and set a new password
+const resetPassword = catchAsync(async (req, res, next) => {
+  const { phone, otp, password } = req.body;
+
+  const user = await User.findOne({ phone });
+  if (!user || !user.isActive) {
+    return next(new AppError('No active user found with this phone number', 404));
+  }
+
+  // Verify OTP (throws on wrong code or lockout)
+  await otpService.verifyOTP(user, otp, { purpose: 'password_reset' });
+
+  // Changing the password stamps passwordChangedAt, which invalidates every token issued before it
+  user.password = await bcrypt.hash(password, 8);
+  user.clearOTP();
+  await user.save();
+
+  // Refresh tokens would otherwise keep minting new access tokens
+  await sessionService.revokeAllSessions(user._id, { reason: 'password_reset' });
+
+  clearSessionCookies(res);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Password reset successfully. Please log in with your new password.'
   });
 });
 
@@ -217,6 +272,86 @@ const updateProfile = catchAsync(async (req, res, next) => {
   });
 });
 
+// Change phone, step 1 - send an OTP to the new number
+const requestPhoneChange = catchAsync(async (req, res, next) => {
+  const { newPhone } = req.body;
+
+  const user = await User.findById(req.user._id);
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  if (newPhone === user.phone) {
+    return next(new AppError('The new phone number is the same as the current one', 400));
+  }
+
+  const existingUser = await User.findOne({ phone: newPhone });
+  if (existingUser) {
+    return next(new AppError('This phone number is already registered to another account', 409));
+  }
+
+  user.pendingPhone = newPhone;
+  const otp = await otpService.sendOTP(user, { purpose: 'phone_change', to: newPhone });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'OTP sent to the new phone number',
+    data: otp
+  });
+});
+
+// Change phone, step 2 - confirm the OTP and switch numbers
+// With updateListings, active listings that used the old number as contact follow along
+const confirmPhoneChange = catchAsync(async (req, res, next) => {
+  const { otp, updateListings = false } = req.body;
+
+  if (!otp) {
+    return next(new AppError('OTP is required', 400));
+  }
+
+  const user = await User.findById(req.user._id);
+  if (!user || !user.pendingPhone) {
+    return next(new AppError('No phone change is pending. Please request a new OTP.', 400));
+  }
+
+  // Verify OTP (throws on wrong code or lockout)
+  await otpService.verifyOTP(user, otp, { purpose: 'phone_change' });
+
+  const newPhone = user.pendingPhone;
+  const existingUser = await User.findOne({ phone: newPhone, _id: { $ne: user._id } });
+  if (existingUser) {
+    user.pendingPhone = null;
+    user.clearOTP();
+    await user.save();
+    return next(new AppError('This phone number is already registered to another account', 409));
+  }
+
+  const oldPhone = user.phone;
+  user.phone = newPhone;
+  user.pendingPhone = null;
+  user.clearOTP();
+  await user.save();
+
+  let listingsUpdated = 0;
+  if (updateListings === true || updateListings === 'true') {
+    const active = { userId: user._id, isActive: true };
+    const [phoneResult] = await Promise.all([
+      Product.updateMany({ ...active, phone: oldPhone }, { $set: { phone: newPhone } }),
+      Product.updateMany({ ...active, whatsappPhone: oldPhone }, { $set: { whatsappPhone: newPhone } })
+    ]);
+    listingsUpdated = phoneResult.modifiedCount;
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Phone number changed successfully',
+    data: {
+      phone: user.phone,
+      listingsUpdated
+    }
+  });
+});
+
 // Get current user profile
 const getProfile = catchAsync(async (req, res, next) => {
   const user = await User.findById(req.user._id);
@@ -240,12 +375,86 @@ const getProfile = catchAsync(async (req, res, next) => {
   });
 });
 
-// Logout user (invalidate token on client side)
-const logout = catchAsync(async (req, res, next) => {
-  res.cookie('jwt', 'loggedout', {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true
+// Exchange a refresh token for a new access/refresh token pair
+const refreshToken = catchAsync(async (req, res, next) => {
+  const token = req.body.refreshToken || req.cookies.refreshToken;
+
+  if (!token) {
+    return next(new AppError('Refresh token is required', 400));
+  }
+
+  const { accessToken, refreshToken: newRefreshToken, session } = await sessionService.rotateSession(token, req);
+  setSessionCookies(res, accessToken, newRefreshToken);
+
+  res.status(200).json({
+    status: 'success',
+    token: accessToken,
+    refreshToken: newRefreshToken,
+    data: {
+      sessionId: session._id
+    }
   });
+});
+
+// List the user's active sessions (signed-in devices)
+const getSessions = catchAsync(async (req, res, next) => {
+  const sessions = await sessionService.listActiveSessions(req.user._id);
+  const currentId = req.authSession?._id?.toString();
+
+  res.status(200).json({
+    status: 'success',
+    results: sessions.length,
+    data: {
+      sessions: sessions.map(session => ({
+        id: session._id,
+        deviceName: session.deviceName,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        lastSeenAt: session.lastSeenAt,
+        createdAt: session.createdAt,
+        expiresAt: session.expiresAt,
+        isCurrent: session._id.toString() === currentId
+      }))
+    }
+  });
+});
+
+// Revoke one session (sign out a device)
+const revokeSession = catchAsync(async (req, res, next) => {
+  const session = await sessionService.revokeSession(req.params.sessionId, req.user._id, 'revoked');
+  if (!session) {
+    return next(new AppError('Session not found', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Session revoked successfully'
+  });
+});
+
+// Revoke every session except the current one
+const revokeOtherSessions = catchAsync(async (req, res, next) => {
+  const result = await sessionService.revokeAllSessions(req.user._id, {
+    exceptId: req.authSession?._id,
+    reason: 'revoked'
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Other sessions revoked successfully',
+    data: {
+      revoked: result.modifiedCount
+    }
+  });
+});
+
+// Logout user (revoke the current session and clear cookies)
+const logout = catchAsync(async (req, res, next) => {
+  if (req.authSession) {
+    await sessionService.revokeSession(req.authSession._id, req.user._id, 'logout');
+  }
+
+  clearSessionCookies(res);
   
   res.status(200).json({
     status: 'success',
@@ -254,19 +463,71 @@ const logout = catchAsync(async (req, res, next) => {
 });
 
 // Delete user account
+// Listings are hidden and the account deactivated right away; personal data is
+// anonymized and listings removed once the grace period ends
 const deleteAccount = catchAsync(async (req, res, next) => {
   const user = await User.findById(req.user._id);
   if (!user) {
     return next(new AppError('User not found', 404));
   }
 
-  // Soft delete - mark as inactive instead of permanent deletion
-  user.isActive = false;
+  const deletionScheduledFor = await accountService.scheduleDeletion(user);
+  clearSessionCookies(res);
+
+  res.status(200).json({
+    status: 'success',
+    message: `Account scheduled for deletion. You can restore it until ${deletionScheduledFor.toISOString()}.`,
+    data: {
+      deletionScheduledFor
+    }
+  });
+});
+
+// Restore an account during its deletion grace period
+const restoreAccount = catchAsync(async (req, res, next) => {
+  const { phone, password } = req.body;
+
+  if (!phone || !password) {
+    return next(new AppError('Phone number and password are required', 400));
+  }
+
+  const user = await User.findOne({ phone });
+  if (!user || !(await bcrypt.compare(password, user.password))) {
+    return next(new AppError('Invalid phone number or password', 401));
+  }
+
+  if (!user.isPendingDeletion) {
+    return next(new AppError('This account is not scheduled for deletion', 400));
+  }
+
+  // A ban outlives the deletion request: banned accounts can't bring their listings back
+  if (user.isCurrentlyBanned) {
+    return next(new AppError('Your account has been banned.', 403, {
+      reason: user.banReason,
+      bannedUntil: user.bannedUntil
+    }));
+  }
+
+  await accountService.restoreAccount(user);
+  user.lastLogin = new Date();
   await user.save();
 
+  await createSendSession(user, 200, req, res);
+});
+
+// Download everything stored about the user as JSON
+const exportAccountData = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user._id);
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  const data = await accountService.buildDataExport(user);
+
+  res.attachment(`qafzh-account-${user._id}.json`);
   res.status(200).json({
     status: 'success',
-    message: 'Account deleted successfully'
+    data
   });
 });
 
@@ -293,10 +554,20 @@ module.exports = {
   registerUser,
   verifyOTP,
   requestOTP,
+  forgotPassword,
+  resetPassword,
   updateProfile,
+  requestPhoneChange,
+  confirmPhoneChange,
   getProfile,
+  refreshToken,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
   logout,
   deleteAccount,
+  restoreAccount,
+  exportAccountData,
   checkPhone,
   login
 };
@@ -1,4 +1,8 @@
 const Engineer = require('../models/engineer');
+const { normalizePhone } = require('../utils/phone');
+const { usesCursor, offsetParams, cursorParams, cursorPage } = require('../utils/pagination');
+const favorites = require('../services/favorites');
+const listingStats = require('../services/listingStats');
 
 
 // Add engineer
@@ -34,8 +38,17 @@ const addEngineer = async (req, res) => {
             return res.status(400).json({ message: 'Name, phone, services, governorate, and city are required' });
         }
 
+        // Compare canonical numbers so "+967 77..." and "77..." are the same engineer
+        const normalizedPhone = normalizePhone(phone);
+        if (!normalizedPhone) {
+            return res.status(400).json({
+                status: 400,
+                message: 'Please provide a valid Yemeni mobile number'
+            });
+        }
+
         // Check for duplicate phone number
-        const existingEngineer = await Engineer.findOne({ phone });
+        const existingEngineer = await Engineer.findOne({ phone: normalizedPhone });
         if (existingEngineer) {
             return res.status(400).json({
                 status: 400,
@@ -46,7 +59,7 @@ const addEngineer = async (req, res) => {
         // Construct new engineer object with full schema support
         const newEngineer = new Engineer({
             name,
-            phone,
+            phone: normalizedPhone,
             whatsappPhone,
             email,
             services,
@@ -88,23 +101,39 @@ const addEngineer = async (req, res) => {
 
 const getAllEngineers = async (req, res) => {
     try {
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 10;
+        // The public feed shows active engineers only; the admin table shows all
+        const filter = req.cursorPagination ? { isActive: true } : {};
+
+        if (usesCursor(req)) {
+            const { items, nextCursor, hasMore, limit } = await cursorPage(Engineer.find(filter), cursorParams(req));
+            return res.status(200).json({
+                success: true,
+                data: await favorites.withFavoriteFlags(req.user, 'engineer', items),
+                nextCursor,
+                hasMore,
+                limit
+            });
+        }
+
+        const { page, limit, skip } = offsetParams(req);
 
-        const total = await Engineer.countDocuments();
-        const engineers = await Engineer.find()
+        const total = await Engineer.countDocuments(filter);
+        const engineers = await Engineer.find(filter)
             .sort({ createdAt: -1 })
-            .skip((page - 1) * limit)
+            .skip(skip)
             .limit(limit);
 
         res.status(200).json({
             success: true,
-            data: engineers,
+            data: await favorites.withFavoriteFlags(req.user, 'engineer', engineers),
             total,
             currentPage: page,
             totalPages: Math.ceil(total / limit)
         });
     } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
         res.status(500).json({ success: false, message: 'Server error', error });
     }
 };
@@ -135,6 +164,7 @@ const deleteEngineer = async (req, res) => {
         if (!deleted) {
             return res.status(404).json({ message: 'Engineer not found' });
         }
+        await favorites.removeFavoritesOf('engineer', [deleted._id]);
 
         res.status(200).json({ message: 'Engineer deleted successfully' });
     } catch (error) {
@@ -168,7 +198,7 @@ const getEngineerById = async (req, res) => {
             });
         }
 
-        const engineer = await Engineer.findById(id);
+        const engineer = await Engineer.findOne({ _id: id, isActive: true });
 
         if (!engineer) {
             return res.status(404).json({
@@ -177,9 +207,11 @@ const getEngineerById = async (req, res) => {
             });
         }
 
+        listingStats.recordView(req, 'engineer', engineer._id);
+
         res.status(200).json({
             status: 200,
-            data: engineer,
+            data: await favorites.withFavoriteFlags(req.user, 'engineer', engineer),
             message: "Engineer fetched successfully"
         });
 
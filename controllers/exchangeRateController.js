@@ -0,0 +1,110 @@
+const ExchangeRate = require('../models/exchangeRate');
+const exchangeRates = require('../services/exchangeRates');
+const { AppError } = require('../middlewares/errorHandler');
+const { catchAsync } = require('../middlewares/errorHandler');
+
+// Current rate per currency with who set it and when
+// GET /api/v1/admin/exchange-rates
+const getExchangeRates = catchAsync(async (req, res, next) => {
+  const rates = await ExchangeRate.currentRates();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      baseCurrency: ExchangeRate.BASE_CURRENCY,
+      rates: ExchangeRate.RATED_CURRENCIES.map((currency) => ({
+        currency,
+        ...ExchangeRate.CURRENCIES[currency],
+        perUsd: rates[currency]?.perUsd ?? null,
+        updatedAt: rates[currency]?.updatedAt ?? null,
+        setBy: rates[currency]?.setBy ?? null
+      }))
+    }
+  });
+});
+
+// Rate history, newest first
+// GET /api/v1/admin/exchange-rates/history?currency=YER_SOUTH&from=&to=
+const getExchangeRateHistory = catchAsync(async (req, res, next) => {
+  const { currency, from, to, page = 1, limit = 50 } = req.query;
+  const filter = {};
+
+  if (currency) {
+    if (!ExchangeRate.RATED_CURRENCIES.includes(currency)) {
+      return next(new AppError(`Currency must be one of: ${ExchangeRate.RATED_CURRENCIES.join(', ')}`, 400));
+    }
+    filter.currency = currency;
+  }
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) {
+      const fromDate = new Date(from);
+      if (isNaN(fromDate)) return next(new AppError('Invalid from date', 400));
+      filter.createdAt.$gte = fromDate;
+    }
+    if (to) {
+      const toDate = new Date(to);
+      if (isNaN(toDate)) return next(new AppError('Invalid to date', 400));
+      filter.createdAt.$lte = toDate;
+    }
+  }
+
+  const [history, total] = await Promise.all([
+    ExchangeRate.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .populate('setBy', 'name email')
+      .lean(),
+    ExchangeRate.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: history.length,
+    data: {
+      history,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    }
+  });
+});
+
+// Set a new rate for a currency and reprice its products
+// PUT /api/v1/admin/exchange-rates/:currency
+const setExchangeRate = catchAsync(async (req, res, next) => {
+  const { currency } = req.params;
+  const perUsd = Number(req.body.perUsd);
+
+  if (!ExchangeRate.RATED_CURRENCIES.includes(currency)) {
+    return next(new AppError(`Currency must be one of: ${ExchangeRate.RATED_CURRENCIES.join(', ')}`, 400));
+  }
+  if (!Number.isFinite(perUsd) || perUsd <= 0) {
+    return next(new AppError('perUsd must be a positive number (units of the currency per 1 USD)', 400));
+  }
+
+  const { rate, repricedProducts } = await exchangeRates.setRate(currency, perUsd, {
+    admin: req.user,
+    note: req.body.note
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: `${currency} rate updated`,
+    data: {
+      rate,
+      repricedProducts
+    }
+  });
+});
+
+module.exports = {
+  getExchangeRates,
+  getExchangeRateHistory,
+  setExchangeRate
+};
@@ -0,0 +1,128 @@
+const Favorite = require('../models/favorite');
+const favorites = require('../services/favorites');
+const { AppError } = require('../middlewares/errorHandler');
+const { catchAsync } = require('../middlewares/errorHandler');
+
+const checkEntityType = (entityType) => {
+  if (!Favorite.ENTITY_TYPES.includes(entityType)) {
+    throw new AppError(`Entity type must be one of: ${Favorite.ENTITY_TYPES.join(', ')}`, 400);
+  }
+};
+
+// The caller's favorites, newest first, with the listings they point to
+// GET /api/v1/favorites?type=product&page=1&limit=20
+const getFavorites = catchAsync(async (req, res, next) => {
+  const { type } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+  const filter = { userId: req.user._id };
+  if (type) {
+    checkEntityType(type);
+    filter.entityType = type;
+  }
+
+  const [entries, total] = await Promise.all([
+    Favorite.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Favorite.countDocuments(filter)
+  ]);
+
+  // One lookup per entity type on the page
+  const listings = new Map();
+  await Promise.all(Favorite.ENTITY_TYPES.map(async (entityType) => {
+    const ids = entries.filter(entry => entry.entityType === entityType).map(entry => entry.entityId);
+    if (ids.length === 0) return;
+
+    const docs = await favorites.FAVORITE_MODELS[entityType].find({ _id: { $in: ids }, ...favorites.VISIBLE_FILTERS[entityType] });
+    docs.forEach(doc => listings.set(`${entityType}:${doc._id}`, doc));
+  }));
+
+  // Favorites of listings that are hidden for now (pending review, deactivated,
+  // owner pending deletion) stay on the list, and in the totals, without the listing
+  const data = entries.map(entry => {
+    const item = listings.get(`${entry.entityType}:${entry.entityId}`) || null;
+    return {
+      id: entry._id,
+      entityType: entry.entityType,
+      entityId: entry.entityId,
+      favoritedAt: entry.createdAt,
+      isAvailable: Boolean(item),
+      item
+    };
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: data.length,
+    data: {
+      favorites: data,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit
+      }
+    }
+  });
+});
+
+// Favorite a listing; favoriting it again is a no-op
+// POST /api/v1/favorites/:entityType/:entityId
+const addFavorite = catchAsync(async (req, res, next) => {
+  const { entityType, entityId } = req.params;
+  checkEntityType(entityType);
+
+  const exists = await favorites.FAVORITE_MODELS[entityType].exists({ _id: entityId, ...favorites.VISIBLE_FILTERS[entityType] });
+  if (!exists) {
+    return next(new AppError(`${entityType} not found`, 404));
+  }
+
+  const key = { userId: req.user._id, entityType, entityId };
+  let created = false;
+  try {
+    const result = await Favorite.updateOne(key, { $setOnInsert: key }, { upsert: true });
+    created = result.upsertedCount > 0;
+  } catch (error) {
+    // A concurrent request inserted the same favorite first
+    if (error.code !== 11000) throw error;
+  }
+
+  res.status(created ? 201 : 200).json({
+    status: 'success',
+    message: created ? 'Added to favorites' : 'Already in favorites',
+    data: {
+      entityType,
+      entityId,
+      isFavorited: true
+    }
+  });
+});
+
+// Unfavorite a listing; removing one that isn't favorited is a no-op
+// DELETE /api/v1/favorites/:entityType/:entityId
+const removeFavorite = catchAsync(async (req, res, next) => {
+  const { entityType, entityId } = req.params;
+  checkEntityType(entityType);
+
+  await Favorite.deleteOne({ userId: req.user._id, entityType, entityId });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Removed from favorites',
+    data: {
+      entityType,
+      entityId,
+      isFavorited: false
+    }
+  });
+});
+
+module.exports = {
+  getFavorites,
+  addFavorite,
+  removeFavorite
+};
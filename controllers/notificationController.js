@@ -0,0 +1,80 @@
+const Notification = require('../models/notification');
+const { AppError } = require('../middlewares/errorHandler');
+const { catchAsync } = require('../middlewares/errorHandler');
+
+// The caller's notifications, newest first
+// GET /api/v1/notifications?unread=true&page=1&limit=20
+const getNotifications = catchAsync(async (req, res, next) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+  const filter = { userId: req.user._id };
+  if (req.query.unread === 'true') filter.readAt = null;
+
+  const [notifications, total, unreadCount] = await Promise.all([
+    Notification.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Notification.countDocuments(filter),
+    Notification.countDocuments({ userId: req.user._id, readAt: null })
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: notifications.length,
+    data: {
+      notifications,
+      unreadCount,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit
+      }
+    }
+  });
+});
+
+// PATCH /api/v1/notifications/:id/read
+const markNotificationRead = catchAsync(async (req, res, next) => {
+  const notification = await Notification.findOne({ _id: req.params.id, userId: req.user._id });
+  if (!notification) {
+    return next(new AppError('Notification not found', 404));
+  }
+
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      notification
+    }
+  });
+});
+
+// PATCH /api/v1/notifications/read-all
+const markAllNotificationsRead = catchAsync(async (req, res, next) => {
+  const { modifiedCount } = await Notification.updateMany(
+    { userId: req.user._id, readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: 'All notifications marked as read',
+    data: {
+      marked: modifiedCount
+    }
+  });
+});
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+};
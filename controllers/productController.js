@@ -1,10 +1,23 @@
 const Product = require('../models/product');
 const User = require('../models/auth');
+const otpService = require('../services/otp');
+const imageService = require('../services/image');
+const favorites = require('../services/favorites');
+const listingStats = require('../services/listingStats');
+const { usesCursor, offsetParams, cursorParams, cursorPage } = require('../utils/pagination');
+
+// The request fields a seller may set on their listing; the rest are ignored
+const ownerFields = (body = {}) => Object.fromEntries(
+  Product.OWNER_EDITABLE_FIELDS
+    .filter((field) => body[field] !== undefined)
+    .map((field) => [field, body[field]])
+);
+
 // Called when user is already verified
 const postProduct = async (req, res) => {
   try {
     const user = req.user;
-    const productData = req.body;
+    const productData = ownerFields(req.body);
 
     const product = new Product({
       ...productData,
@@ -18,6 +31,9 @@ const postProduct = async (req, res) => {
       product
     });
   } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ msg: 'Invalid product data', error: err.message });
+    }
     console.error(err);
     res.status(500).json({ msg: 'Failed to post product', error: err.message });
   }
@@ -28,7 +44,6 @@ const postProduct = async (req, res) => {
 // Called after user submits OTP
 const verifyOtp = async (req, res) => {
   const {phone, otp } = req.body;
-  console.log(req.body);
 
 
   if (!otp) {
@@ -37,13 +52,17 @@ const verifyOtp = async (req, res) => {
   const user = await User.findOne({ phone });
   if (!user) return res.status(404).json({ msg: 'User not found' });
 
-  if (user.otp !== otp || user.otpExpires < Date.now()) {
-    return res.status(400).json({ msg: 'Invalid or expired OTP' });
+  try {
+    await otpService.verifyOTP(user, otp);
+  } catch (error) {
+    if (!error.isOperational) {
+      console.error(error);
+      return res.status(500).json({ msg: 'Failed to verify OTP' });
+    }
+    return res.status(error.statusCode).json({ msg: error.message, ...error.data });
   }
 
-  user.isVerified = true;
-  user.otp = null;
-  user.otpExpires = null;
+  user.clearOTP();
   await user.save()
   res.status(201).json({
     msg: 'OTP verified  successfully',
@@ -55,7 +74,7 @@ const updateProduct = async (req, res) => {
   try {
     const user = req.user;
     const productId = req.params.id;
-    const updatedData = req.body;
+    const updatedData = ownerFields(req.body);
 
     // Ensure product belongs to the current user
     const product = await Product.findOne({ _id: productId, userId: user._id });
@@ -64,12 +83,9 @@ const updateProduct = async (req, res) => {
       return res.status(404).json({ msg: "Product not found or unauthorized" });
     }
 
-    // Update the product
-    const updatedProduct = await Product.findByIdAndUpdate(
-      productId,
-      { $set: updatedData },
-      { new: true }
-    );
+    // Update through the document so field and specification validation runs
+    product.set(updatedData);
+    const updatedProduct = await product.save();
 
     res.status(200).json({
       msg: "Product updated successfully",
@@ -77,6 +93,9 @@ const updateProduct = async (req, res) => {
     });
 
   } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ msg: "Invalid product data", error: err.message });
+    }
     console.error(err);
     res.status(500).json({ msg: "Failed to update product", error: err.message });
   }
@@ -91,8 +110,7 @@ const deleteProduct = async (req, res) => {
 
     console.log('🔐 deleteProduct - Request:', {
       userId: user._id.toString(),
-      productId,
-      userPhone: user.phone
+      productId
     });
 
     // Ensure product belongs to the current user
@@ -112,6 +130,10 @@ const deleteProduct = async (req, res) => {
     }
 
     await Product.findByIdAndDelete(productId);
+    await favorites.removeFavoritesOf('product', [product._id]);
+    await imageService.deleteImages(product.images, {
+      folder: imageService.productImageFolder(product.userId)
+    });
 
     console.log('🔐 deleteProduct - Success:', { deletedProductId: productId });
 
@@ -137,27 +159,40 @@ const deleteProduct = async (req, res) => {
 
 const browseProducts = async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;   // Default page = 1
-    const limit = parseInt(req.query.limit) || 10; // Default limit = 10
-
     // const filter = { status: 'approved' }; // Only approved listings
 
-    const products = await Product.find()
+    if (usesCursor(req)) {
+      const { items, nextCursor, hasMore, limit } = await cursorPage(Product.find({ isActive: true }), cursorParams(req));
+      return res.json({
+        success: true,
+        data: await favorites.withFavoriteFlags(req.user, 'product', items),
+        nextCursor,
+        hasMore,
+        limit
+      });
+    }
+
+    const { page, limit, skip } = offsetParams(req);
+
+    const products = await Product.find({ isActive: true })
       .sort({ createdAt: -1 })
-      .skip((page - 1) * limit)
+      .skip(skip)
       .limit(limit);
 
-    const total = await Product.countDocuments();
+    const total = await Product.countDocuments({ isActive: true });
 
     res.json({
       success: true,
-      data: products,
+      data: await favorites.withFavoriteFlags(req.user, 'product', products),
       total,
       currentPage: page,
       totalPages: Math.ceil(total / limit),
     });
 
   } catch (err) {
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
     console.error("Browse Error:", err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
@@ -222,7 +257,7 @@ const getProductById = async (req, res) => {
       });
     }
 
-    const product = await Product.findById(id);
+    const product = await Product.findOne({ _id: id, isActive: true });
 
     if (!product) {
       return res.status(404).json({
@@ -231,9 +266,14 @@ const getProductById = async (req, res) => {
       });
     }
 
+    // Only approved listings count, and owners looking at their own don't
+    if (product.status === 'approved' && (!req.user || !product.userId.equals(req.user._id))) {
+      listingStats.recordView(req, 'product', product._id);
+    }
+
     res.status(200).json({
       status: 200,
-      data: product,
+      data: await favorites.withFavoriteFlags(req.user, 'product', product),
       message: "product fetched successfully"
     });
 
@@ -284,9 +324,10 @@ const getUserProducts = async (req, res) => {
       queryUserId: authenticatedUser._id.toString()
     });
 
+    // Sellers see how many users favorited each of their listings
     res.status(200).json({
       status: 200,
-      data: products,
+      data: await favorites.withFavoriteCounts('product', products),
       currentPage: parseInt(page),
       totalPages: Math.ceil(total / parseInt(limit)),
       total,
@@ -0,0 +1,107 @@
+const SavedSearch = require('../models/savedSearch');
+const ExchangeRate = require('../models/exchangeRate');
+const savedSearches = require('../services/savedSearches');
+const { buildProductSearch } = require('../services/productSearch');
+const { AppError } = require('../middlewares/errorHandler');
+const { catchAsync } = require('../middlewares/errorHandler');
+
+// The caller's saved searches, newest first
+// GET /api/v1/saved-searches
+const getSavedSearches = catchAsync(async (req, res, next) => {
+  const searches = await SavedSearch.find({ userId: req.user._id }).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    status: 'success',
+    results: searches.length,
+    data: {
+      savedSearches: searches
+    }
+  });
+});
+
+// Save the filters of a product search; new matching listings raise a notification
+// POST /api/v1/saved-searches
+const createSavedSearch = catchAsync(async (req, res, next) => {
+  const filters = savedSearches.pickFilters(req.body.filters);
+  if (Object.keys(filters).length === 0) {
+    return next(new AppError('At least one search filter is required', 400));
+  }
+
+  // Rejects filters the search itself would reject (e.g. a display currency without a rate)
+  buildProductSearch(filters, await ExchangeRate.currentRates());
+
+  const count = await SavedSearch.countDocuments({ userId: req.user._id });
+  if (count >= savedSearches.SAVED_SEARCHES_PER_USER) {
+    return next(new AppError(`You can save up to ${savedSearches.SAVED_SEARCHES_PER_USER} searches. Delete one first.`, 400));
+  }
+
+  const search = await SavedSearch.create({
+    userId: req.user._id,
+    name: req.body.name || savedSearches.describeFilters(filters),
+    filters
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Search saved',
+    data: {
+      savedSearch: search
+    }
+  });
+});
+
+// Rename, pause or resume a saved search
+// PATCH /api/v1/saved-searches/:id
+const updateSavedSearch = catchAsync(async (req, res, next) => {
+  const { name, isPaused } = req.body;
+
+  const search = await SavedSearch.findOne({ _id: req.params.id, userId: req.user._id });
+  if (!search) {
+    return next(new AppError('Saved search not found', 404));
+  }
+
+  if (name !== undefined) search.name = name;
+  if (isPaused !== undefined) {
+    if (typeof isPaused !== 'boolean') {
+      return next(new AppError('isPaused must be true or false', 400));
+    }
+    if (search.isPaused && !isPaused) {
+      // A search paused by the alert job can only resume once its filters work again
+      buildProductSearch(Object.fromEntries(search.filters), await ExchangeRate.currentRates());
+      // Resuming starts from now: listings approved while paused are not alerted
+      search.lastCheckedAt = new Date();
+      search.pausedReason = null;
+    }
+    search.isPaused = isPaused;
+  }
+
+  await search.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Saved search updated',
+    data: {
+      savedSearch: search
+    }
+  });
+});
+
+// DELETE /api/v1/saved-searches/:id
+const deleteSavedSearch = catchAsync(async (req, res, next) => {
+  const search = await SavedSearch.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+  if (!search) {
+    return next(new AppError('Saved search not found', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Saved search deleted'
+  });
+});
+
+module.exports = {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch
+};
@@ -1,4 +1,8 @@
 const Shop = require('../models/shop');
+const { normalizePhone } = require('../utils/phone');
+const { usesCursor, offsetParams, cursorParams, cursorPage } = require('../utils/pagination');
+const favorites = require('../services/favorites');
+const listingStats = require('../services/listingStats');
 
 // Add shop
 
@@ -36,8 +40,18 @@ const addShop = async (req, res) => {
             return res.status(400).json({ message: 'Required fields are missing' });
         }
 
+        // Compare canonical numbers so "+967 77..." and "77..." are the same shop
+        const normalizedPhone = normalizePhone(phone);
+        if (!normalizedPhone) {
+            return res.status(400).json({
+                status: 400,
+                data: [],
+                message: "Please provide a valid Yemeni mobile number"
+            });
+        }
+
         // Prevent duplicate shop by phone
-        const existingShop = await Shop.findOne({ phone });
+        const existingShop = await Shop.findOne({ phone: normalizedPhone });
         if (existingShop) {
             return res.status(400).json({
                 status: 400,
@@ -49,7 +63,7 @@ const addShop = async (req, res) => {
         const newShop = new Shop({
             name,
             description,
-            phone,
+            phone: normalizedPhone,
             whatsappPhone,
             email,
             website,
@@ -90,20 +104,33 @@ const addShop = async (req, res) => {
 // GET /api/v1/shop/get-all?page=1&limit=10
 const getAllShops = async (req, res) => {
     try {
-        const page = parseInt(req.query.page) || 1; // Default page 1
-        const limit = parseInt(req.query.limit) || 10; // Default limit 10
-        const skip = (page - 1) * limit;
+        // The public feed shows active shops only; the admin table shows all
+        const filter = req.cursorPagination ? { isActive: true } : {};
+
+        if (usesCursor(req)) {
+            const { items, nextCursor, hasMore, limit } = await cursorPage(Shop.find(filter), cursorParams(req));
+            return res.status(200).json({
+                status: 200,
+                data: await favorites.withFavoriteFlags(req.user, 'shop', items),
+                nextCursor,
+                hasMore,
+                limit,
+                message: 'Shops fetched successfully'
+            });
+        }
+
+        const { page, limit, skip } = offsetParams(req);
 
         const [shops, total] = await Promise.all([
-            Shop.find().sort({ createdAt: -1 }).skip(skip).limit(limit),
-            Shop.countDocuments()
+            Shop.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+            Shop.countDocuments(filter)
         ]);
 
         const totalPages = Math.ceil(total / limit);
 
         res.status(200).json({
             status: 200,
-            data: shops,
+            data: await favorites.withFavoriteFlags(req.user, 'shop', shops),
             pagination: {
                 total,
                 page,
@@ -113,6 +140,9 @@ const getAllShops = async (req, res) => {
             message: 'Shops fetched successfully'
         });
     } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({ status: error.statusCode, message: error.message });
+        }
         res.status(500).json({ message: 'Server error', error });
     }
 };
@@ -142,6 +172,7 @@ const deleteShop = async (req, res) => {
         if (!deleted) {
             return res.status(404).json({ message: 'Shop not found' });
         }
+        await favorites.removeFavoritesOf('shop', [deleted._id]);
 
         res.status(200).json({ message: 'Shop deleted successfully' });
     } catch (error) {
@@ -175,7 +206,7 @@ const getShopById = async (req, res) => {
             });
         }
 
-        const shop = await Shop.findById(id);
+        const shop = await Shop.findOne({ _id: id, isActive: true });
 
         if (!shop) {
             return res.status(404).json({
@@ -184,9 +215,11 @@ const getShopById = async (req, res) => {
             });
         }
 
+        listingStats.recordView(req, 'shop', shop._id);
+
         res.status(200).json({
             status: 200,
-            data: shop,
+            data: await favorites.withFavoriteFlags(req.user, 'shop', shop),
             message: "shop fetched successfully"
         });
 
@@ -0,0 +1,46 @@
+const imageService = require('../services/image');
+const { catchAsync } = require('../middlewares/errorHandler');
+
+const sendImages = (res, images) => {
+  res.status(201).json({
+    status: 'success',
+    results: images.length,
+    data: {
+      images
+    }
+  });
+};
+
+// Upload product photos; attach the returned `url`s to Product.images
+const uploadProductImages = catchAsync(async (req, res, next) => {
+  const images = await imageService.storeImages(req.files, {
+    folder: imageService.productImageFolder(req.user._id)
+  });
+  sendImages(res, images);
+});
+
+// Upload a shop logo (Admin with shops.update); attach `url` to Shop.logoUrl
+const uploadShopLogo = catchAsync(async (req, res, next) => {
+  const images = await imageService.storeImages(req.files, { folder: 'shops' });
+  sendImages(res, images);
+});
+
+// Upload engineer portfolio photos (Admin with engineers.update);
+// attach the returned `url`s to Engineer.portfolioImages
+const uploadEngineerPortfolio = catchAsync(async (req, res, next) => {
+  const images = await imageService.storeImages(req.files, { folder: 'engineers' });
+  sendImages(res, images);
+});
+
+// Upload an ad banner (Admin with ads.create); attach `url` to Ad.imageUrl
+const uploadAdImage = catchAsync(async (req, res, next) => {
+  const images = await imageService.storeImages(req.files, { folder: 'ads' });
+  sendImages(res, images);
+});
+
+module.exports = {
+  uploadProductImages,
+  uploadAdImage,
+  uploadShopLogo,
+  uploadEngineerPortfolio
+};
@@ -0,0 +1,24 @@
+const { purgeDueAccounts } = require('../services/account');
+const logger = require('../utils/logger');
+
+// Periodically anonymize accounts whose deletion grace period has ended.
+// ACCOUNT_PURGE_INTERVAL_MINUTES=0 disables it (e.g. when run from cron instead).
+const startAccountPurgeJob = () => {
+  const minutes = parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES ?? '60', 10);
+  if (!minutes) return null;
+
+  const run = async () => {
+    try {
+      const purged = await purgeDueAccounts();
+      if (purged > 0) logger.info(`Account purge job: ${purged} account(s) purged`);
+    } catch (error) {
+      logger.error('Account purge job failed', { error: error.message });
+    }
+  };
+
+  const timer = setInterval(run, minutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { startAccountPurgeJob };
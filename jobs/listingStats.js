@@ -0,0 +1,28 @@
+const { flushListingStats } = require('../services/listingStats');
+const logger = require('../utils/logger');
+
+// Periodically write recorded listing views and contacts to the listing counters.
+// LISTING_STATS_FLUSH_SECONDS=0 disables it (e.g. when another process does it).
+const startListingStatsJob = () => {
+  const seconds = parseInt(process.env.LISTING_STATS_FLUSH_SECONDS ?? '30', 10);
+  if (!seconds) return null;
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await flushListingStats();
+    } catch (error) {
+      logger.error('Listing stats job failed', { error: error.message });
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, seconds * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { startListingStatsJob };
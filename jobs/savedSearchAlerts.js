@@ -0,0 +1,30 @@
+const { matchSavedSearches } = require('../services/savedSearches');
+const logger = require('../utils/logger');
+
+// Periodically notify users of newly approved products matching their saved searches.
+// SAVED_SEARCH_ALERT_INTERVAL_MINUTES=0 disables it (e.g. when run from cron instead).
+const startSavedSearchAlertJob = () => {
+  const minutes = parseInt(process.env.SAVED_SEARCH_ALERT_INTERVAL_MINUTES ?? '5', 10);
+  if (!minutes) return null;
+
+  let running = false;
+  const run = async () => {
+    // A slow run must not overlap the next one and notify twice
+    if (running) return;
+    running = true;
+    try {
+      const notified = await matchSavedSearches();
+      if (notified > 0) logger.info(`Saved search alert job: ${notified} notification(s) created`);
+    } catch (error) {
+      logger.error('Saved search alert job failed', { error: error.message });
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, minutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { startSavedSearchAlertJob };
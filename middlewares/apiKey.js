@@ -0,0 +1,144 @@
+const ApiKey = require('../models/apiKey');
+const User = require('../models/auth');
+const { AppError } = require('./errorHandler');
+const { catchAsync } = require('./errorHandler');
+const logger = require('../utils/logger');
+
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const USAGE_FLUSH_INTERVAL_MS = 60 * 1000;
+
+// Per-key request counters for the current one-minute window
+const rateWindows = new Map();
+// Usage not yet written to the key document: id -> { count, ip, lastUsedAt }
+const pendingUsage = new Map();
+let flushTimer = null;
+
+// Read the key from `X-API-Key: <key>` or `Authorization: ApiKey <key>`
+const getRequestApiKey = (req) => {
+  if (req.headers['x-api-key']) return req.headers['x-api-key'];
+
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('ApiKey ')) return authorization.slice(7).trim();
+
+  return null;
+};
+
+// Fixed-window limit per key; sets the usual X-RateLimit-* headers
+const consumeRateLimit = (apiKey, res) => {
+  const id = apiKey._id.toString();
+  const now = Date.now();
+
+  let window = rateWindows.get(id);
+  if (!window || now >= window.resetTime) {
+    window = { count: 0, resetTime: now + RATE_LIMIT_WINDOW_MS };
+    rateWindows.set(id, window);
+  }
+  window.count++;
+
+  const limit = apiKey.rateLimitPerMinute;
+  res.set('X-RateLimit-Limit', String(limit));
+  res.set('X-RateLimit-Remaining', String(Math.max(limit - window.count, 0)));
+  res.set('X-RateLimit-Reset', String(Math.ceil(window.resetTime / 1000)));
+
+  if (window.count > limit) {
+    res.set('Retry-After', String(Math.ceil((window.resetTime - now) / 1000)));
+    return false;
+  }
+  return true;
+};
+
+// Record last use without a write per request: usage is batched and written
+// for every key once a minute, and on shutdown (see flushApiKeyUsage)
+const trackUsage = (apiKey, ip) => {
+  const id = apiKey._id.toString();
+  const usage = pendingUsage.get(id) || { count: 0 };
+  usage.count++;
+  usage.ip = ip;
+  usage.lastUsedAt = new Date();
+  pendingUsage.set(id, usage);
+
+  if (!flushTimer) {
+    flushTimer = setInterval(() => {
+      flushApiKeyUsage().catch((error) => logger.error('API key usage flush failed', { error: error.message }));
+    }, USAGE_FLUSH_INTERVAL_MS);
+    flushTimer.unref();
+  }
+};
+
+// Write the batched usage of all keys in one bulk write
+const flushApiKeyUsage = async () => {
+  const batch = [...pendingUsage.entries()];
+  pendingUsage.clear();
+  if (batch.length === 0) return;
+
+  const ops = batch.map(([id, usage]) => ({
+    updateOne: {
+      filter: { _id: id },
+      update: { $set: { lastUsedAt: usage.lastUsedAt, lastUsedIp: usage.ip || '' }, $inc: { usageCount: usage.count } }
+    }
+  }));
+
+  try {
+    await ApiKey.bulkWrite(ops, { ordered: false });
+  } catch (error) {
+    // Put the usage back for the next flush, keeping any newer last use
+    for (const [id, usage] of batch) {
+      const newer = pendingUsage.get(id);
+      pendingUsage.set(id, newer ? { ...newer, count: newer.count + usage.count } : usage);
+    }
+    logger.error('Failed to record API key usage', { apiKeys: ops.length, error: error.message });
+  }
+};
+
+// Authenticate the request with an API key holding `scope` and act as its owner.
+// Throws an AppError when the key is unknown, revoked, expired, lacks the scope,
+// is over its rate limit or belongs to an inactive, unverified or banned account.
+const authenticateApiKey = async (req, res, key, scope) => {
+  const apiKey = await ApiKey.findByKey(key);
+  if (!apiKey || !apiKey.isActive) {
+    throw new AppError('Invalid, revoked or expired API key.', 401);
+  }
+
+  if (scope && !apiKey.scopes.includes(scope)) {
+    throw new AppError(`This API key does not have the ${scope} scope.`, 403);
+  }
+
+  if (!consumeRateLimit(apiKey, res)) {
+    throw new AppError('API key rate limit exceeded. Please slow down.', 429, {
+      limitPerMinute: apiKey.rateLimitPerMinute
+    });
+  }
+
+  const user = await User.findById(apiKey.userId).select('+isActive');
+  if (!user || !user.isActive || !user.isVerified || user.isCurrentlyBanned) {
+    throw new AppError('The account this API key belongs to is inactive, unverified or banned.', 403);
+  }
+
+  trackUsage(apiKey, req.ip);
+
+  req.apiKey = apiKey;
+  req.user = user;
+};
+
+// Let a route accept an API key with `scope` alongside its usual authentication.
+// Requests without a key go through `fallback` (e.g. authToken); without a
+// fallback they continue anonymously, so public routes stay public.
+const acceptApiKey = (scope, fallback) => {
+  return catchAsync(async (req, res, next) => {
+    const key = getRequestApiKey(req);
+
+    if (!key) {
+      return fallback ? fallback(req, res, next) : next();
+    }
+
+    await authenticateApiKey(req, res, key, scope);
+    next();
+  });
+};
+
+module.exports = {
+  acceptApiKey,
+  authenticateApiKey,
+  getRequestApiKey,
+  flushApiKeyUsage
+};
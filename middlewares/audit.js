@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const auditService = require('../services/audit');
+const logger = require('../utils/logger');
+
+// Find the id of a created document in a response body such as
+// { shop: {...} } or { data: { admin: {...} } }
+const findDocumentId = (body, depth = 0) => {
+  if (!body || typeof body !== 'object' || depth > 2) return null;
+
+  for (const value of Object.values(body)) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      if (value._id) return value._id;
+      const nested = findDocumentId(value, depth + 1);
+      if (nested) return nested;
+    }
+  }
+  return null;
+};
+
+// Record the admin action handled by this route in the audit log.
+// `model` is the mongoose model name of the target; the target id comes from
+// req.params[idParam], the acting admin when `self` is set, or the response
+// body for creates. The entity is loaded before the handler runs and again
+// after a successful response to store the diff. Nothing is recorded for failed (4xx/5xx) responses.
+const audit = (action, { model, entity, idParam = 'id', self = false } = {}) => {
+  const entityType = entity || (model ? model.toLowerCase() : 'system');
+
+  return async (req, res, next) => {
+    try {
+      const Model = model ? mongoose.model(model) : null;
+      const targetId = self ? req.user._id.toString() : req.params[idParam];
+      const canLoad = (id) => Model && id && mongoose.isValidObjectId(id);
+
+      const before = canLoad(targetId) ? await Model.findById(targetId).lean() : null;
+
+      let responseBody;
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        responseBody = body;
+        return json(body);
+      };
+
+      res.on('finish', async () => {
+        if (res.statusCode >= 400) return;
+
+        try {
+          const entityId = targetId || findDocumentId(responseBody);
+          const after = canLoad(entityId) ? await Model.findById(entityId).lean() : null;
+
+          await auditService.recordAudit({
+            req,
+            action,
+            entityType,
+            entityId,
+            before,
+            after,
+            statusCode: res.statusCode
+          });
+        } catch (error) {
+          logger.error('Failed to audit admin action', { action, error: error.message });
+        }
+      });
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  audit
+};
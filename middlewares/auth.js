@@ -4,6 +4,8 @@ const User = require('../models/auth');
 const Admin = require('../models/admin');
 const { AppError } = require('./errorHandler');
 const { catchAsync } = require('./errorHandler');
+const sessionService = require('../services/session');
+const logger = require('../utils/logger');
 
 // Generate JWT token
 const signToken = (id, role = 'user') => {
@@ -37,6 +39,94 @@ const createSendToken = (user, statusCode, res) => {
   });
 };
 
+// Set the access token cookie and the refresh token cookie (scoped to the auth routes)
+const setSessionCookies = (res, accessToken, refreshToken) => {
+  const secure = process.env.NODE_ENV === 'production';
+
+  res.cookie('jwt', accessToken, {
+    expires: new Date(Date.now() + (process.env.JWT_COOKIE_EXPIRES_IN || 90) * 24 * 60 * 60 * 1000),
+    httpOnly: true,
+    secure,
+    sameSite: 'strict'
+  });
+
+  res.cookie('refreshToken', refreshToken, {
+    expires: new Date(Date.now() + sessionService.REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000),
+    httpOnly: true,
+    secure,
+    sameSite: 'strict',
+    path: '/api/v1/auth'
+  });
+};
+
+// Clear both session cookies
+const clearSessionCookies = (res) => {
+  res.cookie('jwt', 'loggedout', {
+    expires: new Date(Date.now() + 10 * 1000),
+    httpOnly: true
+  });
+  res.clearCookie('refreshToken', { path: '/api/v1/auth' });
+};
+
+// Start a user session on this device and send access + refresh tokens
+const createSendSession = async (user, statusCode, req, res) => {
+  const { accessToken, refreshToken, session } = await sessionService.createSession(user, req);
+
+  setSessionCookies(res, accessToken, refreshToken);
+
+  // Remove password from output
+  user.password = undefined;
+
+  res.status(statusCode).json({
+    status: 'success',
+    token: accessToken,
+    refreshToken,
+    data: {
+      user,
+      sessionId: session._id
+    }
+  });
+};
+
+// Load the user behind a decoded token and make sure the token is still good:
+// account active and not banned, not issued before a password change,
+// deactivation or ban (tokenVersion), and its session not revoked.
+// Throws an AppError otherwise.
+const verifyUserToken = async (decoded) => {
+  const user = await User.findById(decoded.id).select('+isActive');
+  logger.debug('Auth user lookup', {
+    userId: decoded.id,
+    userFound: !!user,
+    isActive: user?.isActive
+  });
+  if (!user || !user.isActive) {
+    throw new AppError('The user account no longer exists or is inactive.', 401);
+  }
+
+  if (user.isCurrentlyBanned) {
+    throw new AppError('Your account has been banned.', 403, {
+      reason: user.banReason,
+      bannedUntil: user.bannedUntil
+    });
+  }
+
+  if (!user.isTokenCurrent(decoded)) {
+    throw new AppError('Your token is no longer valid! Please log in again.', 401);
+  }
+
+  // Every user token belongs to a session. Tokens issued before sessions existed
+  // carry no sid and couldn't be revoked by logout, so they are no longer accepted.
+  if (!decoded.sid) {
+    throw new AppError('Your token is no longer valid! Please log in again.', 401);
+  }
+  const session = await sessionService.findActiveSession(decoded.sid, user._id);
+  if (!session) {
+    throw new AppError('Your session has been revoked. Please log in again.', 401);
+  }
+
+  return { user, session };
+};
+
 // Protect routes - verify JWT token
 const authToken = catchAsync(async (req, res, next) => {
   // 1) Getting token and check if it's there
@@ -55,6 +145,11 @@ const authToken = catchAsync(async (req, res, next) => {
   // 2) Verification token
   const decoded = jwt.verify(token, process.env.SECRET_KEY);
 
+  // Purpose-bound tokens (e.g. the admin 2FA login challenge) are not access tokens
+  if (decoded.purpose) {
+    return next(new AppError('Invalid token. Please log in again!', 401));
+  }
+
   // 3) Check if user still exists
   let currentUser;
   if (decoded.role === 'admin' || decoded.role === 'super_admin' || decoded.role === 'moderator') {
@@ -63,21 +158,14 @@ const authToken = catchAsync(async (req, res, next) => {
       return next(new AppError('The admin account no longer exists or is inactive.', 401));
     }
     
-    // 4) Check if admin changed password after the token was issued
-    // if (currentUser.changedPasswordAfter && currentUser.changedPasswordAfter(decoded.iat)) {
-    //   return next(new AppError('Admin recently changed password! Please log in again.', 401));
-    // }
-  } else {
-    currentUser = await User.findById(decoded.id).select('+isActive');
-    console.log('🔐 Auth middleware - User lookup:', {
-      userId: decoded.id,
-      userFound: !!currentUser,
-      isActive: currentUser?.isActive,
-      userPhone: currentUser?.phone
-    });
-    if (!currentUser || !currentUser.isActive) {
-      return next(new AppError('The user account no longer exists or is inactive.', 401));
+    // 4) Check if admin changed (or reset) password after the token was issued
+    if (currentUser.changedPasswordAfter(decoded.iat)) {
+      return next(new AppError('Admin recently changed password! Please log in again.', 401));
     }
+  } else {
+    const { user, session } = await verifyUserToken(decoded);
+    currentUser = user;
+    req.authSession = session;
   }
 
   // Grant access to protected route
@@ -100,6 +188,21 @@ const isAdmin = (req, res, next) => {
   if (!req.user || !['admin', 'super_admin', 'moderator'].includes(req.user.role)) {
     return next(new AppError('Access denied. Admins only.', 403));
   }
+
+  if (req.user.twoFactorSetupRequired) {
+    return next(new AppError('Two-factor authentication must be enabled on your account before continuing.', 403, {
+      twoFactorSetupRequired: true
+    }));
+  }
+  next();
+};
+
+// Admin check for the 2FA enrollment routes, which must stay reachable
+// while a required 2FA setup is still pending
+const isAdminEnrolling = (req, res, next) => {
+  if (!req.user || !['admin', 'super_admin', 'moderator'].includes(req.user.role)) {
+    return next(new AppError('Access denied. Admins only.', 403));
+  }
   next();
 };
 
@@ -151,15 +254,21 @@ const optionalAuth = catchAsync(async (req, res, next) => {
       let currentUser;
       if (decoded.role === 'admin' || decoded.role === 'super_admin' || decoded.role === 'moderator') {
         currentUser = await Admin.findById(decoded.id).select('+isActive');
+        // Same as authToken: tokens issued before a password change don't count
+        if (currentUser && currentUser.changedPasswordAfter(decoded.iat)) {
+          currentUser = null;
+        }
       } else {
-        currentUser = await User.findById(decoded.id).select('+isActive');
+        const { user, session } = await verifyUserToken(decoded);
+        currentUser = user;
+        req.authSession = session;
       }
       
       if (currentUser && currentUser.isActive) {
         req.user = currentUser;
       }
     } catch (err) {
-      // Token is invalid, but we continue without authentication
+      // Token is invalid, stale or revoked, but we continue without authentication
       // This allows anonymous access while still providing user context if available
     }
   }
@@ -167,12 +276,12 @@ const optionalAuth = catchAsync(async (req, res, next) => {
   next();
 });
 
-// Rate limiting for authentication endpoints
-const authRateLimit = (windowMs, max) => {
+// Rate limiting for authentication endpoints, per client IP unless keyFor says otherwise
+const authRateLimit = (windowMs, max, keyFor = (req) => req.ip) => {
   const attempts = new Map();
   
   return (req, res, next) => {
-    const key = req.ip;
+    const key = keyFor(req);
     const now = Date.now();
     
     if (!attempts.has(key)) {
@@ -200,9 +309,13 @@ const authRateLimit = (windowMs, max) => {
 module.exports = {
   signToken,
   createSendToken,
+  createSendSession,
+  setSessionCookies,
+  clearSessionCookies,
   authToken,
   restrictTo,
   isAdmin,
+  isAdminEnrolling,
   isSuperAdmin,
   isVerified,
   checkPermission,
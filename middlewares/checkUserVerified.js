@@ -1,4 +1,6 @@
 const User = require('../models/auth');
+const otpService = require('../services/otp');
+const { normalizePhone } = require('../utils/phone');
 
 const checkUserVerified = async (req, res, next) => {
  
@@ -11,7 +13,12 @@ const checkUserVerified = async (req, res, next) => {
     return res.status(400).json({ msg: 'phone is required' });
   }
 
-  const user = await User.findOne({ phone });
+  const normalizedPhone = normalizePhone(phone);
+  if (!normalizedPhone) {
+    return res.status(400).json({ msg: 'Please provide a valid Yemeni mobile number' });
+  }
+
+  const user = await User.findOne({ phone: normalizedPhone });
 
   if (!user) {
     return res.status(404).json({ msg: 'User not found. Please register first.' });
@@ -23,12 +30,12 @@ const checkUserVerified = async (req, res, next) => {
     return next();
   }
 
-  const otp = 112233;
-  const otpExpires = new Date(Date.now() + 5 * 60 * 1000);
   if (!user.isVerified) {
-    user.otp = otp;
-    user.otpExpires = otpExpires;
-    await user.save();
+    try {
+      await otpService.sendOTP(user);
+    } catch (error) {
+      return next(error);
+    }
 
     return res.status(404).json({
       status: 404,
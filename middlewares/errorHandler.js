@@ -1,12 +1,14 @@
 const logger = require('../utils/logger');
 
 // Custom error class
+// `data` carries optional structured details (e.g. lock expiry) to the client
 class AppError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, data) {
     super(message);
     this.statusCode = statusCode;
     this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
     this.isOperational = true;
+    if (data) this.data = data;
 
     Error.captureStackTrace(this, this.constructor);
   }
@@ -60,6 +62,7 @@ const sendErrorDev = (err, req, res) => {
     status: err.status,
     error: err,
     message: err.message,
+    ...(err.data && { data: err.data }),
     stack: err.stack
   });
 };
@@ -81,7 +84,8 @@ const sendErrorProd = (err, req, res) => {
 
     res.status(err.statusCode).json({
       status: err.status,
-      message: err.message
+      message: err.message,
+      ...(err.data && { data: err.data })
     });
   } else {
     // Programming or other unknown error: don't leak error details
@@ -58,7 +58,7 @@ const corsOptions = {
   origin: '*', // Allow ALL origins (not recommended for production)
   credentials: false, // Disable credentials if allowing all origins
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Device-Name', 'X-API-Key']
 };
 
 // Security headers configuration
@@ -0,0 +1,60 @@
+const multer = require('multer');
+const { AppError } = require('./errorHandler');
+
+const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_FILE_SIZE_MB = parseInt(process.env.UPLOAD_MAX_FILE_SIZE_MB, 10) || 5;
+
+// Files are kept in memory only long enough to be processed and stored
+const imageUploader = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE_MB * 1024 * 1024,
+    files: 10
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+      return cb(new AppError(`Unsupported file type ${file.mimetype}. Allowed: JPEG, PNG, WebP`, 415));
+    }
+    cb(null, true);
+  }
+});
+
+const multerErrorToAppError = (error) => {
+  switch (error.code) {
+    case 'LIMIT_FILE_SIZE':
+      return new AppError(`Each image must be at most ${MAX_FILE_SIZE_MB} MB`, 413);
+    case 'LIMIT_FILE_COUNT':
+    case 'LIMIT_UNEXPECTED_FILE':
+      return new AppError(`Too many files or unexpected field "${error.field || ''}"`, 400);
+    default:
+      return new AppError(error.message, 400);
+  }
+};
+
+// Accept up to `maxCount` images in multipart field `field` (a single file
+// when maxCount is 1) and reject requests without any. Files end up in
+// req.files as an array either way.
+const uploadImages = (field, maxCount = 1) => {
+  const handler = maxCount > 1 ? imageUploader.array(field, maxCount) : imageUploader.single(field);
+
+  return (req, res, next) => {
+    handler(req, res, (error) => {
+      if (error) {
+        return next(error instanceof multer.MulterError ? multerErrorToAppError(error) : error);
+      }
+
+      req.files = req.files || (req.file ? [req.file] : []);
+      if (req.files.length === 0) {
+        return next(new AppError(`Please attach at least one image in the "${field}" field`, 400));
+      }
+
+      next();
+    });
+  };
+};
+
+module.exports = {
+  uploadImages,
+  ALLOWED_IMAGE_TYPES,
+  MAX_FILE_SIZE_MB
+};
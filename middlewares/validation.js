@@ -1,10 +1,13 @@
 const { AppError } = require('./errorHandler');
+const { normalizePhone, isValidYemeniMobile } = require('../utils/phone');
 
 // Validation helper functions
 const isValidPhone = (phone) => {
-  return /^[0-9+()-\s]{8,15}$/.test(phone);
+  return isValidYemeniMobile(phone);
 };
 
+const PHONE_MESSAGE = 'Please provide a valid Yemeni mobile number';
+
 const isValidEmail = (email) => {
   return /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/.test(email);
 };
@@ -17,6 +20,14 @@ const isValidObjectId = (id) => {
   return /^[0-9a-fA-F]{24}$/.test(id);
 };
 
+// Password policy shared by registration and password reset
+const PASSWORD_POLICY_MESSAGE = 'Password must be at least 6 characters long and include uppercase, lowercase, number, and special character.';
+
+const isStrongPassword = (password) => {
+  return typeof password === 'string' &&
+    /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&]).{6,}$/.test(password);
+};
+
 // User registration validation
 const validateUserRegistration = (req, res, next) => {
   const { phone } = req.body;
@@ -25,12 +36,11 @@ const validateUserRegistration = (req, res, next) => {
     return next(new AppError('Phone number is required', 400));
   }
 
-  if (phone.length<8) {
-    console.log("tet");
-    
-    return next(new AppError('Please provide a valid phone number', 400));
+  if (!isValidPhone(phone)) {
+    return next(new AppError(PHONE_MESSAGE, 400));
   }
 
+  req.body.phone = normalizePhone(phone);
   next();
 };
 
@@ -43,14 +53,59 @@ const validateOTPVerification = (req, res, next) => {
     return next(new AppError('Phone number and OTP are required', 400));
   }
 
-  if (phone.length<8) {
-    return next(new AppError('Please provide a valid phone number', 400));
+  if (!isValidPhone(phone)) {
+    return next(new AppError(PHONE_MESSAGE, 400));
   }
 
   if (otp.length !== 6) {
     return next(new AppError('OTP must be 6 digits', 400));
   }
 
+  req.params.phone = normalizePhone(phone);
+  next();
+};
+
+// Password reset validation
+const validatePasswordReset = (req, res, next) => {
+  const { phone, otp, password, confirmPassword } = req.body;
+
+  if (!phone || !otp || !password) {
+    return next(new AppError('Phone number, OTP and new password are required', 400));
+  }
+
+  if (!isValidPhone(phone)) {
+    return next(new AppError(PHONE_MESSAGE, 400));
+  }
+
+  if (String(otp).length !== 6) {
+    return next(new AppError('OTP must be 6 digits', 400));
+  }
+
+  if (!isStrongPassword(password)) {
+    return next(new AppError(PASSWORD_POLICY_MESSAGE, 400));
+  }
+
+  if (confirmPassword !== undefined && password !== confirmPassword) {
+    return next(new AppError('Password and confirm password do not match', 400));
+  }
+
+  req.body.phone = normalizePhone(phone);
+  next();
+};
+
+// Change-phone request validation
+const validatePhoneChange = (req, res, next) => {
+  const { newPhone } = req.body;
+
+  if (!newPhone) {
+    return next(new AppError('New phone number is required', 400));
+  }
+
+  if (!isValidPhone(newPhone)) {
+    return next(new AppError(PHONE_MESSAGE, 400));
+  }
+
+  req.body.newPhone = normalizePhone(newPhone);
   next();
 };
 
@@ -101,8 +156,8 @@ const validateProductCreation = (req, res, next) => {
     return next(new AppError('Price must be between 0 and 999,999,999', 400));
   }
 
-  if (!phone || phone.length<8) {
-    return next(new AppError('Please provide a valid phone number', 400));
+  if (!phone || !isValidPhone(phone)) {
+    return next(new AppError(PHONE_MESSAGE, 400));
   }
 
   if (!governorate || governorate.trim().length === 0) {
@@ -142,8 +197,8 @@ const validateEngineerCreation = (req, res, next) => {
     return next(new AppError('Engineer name must be between 2 and 100 characters', 400));
   }
 
-  if (!phone || phone.length<8) {
-    return next(new AppError('Please provide a valid phone number', 400));
+  if (!phone || !isValidPhone(phone)) {
+    return next(new AppError(PHONE_MESSAGE, 400));
   }
 
   if (whatsappPhone && !isValidPhone(whatsappPhone)) {
@@ -194,8 +249,8 @@ const validateShopCreation = (req, res, next) => {
     return next(new AppError('Shop name must be between 2 and 200 characters', 400));
   }
 
-  if (!phone || phone.length<8) {
-    return next(new AppError('Please provide a valid phone number', 400));
+  if (!phone || !isValidPhone(phone)) {
+    return next(new AppError(PHONE_MESSAGE, 400));
   }
 
   if (whatsappPhone && !isValidPhone(whatsappPhone)) {
@@ -273,25 +328,6 @@ const validateAdCreation = (req, res, next) => {
   next();
 };
 
-// Admin creation validation
-const validateAdminCreation = (req, res, next) => {
-  const { name, email, password } = req.body;
-
-  if (!name || name.trim().length < 2 || name.trim().length > 100) {
-    return next(new AppError('Admin name must be between 2 and 100 characters', 400));
-  }
-
-  if (!email || !isValidEmail(email)) {
-    return next(new AppError('Please provide a valid email address', 400));
-  }
-
-  if (!password || password.length < 6) {
-    return next(new AppError('Password must be at least 6 characters long', 400));
-  }
-
-  next();
-};
-
 // Pagination validation
 const validatePagination = (req, res, next) => {
   const { page = 1, limit = 20 } = req.query;
@@ -318,12 +354,15 @@ const validateObjectId = (paramName) => (req, res, next) => {
 module.exports = {
   validateUserRegistration,
   validateOTPVerification,
+  validatePasswordReset,
+  validatePhoneChange,
   validateUserProfileUpdate,
   validateProductCreation,
   validateEngineerCreation,
   validateShopCreation,
   validateAdCreation,
-  validateAdminCreation,
   validatePagination,
-  validateObjectId
+  validateObjectId,
+  isStrongPassword,
+  PASSWORD_POLICY_MESSAGE
 }; 
\ No newline at end of file
@@ -1,6 +1,40 @@
 // models/Admin.js
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const totp = require('../utils/totp');
+
+// Permission matrix applied when an admin is created or changes role without
+// explicit permissions. Super admins (isSuperAdmin) bypass the matrix entirely.
+const ROLE_PERMISSION_PRESETS = {
+    super_admin: {
+        products: { create: true, read: true, update: true, delete: true, approve: true },
+        engineers: { create: true, read: true, update: true, delete: true },
+        shops: { create: true, read: true, update: true, delete: true },
+        ads: { create: true, read: true, update: true, delete: true },
+        users: { read: true, update: true, delete: true },
+        analytics: { read: true },
+        exchangeRates: { read: true, update: true }
+    },
+    admin: {
+        products: { create: false, read: true, update: true, delete: true, approve: true },
+        engineers: { create: true, read: true, update: true, delete: true },
+        shops: { create: true, read: true, update: true, delete: true },
+        ads: { create: true, read: true, update: true, delete: true },
+        users: { read: true, update: true, delete: false },
+        analytics: { read: true },
+        exchangeRates: { read: true, update: true }
+    },
+    // Reviews listings and users; can't add, edit or remove directory entries or ads
+    moderator: {
+        products: { create: false, read: true, update: true, delete: false, approve: true },
+        engineers: { create: false, read: true, update: false, delete: false },
+        shops: { create: false, read: true, update: false, delete: false },
+        ads: { create: false, read: true, update: false, delete: false },
+        users: { read: true, update: true, delete: false },
+        analytics: { read: false },
+        exchangeRates: { read: true, update: false }
+    }
+};
 
 const adminSchema = new mongoose.Schema({
     name: { 
@@ -67,6 +101,10 @@ const adminSchema = new mongoose.Schema({
         },
         analytics: {
             read: { type: Boolean, default: true }
+        },
+        exchangeRates: {
+            read: { type: Boolean, default: true },
+            update: { type: Boolean, default: false }
         }
     },
     profileImageUrl: {
@@ -112,9 +150,11 @@ const adminSchema = new mongoose.Schema({
         type: Date,
         default: null
     },
+    // Only set on a password change; a Date.now default would be re-applied to
+    // documents missing the field on every load and reject all of their tokens
     passwordChangedAt: {
         type: Date,
-        default: Date.now
+        default: null
     },
     passwordResetToken: {
         type: String,
@@ -123,6 +163,42 @@ const adminSchema = new mongoose.Schema({
     passwordResetExpires: {
         type: Date,
         default: null
+    },
+    // TOTP two-factor authentication
+    twoFactorEnabled: {
+        type: Boolean,
+        default: false
+    },
+    // Set by a super admin: the admin can't use the dashboard until 2FA is enabled
+    twoFactorRequired: {
+        type: Boolean,
+        default: false
+    },
+    twoFactorSecret: {
+        type: String,
+        default: null,
+        select: false
+    },
+    // Secret issued by /2fa/setup, promoted to twoFactorSecret once a code is confirmed
+    twoFactorPendingSecret: {
+        type: String,
+        default: null,
+        select: false
+    },
+    twoFactorBackupCodes: {
+        type: [String],
+        default: [],
+        select: false
+    },
+    // Last accepted TOTP time step, so a code can't be replayed within its window
+    twoFactorLastUsedStep: {
+        type: Number,
+        default: null,
+        select: false
+    },
+    twoFactorEnabledAt: {
+        type: Date,
+        default: null
     }
 }, { 
     timestamps: true 
@@ -140,6 +216,25 @@ adminSchema.virtual('isLocked').get(function() {
     return !!(this.lockUntil && this.lockUntil > Date.now());
 });
 
+// Admin was told to enroll in 2FA and hasn't yet
+adminSchema.virtual('twoFactorSetupRequired').get(function() {
+    return !!(this.twoFactorRequired && !this.twoFactorEnabled);
+});
+
+// The super_admin role and the isSuperAdmin flag always agree. A role change
+// (preset or invite) sets the flag; super admins created with the
+// flag only (seeded accounts) get the role.
+adminSchema.pre('save', function(next) {
+    if (this.isModified('role') && !this.isNew) {
+        this.isSuperAdmin = this.role === 'super_admin';
+    } else if (this.isSuperAdmin) {
+        this.role = 'super_admin';
+    } else {
+        this.isSuperAdmin = this.role === 'super_admin';
+    }
+    next();
+});
+
 // Hash password before saving
 adminSchema.pre('save', async function(next) {
     // Only hash the password if it has been modified (or is new)
@@ -169,7 +264,7 @@ adminSchema.methods.comparePassword = async function(candidatePassword) {
 };
 
 // Instance method to increment login attempts
-adminSchema.methods.incLoginAttempts = function() {
+adminSchema.methods.incLoginAttempts = async function() {
     // Check if we have a previous lock that has expired
     if (this.lockUntil && this.lockUntil < Date.now()) {
         return this.updateOne({
@@ -180,16 +275,21 @@ adminSchema.methods.incLoginAttempts = function() {
         });
     }
     
-    const updates = { $inc: { loginAttempts: 1 } };
+    // Lock on the stored count, so concurrent wrong attempts can't all slip under the limit
+    const updated = await this.constructor.findOneAndUpdate(
+        { _id: this._id },
+        { $inc: { loginAttempts: 1 } },
+        { new: true, projection: { loginAttempts: 1, lockUntil: 1 } }
+    );
+    if (!updated) return;
+    this.loginAttempts = updated.loginAttempts;
     
     // Lock account after 5 failed attempts for 2 hours
-    if (this.loginAttempts + 1 >= 5 && !this.isLocked) {
-        updates.$set = {
-            lockUntil: Date.now() + 2 * 60 * 60 * 1000 // 2 hours
-        };
+    const alreadyLocked = updated.lockUntil && updated.lockUntil > Date.now();
+    if (updated.loginAttempts >= 5 && !alreadyLocked) {
+        this.lockUntil = Date.now() + 2 * 60 * 60 * 1000; // 2 hours
+        await this.updateOne({ $set: { lockUntil: this.lockUntil } });
     }
-    
-    return this.updateOne(updates);
 };
 
 // Instance method to reset login attempts
@@ -228,6 +328,73 @@ adminSchema.methods.createPasswordResetToken = function() {
     return resetToken;
 };
 
+// Start 2FA enrollment: store a new (encrypted) pending secret and return it in clear
+adminSchema.methods.createTwoFactorSecret = function() {
+    const secret = totp.generateSecret();
+    this.twoFactorPendingSecret = totp.encryptSecret(secret);
+    return secret;
+};
+
+// Confirm enrollment with a code from the authenticator app.
+// Returns the new backup codes, or null if the code is wrong.
+adminSchema.methods.enableTwoFactor = function(code) {
+    if (!this.twoFactorPendingSecret) return null;
+
+    const secret = totp.decryptSecret(this.twoFactorPendingSecret);
+    const step = totp.verifyTOTP(secret, code);
+    if (step === null) return null;
+
+    this.twoFactorSecret = this.twoFactorPendingSecret;
+    this.twoFactorPendingSecret = null;
+    this.twoFactorLastUsedStep = step;
+    this.twoFactorEnabled = true;
+    this.twoFactorEnabledAt = Date.now();
+
+    return this.regenerateBackupCodes();
+};
+
+// Replace the backup codes; returns the new codes in clear (shown once)
+adminSchema.methods.regenerateBackupCodes = function() {
+    const codes = totp.generateBackupCodes();
+    this.twoFactorBackupCodes = codes.map(totp.hashBackupCode);
+    return codes;
+};
+
+// Check a TOTP code, or a backup code which is consumed on use.
+// Needs +twoFactorSecret +twoFactorBackupCodes +twoFactorLastUsedStep selected.
+// Returns 'totp', 'backup_code' or null; the caller saves the document.
+adminSchema.methods.verifyTwoFactorCode = function(code, { allowBackupCode = true } = {}) {
+    if (!this.twoFactorEnabled || !this.twoFactorSecret || !code) return null;
+
+    const step = totp.verifyTOTP(totp.decryptSecret(this.twoFactorSecret), code);
+    if (step !== null) {
+        if (this.twoFactorLastUsedStep !== null && step <= this.twoFactorLastUsedStep) return null;
+        this.twoFactorLastUsedStep = step;
+        return 'totp';
+    }
+
+    if (allowBackupCode) {
+        const hashed = totp.hashBackupCode(code);
+        const index = (this.twoFactorBackupCodes || []).indexOf(hashed);
+        if (index !== -1) {
+            this.twoFactorBackupCodes.splice(index, 1);
+            return 'backup_code';
+        }
+    }
+
+    return null;
+};
+
+// Turn 2FA off and forget the secret and backup codes
+adminSchema.methods.disableTwoFactor = function() {
+    this.twoFactorEnabled = false;
+    this.twoFactorSecret = null;
+    this.twoFactorPendingSecret = null;
+    this.twoFactorBackupCodes = [];
+    this.twoFactorLastUsedStep = null;
+    this.twoFactorEnabledAt = null;
+};
+
 // Instance method to check permissions
 adminSchema.methods.hasPermission = function(resource, action) {
     if (this.isSuperAdmin) return true;
@@ -239,6 +406,29 @@ adminSchema.methods.hasPermission = function(resource, action) {
     return false;
 };
 
+// Full resource/action matrix as this admin actually experiences it
+adminSchema.methods.getEffectivePermissions = function() {
+    const effective = {};
+    Object.entries(ROLE_PERMISSION_PRESETS.super_admin).forEach(([resource, actions]) => {
+        effective[resource] = {};
+        Object.keys(actions).forEach((action) => {
+            effective[resource][action] = !!this.hasPermission(resource, action);
+        });
+    });
+    return effective;
+};
+
+// Static method to get a copy of a role's permission preset
+adminSchema.statics.permissionsForRole = function(role) {
+    const preset = ROLE_PERMISSION_PRESETS[role] || ROLE_PERMISSION_PRESETS.admin;
+    return JSON.parse(JSON.stringify(preset));
+};
+
+// Static method to list every role preset
+adminSchema.statics.rolePermissionPresets = function() {
+    return JSON.parse(JSON.stringify(ROLE_PERMISSION_PRESETS));
+};
+
 // Static method to find active admins
 adminSchema.statics.findActive = function() {
     return this.find({ isActive: true });
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const ADMIN_INVITE_EXPIRES_HOURS = parseInt(process.env.ADMIN_INVITE_EXPIRES_HOURS, 10) || 72;
+
+// Invitation for a new admin. The invitee picks their own password when
+// accepting; only the hash of the single-use token is stored.
+const adminInviteSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email address'],
+    index: true
+  },
+  // Suggested display name; the invitee can change it when accepting
+  name: {
+    type: String,
+    default: '',
+    trim: true,
+    maxLength: [100, 'Name cannot exceed 100 characters']
+  },
+  role: {
+    type: String,
+    enum: {
+      values: ['admin', 'super_admin', 'moderator'],
+      message: 'Invalid role'
+    },
+    default: 'admin'
+  },
+  permissions: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  requireTwoFactor: {
+    type: Boolean,
+    default: false
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedAdmin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+adminInviteSchema.index({ createdAt: -1 });
+
+// Virtual for the invite's current state
+adminInviteSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= Date.now()) return 'expired';
+  return 'pending';
+});
+
+// Static method to hash a raw invite token
+adminInviteSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Instance method to issue a fresh token; returns it in clear (it goes in the email)
+adminInviteSchema.methods.createToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.tokenHash = this.constructor.hashToken(token);
+  this.expiresAt = Date.now() + ADMIN_INVITE_EXPIRES_HOURS * 60 * 60 * 1000;
+  return token;
+};
+
+// Static method to find a usable invite by its raw token
+adminInviteSchema.statics.findPendingByToken = function(token) {
+  return this.findOne({
+    tokenHash: this.hashToken(token),
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: Date.now() }
+  });
+};
+
+// Static method to build the query for invites in a given state
+adminInviteSchema.statics.statusQuery = function(status) {
+  const now = new Date();
+  switch (status) {
+    case 'pending':
+      return { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } };
+    case 'accepted':
+      return { acceptedAt: { $ne: null } };
+    case 'revoked':
+      return { acceptedAt: null, revokedAt: { $ne: null } };
+    case 'expired':
+      return { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } };
+    default:
+      return {};
+  }
+};
+
+const AdminInvite = mongoose.model('AdminInvite', adminInviteSchema);
+AdminInvite.ADMIN_INVITE_EXPIRES_HOURS = ADMIN_INVITE_EXPIRES_HOURS;
+
+module.exports = AdminInvite;
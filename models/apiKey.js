@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const API_KEY_SCOPES = [
+  'products:read',
+  'products:write',
+  'marketplace:read'
+];
+const DEFAULT_RATE_LIMIT_PER_MINUTE = 60;
+
+// Partner API key. Keys act on behalf of a marketplace user (the shop's or
+// installer's account); only the key's hash is stored. The public prefix
+// identifies the key in lookups and in the dashboard.
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Key name is required'],
+    trim: true,
+    maxLength: [100, 'Key name cannot exceed 100 characters']
+  },
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Key owner is required'],
+    index: true
+  },
+  // Optional directory entries this partner represents
+  shopId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    default: null
+  },
+  engineerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Engineer',
+    default: null
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: API_KEY_SCOPES,
+        message: 'Invalid scope: {VALUE}'
+      }
+    }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  rateLimitPerMinute: {
+    type: Number,
+    default: DEFAULT_RATE_LIMIT_PER_MINUTE,
+    min: [1, 'Rate limit must be at least 1 request per minute'],
+    max: [10000, 'Rate limit cannot exceed 10000 requests per minute']
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: ''
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for checking if the key can still be used
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now());
+});
+
+// Static method to hash a raw key
+apiKeySchema.statics.hashKey = function(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+};
+
+// Instance method to generate the secret; returns the full key in clear (shown once)
+apiKeySchema.methods.generateKey = function() {
+  this.prefix = crypto.randomBytes(6).toString('hex');
+  const key = `qfz_${this.prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+  this.keyHash = this.constructor.hashKey(key);
+  return key;
+};
+
+// Static method to find the key record behind a raw key, or null
+apiKeySchema.statics.findByKey = async function(key) {
+  const match = /^qfz_([0-9a-f]{12})_[A-Za-z0-9_-]+$/.exec(String(key || ''));
+  if (!match) return null;
+
+  const apiKey = await this.findOne({ prefix: match[1] }).select('+keyHash');
+  if (!apiKey) return null;
+
+  const expected = Buffer.from(apiKey.keyHash, 'hex');
+  const actual = Buffer.from(this.hashKey(key), 'hex');
+  return crypto.timingSafeEqual(expected, actual) ? apiKey : null;
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+ApiKey.API_KEY_SCOPES = API_KEY_SCOPES;
+
+module.exports = ApiKey;
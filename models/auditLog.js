@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// Append-only record of an admin action. Entries are never updated or
+// deleted through the application; the hooks below refuse it.
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      required: [true, 'Actor is required'],
+      index: true
+    },
+    name: { type: String, default: '' },
+    email: { type: String, default: '' },
+    role: { type: String, default: '' }
+  },
+  // Dotted verb, e.g. "product.status_update", "shop.delete"
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true,
+    index: true
+  },
+  entity: {
+    type: {
+      type: String,
+      required: [true, 'Entity type is required'],
+      trim: true
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    }
+  },
+  // Field-level diff between the entity before and after the action
+  changes: [{
+    _id: false,
+    field: { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null }
+  }],
+  method: {
+    type: String,
+    default: ''
+  },
+  path: {
+    type: String,
+    default: ''
+  },
+  statusCode: {
+    type: Number,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: '',
+    maxLength: [500, 'User agent cannot exceed 500 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ 'entity.type': 1, 'entity.id': 1, createdAt: -1 });
+
+const refuseMutation = function(next) {
+  next(new Error('Audit log entries are append-only'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return refuseMutation(next);
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach((operation) => {
+  auditLogSchema.pre(operation, refuseMutation);
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { generateOTP, hashOTP } = require('../utils/generateOtp');
+const { phoneSetter, isValidYemeniMobile } = require('../utils/phone');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -12,6 +15,11 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Phone number is required'],
     unique: true,
     trim: true,
+    set: phoneSetter,
+    validate: {
+      validator: isValidYemeniMobile,
+      message: 'Please enter a valid Yemeni mobile number'
+    }
   },
   password: {
   type: String,
@@ -33,10 +41,37 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  otpPurpose: {
+    type: String,
+    enum: ['verification', 'password_reset', 'phone_change'],
+    default: null
+  },
   otpExpires: {
     type: Date,
     default: null
   },
+  // New number awaiting OTP confirmation in the change-phone flow
+  pendingPhone: {
+    type: String,
+    default: null,
+    set: phoneSetter
+  },
+  otpAttempts: {
+    type: Number,
+    default: 0
+  },
+  otpLockUntil: {
+    type: Date,
+    default: null
+  },
+  otpResendCount: {
+    type: Number,
+    default: 0
+  },
+  otpLastSentAt: {
+    type: Date,
+    default: null
+  },
   isVerified: {
     type: Boolean,
     default: false,
@@ -57,6 +92,58 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  // Embedded in every access token; bumping it invalidates all tokens issued so far
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Admin ban; bannedUntil null means permanent
+  isBanned: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  banReason: {
+    type: String,
+    default: '',
+    trim: true,
+    maxLength: [500, 'Ban reason cannot exceed 500 characters']
+  },
+  bannedAt: {
+    type: Date,
+    default: null
+  },
+  bannedUntil: {
+    type: Date,
+    default: null
+  },
+  bannedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  // Account deletion: requested -> grace period -> anonymized
+  deletionRequestedAt: {
+    type: Date,
+    default: null
+  },
+  deletionScheduledFor: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  deletionHiddenProducts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  deletedAt: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -77,21 +164,154 @@ userSchema.index({ role: 1 });
 userSchema.index({ createdAt: -1 });
 userSchema.index({ isActive: 1 });
 
+// OTP brute-force protection
+const MAX_OTP_ATTEMPTS = 5;
+const OTP_LOCK_TIME = 30 * 60 * 1000; // 30 minutes
+const OTP_RESEND_BASE_DELAY = 30 * 1000; // 30 seconds, doubled on every resend
+const OTP_RESEND_MAX_DELAY = 60 * 60 * 1000; // 1 hour
+const OTP_RESEND_WINDOW = 24 * 60 * 60 * 1000; // resend count resets after a quiet day
+
+// Virtual for checking if OTP verification is locked
+userSchema.virtual('isOtpLocked').get(function() {
+  return !!(this.otpLockUntil && this.otpLockUntil > Date.now());
+});
+
+// Virtual for the earliest time another OTP may be sent
+userSchema.virtual('otpResendAvailableAt').get(function() {
+  if (!this.otpLastSentAt || !this.otpResendCount) {
+    return null;
+  }
+
+  if (Date.now() - this.otpLastSentAt.getTime() > OTP_RESEND_WINDOW) {
+    return null;
+  }
+
+  const delay = Math.min(
+    OTP_RESEND_BASE_DELAY * 2 ** (this.otpResendCount - 1),
+    OTP_RESEND_MAX_DELAY
+  );
+  return new Date(this.otpLastSentAt.getTime() + delay);
+});
+
 // Update updatedAt before saving
 userSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   next();
 });
 
+// Record when the password changes so older tokens can be rejected
+userSchema.pre('save', function(next) {
+  if (!this.isModified('password') || this.isNew) return next();
+
+  this.passwordChangedAt = Date.now() - 1000;
+  next();
+});
+
+// Invalidate existing tokens on password change, deactivation or ban
+userSchema.pre('save', function(next) {
+  if (this.isNew) return next();
+
+  const deactivated = this.isModified('isActive') && !this.isActive;
+  const banned = this.isModified('isBanned') && this.isBanned;
+  if (this.isModified('password') || deactivated || banned) {
+    this.tokenVersion += 1;
+  }
+  next();
+});
+
+// Instance method to invalidate every token issued so far (caller saves)
+userSchema.methods.invalidateTokens = function() {
+  this.tokenVersion += 1;
+};
+
+// Instance method to check a decoded JWT is still valid for this user
+userSchema.methods.isTokenCurrent = function(decoded) {
+  if ((decoded.tv || 0) !== this.tokenVersion) {
+    return false;
+  }
+  return !this.changedPasswordAfter(decoded.iat);
+};
+
+// Instance method to check if password changed after JWT was issued
+userSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
+  if (this.passwordChangedAt) {
+    const changedTimestamp = parseInt(this.passwordChangedAt.getTime() / 1000, 10);
+    return JWTTimestamp < changedTimestamp;
+  }
+  return false;
+};
+
 // Instance method to generate OTP
-userSchema.methods.generateOTP = function() {
-  this.otp = '112233'; // Fixed OTP as per scope
-  this.otpExpires = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+// Only the hash is kept on the document; the plain code is returned for delivery.
+// The purpose binds the code to one flow so a registration code cannot reset a password.
+userSchema.methods.generateOTP = function(ttlMinutes = 10, purpose = 'verification') {
+  const otp = generateOTP();
+  this.otp = hashOTP(otp);
+  this.otpPurpose = purpose;
+  this.otpExpires = new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+  // Track resends for the exponential delay
+  if (this.otpLastSentAt && Date.now() - this.otpLastSentAt.getTime() > OTP_RESEND_WINDOW) {
+    this.otpResendCount = 0;
+  }
+  this.otpResendCount += 1;
+  this.otpLastSentAt = new Date();
+
+  return otp;
+};
+
+// Instance method to increment failed OTP attempts
+userSchema.methods.incOTPAttempts = async function() {
+  // Check if we have a previous lock that has expired
+  if (this.otpLockUntil && this.otpLockUntil < Date.now()) {
+    this.otpAttempts = 1;
+    this.otpLockUntil = null;
+    return this.updateOne({
+      $set: { otpAttempts: 1 },
+      $unset: { otpLockUntil: 1 }
+    });
+  }
+
+  // Lock on the stored count, so concurrent wrong guesses can't all slip under the limit
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { otpAttempts: 1 } },
+    { new: true, projection: { otpAttempts: 1, otpLockUntil: 1 } }
+  );
+  if (!updated) return;
+  this.otpAttempts = updated.otpAttempts;
+
+  // Lock OTP verification after 5 failed attempts for 30 minutes
+  const alreadyLocked = updated.otpLockUntil && updated.otpLockUntil > Date.now();
+  if (updated.otpAttempts >= MAX_OTP_ATTEMPTS && !alreadyLocked) {
+    this.otpLockUntil = new Date(Date.now() + OTP_LOCK_TIME);
+    // The code being guessed is burned along with the lock
+    this.otp = null;
+    this.otpExpires = null;
+    this.otpPurpose = null;
+    await this.updateOne({
+      $set: {
+        otpLockUntil: this.otpLockUntil,
+        otp: null,
+        otpExpires: null,
+        otpPurpose: null
+      }
+    });
+  }
+};
+
+// Instance method to get remaining OTP attempts before lock
+userSchema.methods.otpAttemptsRemaining = function() {
+  return Math.max(MAX_OTP_ATTEMPTS - this.otpAttempts, 0);
 };
 
 // Instance method to verify OTP
-userSchema.methods.verifyOTP = function(inputOtp) {
-  if (!this.otp || !this.otpExpires) {
+userSchema.methods.verifyOTP = function(inputOtp, purpose = 'verification') {
+  if (!this.otp || !this.otpExpires || !inputOtp) {
+    return false;
+  }
+
+  if ((this.otpPurpose || 'verification') !== purpose) {
     return false;
   }
   
@@ -99,16 +319,51 @@ userSchema.methods.verifyOTP = function(inputOtp) {
     return false;
   }
   
-  return this.otp === inputOtp;
+  const expected = Buffer.from(this.otp, 'hex');
+  const received = Buffer.from(hashOTP(inputOtp), 'hex');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
 };
 
 // Instance method to clear OTP
 userSchema.methods.clearOTP = function() {
   this.otp = null;
   this.otpExpires = null;
+  this.otpPurpose = null;
+  this.otpAttempts = 0;
+  this.otpLockUntil = null;
+  this.otpResendCount = 0;
+  this.otpLastSentAt = null;
   this.isVerified = true;
 };
 
+// Virtual for checking if a ban is in force (expired bans lift themselves)
+userSchema.virtual('isCurrentlyBanned').get(function() {
+  return !!(this.isBanned && (!this.bannedUntil || this.bannedUntil > Date.now()));
+});
+
+// Instance method to ban the user (caller saves)
+userSchema.methods.ban = function({ reason = '', until = null, adminId = null } = {}) {
+  this.isBanned = true;
+  this.banReason = reason;
+  this.bannedAt = new Date();
+  this.bannedUntil = until;
+  this.bannedBy = adminId;
+};
+
+// Instance method to lift a ban (caller saves)
+userSchema.methods.unban = function() {
+  this.isBanned = false;
+  this.banReason = '';
+  this.bannedAt = null;
+  this.bannedUntil = null;
+  this.bannedBy = null;
+};
+
+// Virtual for checking if the account is waiting out its deletion grace period
+userSchema.virtual('isPendingDeletion').get(function() {
+  return !this.deletedAt && !!(this.deletionScheduledFor && this.deletionScheduledFor > Date.now());
+});
+
 // Static method to find active users
 userSchema.statics.findActive = function() {
   return this.find({ isActive: true });
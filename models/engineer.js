@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { phoneSetter, isValidYemeniMobile, formatPhone, whatsappLink } = require('../utils/phone');
+const { escapeRegex } = require('../utils/regex');
+const { buildTextSearch } = require('../utils/search');
+const searchable = require('./plugins/searchable');
 
 const engineerSchema = new mongoose.Schema({
     name: {
@@ -12,15 +16,20 @@ const engineerSchema = new mongoose.Schema({
         type: String,
         required: [true, 'Phone number is required'],
         trim: true,
-        
+        set: phoneSetter,
+        validate: {
+            validator: isValidYemeniMobile,
+            message: 'Please enter a valid Yemeni mobile number'
+        }
     },
     whatsappPhone: {
         type: String,
         default: '',
         trim: true,
+        set: phoneSetter,
         validate: {
             validator: function(v) {
-                return !v || /^[0-9+()-\s]{10,15}$/.test(v);
+                return !v || isValidYemeniMobile(v);
             },
             message: 'Please enter a valid WhatsApp phone number'
         }
@@ -216,25 +225,33 @@ engineerSchema.index({ 'rating.average': -1 });
 engineerSchema.index({ 'availability.status': 1 });
 engineerSchema.index({ createdAt: -1 });
 
+engineerSchema.plugin(searchable, {
+    title: ['name', 'services', 'specializations'],
+    body: ['city', 'governorate', 'address']
+});
+
 // Virtual for contact info
 engineerSchema.virtual('contactInfo').get(function() {
+    const whatsapp = this.whatsappPhone || this.phone;
     return {
         phone: this.phone,
-        whatsapp: this.whatsappPhone || this.phone,
+        phoneDisplay: formatPhone(this.phone),
+        whatsapp,
+        whatsappLink: whatsappLink(whatsapp),
         email: this.email
     };
 });
 
-// Instance method to increment views
+// Instance method to increment views (atomic; request traffic goes through services/listingStats)
 engineerSchema.methods.incrementViews = function() {
     this.views += 1;
-    return this.save();
+    return this.constructor.updateOne({ _id: this._id }, { $inc: { views: 1 } });
 };
 
 // Instance method to increment contacts count
 engineerSchema.methods.incrementContacts = function() {
     this.contactsCount += 1;
-    return this.save();
+    return this.constructor.updateOne({ _id: this._id }, { $inc: { contactsCount: 1 } });
 };
 
 // Instance method to update rating
@@ -288,8 +305,8 @@ engineerSchema.statics.searchEngineers = function(filters = {}) {
         isVerified: true
     };
 
-    if (governorate) query.governorate = new RegExp(governorate, 'i');
-    if (city) query.city = new RegExp(city, 'i');
+    if (governorate) query.governorate = new RegExp(escapeRegex(governorate), 'i');
+    if (city) query.city = new RegExp(escapeRegex(city), 'i');
     if (services && services.length > 0) {
         query.services = { $in: services };
     }
@@ -298,16 +315,13 @@ engineerSchema.statics.searchEngineers = function(filters = {}) {
     }
     if (availability) query['availability.status'] = availability;
     if (minRating) query['rating.average'] = { $gte: minRating };
-    if (search) {
-        query.$or = [
-            { name: new RegExp(search, 'i') },
-            { services: { $in: [new RegExp(search, 'i')] } },
-            { specializations: { $in: [new RegExp(search, 'i')] } }
-        ];
-    }
+
+    // Ranked by relevance when searching
+    const textSearch = search ? buildTextSearch(search) : null;
+    if (textSearch) query.$text = { $search: textSearch };
 
     const skip = (page - 1) * limit;
-    const sort = {};
+    const sort = textSearch ? { score: { $meta: 'textScore' } } : {};
     sort[sortBy] = sortOrder;
 
     return this.find(query)
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+// Currencies products can be priced in. The Yemeni rial trades at two very
+// different rates: YER is the rial at the Sana'a rate (old notes) and YER_SOUTH
+// the rial at the Aden rate (new notes). They are separate currencies with their
+// own exchange rates and are never converted 1:1.
+const CURRENCIES = {
+  USD: { name: 'US dollar', nameAr: 'دولار أمريكي', decimals: 2 },
+  SAR: { name: 'Saudi riyal', nameAr: 'ريال سعودي', decimals: 2 },
+  YER: { name: "Yemeni rial (Sana'a rate)", nameAr: 'ريال يمني (صنعاء)', decimals: 0 },
+  YER_SOUTH: { name: 'Yemeni rial (Aden rate)', nameAr: 'ريال يمني (عدن)', decimals: 0 }
+};
+
+// Rates are quoted as units of a currency per one US dollar
+const BASE_CURRENCY = 'USD';
+const RATED_CURRENCIES = Object.keys(CURRENCIES).filter((code) => code !== BASE_CURRENCY);
+
+const RATE_CACHE_MS = 60 * 1000;
+
+// Every rate change is a new entry, so the collection is also the rate history
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    enum: {
+      values: RATED_CURRENCIES,
+      message: `Currency must be one of: ${RATED_CURRENCIES.join(', ')}`
+    }
+  },
+  perUsd: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0.000001, 'Rate must be greater than 0']
+  },
+  note: {
+    type: String,
+    trim: true,
+    default: '',
+    maxLength: [300, 'Note cannot exceed 300 characters']
+  },
+  setBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+exchangeRateSchema.index({ currency: 1, createdAt: -1 });
+
+const refuseMutation = function(next) {
+  next(new Error('Exchange rate history is append-only'));
+};
+
+exchangeRateSchema.pre('save', function(next) {
+  if (!this.isNew) return refuseMutation(next);
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach((operation) => exchangeRateSchema.pre(operation, refuseMutation));
+
+let cachedRates = null;
+
+// Latest rate per currency: { USD: { perUsd: 1 }, YER: { perUsd, updatedAt, setBy }, ... }.
+// Cached briefly; product saves and searches read it on every call.
+exchangeRateSchema.statics.currentRates = async function() {
+  if (cachedRates && cachedRates.expiresAt > Date.now()) return cachedRates.rates;
+
+  const latest = await this.aggregate([
+    { $sort: { currency: 1, createdAt: -1 } },
+    {
+      $group: {
+        _id: '$currency',
+        perUsd: { $first: '$perUsd' },
+        updatedAt: { $first: '$createdAt' },
+        setBy: { $first: '$setBy' }
+      }
+    }
+  ]);
+
+  const rates = { [BASE_CURRENCY]: { perUsd: 1, updatedAt: null, setBy: null } };
+  latest.forEach(({ _id, ...rate }) => { rates[_id] = rate; });
+
+  cachedRates = { rates, expiresAt: Date.now() + RATE_CACHE_MS };
+  return rates;
+};
+
+exchangeRateSchema.statics.clearRateCache = function() {
+  cachedRates = null;
+};
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+ExchangeRate.CURRENCIES = CURRENCIES;
+ExchangeRate.BASE_CURRENCY = BASE_CURRENCY;
+ExchangeRate.RATED_CURRENCIES = RATED_CURRENCIES;
+
+module.exports = ExchangeRate;
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const FAVORITE_ENTITY_TYPES = ['product', 'shop', 'engineer'];
+
+// A listing bookmarked by a marketplace user. One document per
+// (user, listing); favorite counts are aggregated from these.
+const favoriteSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  entityType: {
+    type: String,
+    enum: {
+      values: FAVORITE_ENTITY_TYPES,
+      message: `Entity type must be one of: ${FAVORITE_ENTITY_TYPES.join(', ')}`
+    },
+    required: [true, 'Entity type is required']
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Entity ID is required']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+favoriteSchema.index({ userId: 1, entityType: 1, entityId: 1 }, { unique: true });
+favoriteSchema.index({ userId: 1, createdAt: -1 });
+favoriteSchema.index({ entityType: 1, entityId: 1 });
+
+// Ids (as strings) among `entityIds` that the user has favorited
+favoriteSchema.statics.favoritedIds = async function(userId, entityType, entityIds) {
+  if (entityIds.length === 0) return new Set();
+
+  const favorites = await this.find({
+    userId,
+    entityType,
+    entityId: { $in: entityIds }
+  }).select('entityId').lean();
+
+  return new Set(favorites.map(favorite => favorite.entityId.toString()));
+};
+
+// Number of users who favorited each of `entityIds`, as a Map keyed by id string
+favoriteSchema.statics.countsFor = async function(entityType, entityIds) {
+  if (entityIds.length === 0) return new Map();
+
+  // aggregate() doesn't cast, so string ids are converted here
+  const ids = entityIds.map(id => new mongoose.Types.ObjectId(id));
+  const counts = await this.aggregate([
+    { $match: { entityType, entityId: { $in: ids } } },
+    { $group: { _id: '$entityId', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+const Favorite = mongoose.model('Favorite', favoriteSchema);
+
+Favorite.ENTITY_TYPES = FAVORITE_ENTITY_TYPES;
+
+module.exports = Favorite;
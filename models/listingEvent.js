@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const LISTING_EVENT_STATS = ['view', 'contact'];
+// Events only dedupe within their day; the spare day covers time zones and late flushes
+const LISTING_EVENT_RETENTION_DAYS = 2;
+
+// A counted view or contact of a listing. The _id is `day:entityType:listingId:stat:viewer`,
+// so each viewer counts once per listing per day whichever server handles the request.
+// The listing counters are incremented from these in batches (services/listingStats).
+const listingEventSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  entityType: {
+    type: String,
+    required: true
+  },
+  listingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  stat: {
+    type: String,
+    enum: LISTING_EVENT_STATS,
+    required: true
+  },
+  // Flush that claimed the event, and whether its increment has been written
+  flushId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  counted: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+listingEventSchema.index({ flushId: 1 }, { partialFilterExpression: { counted: false } });
+listingEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: LISTING_EVENT_RETENTION_DAYS * 24 * 60 * 60 });
+
+const ListingEvent = mongoose.model('ListingEvent', listingEventSchema);
+ListingEvent.STATS = LISTING_EVENT_STATS;
+
+module.exports = ListingEvent;
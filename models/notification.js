@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = ['saved_search_match', 'saved_search_paused'];
+const NOTIFICATION_RETENTION_DAYS = 90;
+
+// An in-app notification for a marketplace user
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // Type-specific payload, e.g. { savedSearchId, productIds } for saved_search_match
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+Notification.TYPES = NOTIFICATION_TYPES;
+
+module.exports = Notification;
@@ -0,0 +1,62 @@
+// models/plugins/searchable.js
+// Adds normalized search fields and a weighted text index to a schema.
+// `title` fields (name, brand...) outrank `body` fields (description, services...).
+const { buildSearchText } = require('../../utils/search');
+
+const TITLE_WEIGHT = 10;
+const BODY_WEIGHT = 2;
+
+const valuesOf = (doc, fields) => fields.map((field) => doc.get ? doc.get(field) : doc[field]);
+
+// Does an update (plain or operator form) touch any of `fields`?
+const touches = (update = {}, fields) => {
+  const paths = Object.entries(update).flatMap(([key, value]) =>
+    key.startsWith('$') && value && typeof value === 'object' ? Object.keys(value) : [key]
+  );
+  return paths.some((path) => fields.some((field) => path === field || path.startsWith(`${field}.`)));
+};
+
+const searchable = (schema, { title = [], body = [] }) => {
+  const sources = [...title, ...body];
+
+  schema.add({
+    searchTitle: { type: String, select: false },
+    searchBody: { type: String, select: false }
+  });
+
+  schema.index(
+    { searchTitle: 'text', searchBody: 'text' },
+    {
+      name: 'search_text',
+      weights: { searchTitle: TITLE_WEIGHT, searchBody: BODY_WEIGHT },
+      // No stemming: MongoDB has no Arabic stemmer and we normalize ourselves
+      default_language: 'none'
+    }
+  );
+
+  schema.statics.buildSearchFields = function(doc) {
+    return {
+      searchTitle: buildSearchText(valuesOf(doc, title)),
+      searchBody: buildSearchText(valuesOf(doc, body))
+    };
+  };
+
+  schema.pre('save', function(next) {
+    if (this.isNew || sources.some((field) => this.isModified(field))) {
+      this.set(this.constructor.buildSearchFields(this));
+    }
+    next();
+  });
+
+  // findByIdAndUpdate and friends bypass save hooks; refresh from the stored document
+  schema.post('findOneAndUpdate', async function(doc) {
+    if (!doc || !touches(this.getUpdate(), sources)) return;
+
+    const fresh = await this.model.findById(doc._id).lean();
+    if (fresh) {
+      await this.model.updateOne({ _id: doc._id }, { $set: this.model.buildSearchFields(fresh) });
+    }
+  });
+};
+
+module.exports = searchable;
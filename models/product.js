@@ -1,4 +1,61 @@
 const mongoose = require('mongoose');
+const { phoneSetter, isValidYemeniMobile, formatPhone, whatsappLink } = require('../utils/phone');
+const { escapeRegex } = require('../utils/regex');
+const { buildTextSearch } = require('../utils/search');
+const searchable = require('./plugins/searchable');
+const ExchangeRate = require('./exchangeRate');
+
+// Typed technical specifications per product type; other types carry none.
+// Numeric fields become min/max range filters in product search, enum fields exact filters.
+const PRODUCT_SPECIFICATIONS = {
+  Panel: {
+    watts: { type: Number, min: 1, max: 1000, unit: 'W' },
+    cellType: { type: String, enum: ['monocrystalline', 'polycrystalline', 'thin_film'] },
+    efficiency: { type: Number, min: 1, max: 30, unit: '%' }
+  },
+  Inverter: {
+    kva: { type: Number, min: 0.1, max: 1000, unit: 'kVA' },
+    phase: { type: String, enum: ['single', 'three'] },
+    mppt: { type: Number, min: 0, max: 20, integer: true },
+    mode: { type: String, enum: ['hybrid', 'off_grid', 'on_grid'] }
+  },
+  Battery: {
+    ah: { type: Number, min: 1, max: 5000, unit: 'Ah' },
+    voltage: { type: Number, min: 1, max: 1000, unit: 'V' },
+    chemistry: { type: String, enum: ['lifepo4', 'lithium_ion', 'lead_acid', 'gel', 'agm'] },
+    cycles: { type: Number, min: 1, max: 20000, integer: true }
+  }
+};
+
+// Field name -> definition across all types (names are unique across types)
+const SPECIFICATION_FIELDS = Object.assign({}, ...Object.values(PRODUCT_SPECIFICATIONS));
+
+const capitalize = (name) => name.charAt(0).toUpperCase() + name.slice(1);
+
+const specificationPath = (name, { type, min, max, enum: values, integer }) => {
+  if (type === String) {
+    return {
+      type: String,
+      trim: true,
+      lowercase: true,
+      enum: { values, message: `${name} must be one of: ${values.join(', ')}` }
+    };
+  }
+
+  return {
+    type: Number,
+    min: [min, `${name} must be at least ${min}`],
+    max: [max, `${name} cannot exceed ${max}`],
+    ...(integer && {
+      validate: { validator: Number.isInteger, message: `${name} must be a whole number` }
+    })
+  };
+};
+
+const specificationsSchema = new mongoose.Schema(
+  Object.fromEntries(Object.entries(SPECIFICATION_FIELDS).map(([name, def]) => [name, specificationPath(name, def)])),
+  { _id: false }
+);
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -44,11 +101,18 @@ const productSchema = new mongoose.Schema({
     required: [true, 'Price is required'],
     min: [0, 'Price cannot be negative']
   },
+  // YER is the rial at the Sana'a rate, YER_SOUTH at the Aden rate (see models/exchangeRate.js)
   currency: {
     type: String,
-    enum: ['YER', 'USD', 'SAR', 'YER_SOUTH'],
+    enum: Object.keys(ExchangeRate.CURRENCIES),
     default: 'YER'
   },
+  // Price in USD at the current exchange rate, used to filter and sort across currencies.
+  // null until a rate exists for the currency; repriced whenever an admin changes a rate.
+  priceUsd: {
+    type: Number,
+    default: null
+  },
   isNegotiable: {
     type: Boolean,
     default: false
@@ -56,11 +120,23 @@ const productSchema = new mongoose.Schema({
   phone: {
     type: String,
     required: [true, 'Contact phone is required'],
-    trim: true
+    trim: true,
+    set: phoneSetter,
+    validate: {
+      validator: isValidYemeniMobile,
+      message: 'Contact phone must be a valid Yemeni mobile number'
+    }
   },
   whatsappPhone: {
     type: String,
-    trim: true
+    trim: true,
+    set: phoneSetter,
+    validate: {
+      validator: function(v) {
+        return !v || isValidYemeniMobile(v);
+      },
+      message: 'WhatsApp phone must be a valid Yemeni mobile number'
+    }
   },
   governorate: {
     type: String,
@@ -86,10 +162,10 @@ const productSchema = new mongoose.Schema({
       message: 'Image must be a valid URL'
     }
   }],
-  // specifications: {
-  //   type: Map,
-  //   of: String
-  // },
+  specifications: {
+    type: specificationsSchema,
+    default: undefined
+  },
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -120,6 +196,16 @@ const productSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Last review by an admin (approval or rejection)
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  approvedAt: {
+    type: Date,
+    default: null
+  },
   adminNotes: {
     type: String,
     trim: true
@@ -150,23 +236,64 @@ productSchema.index({ governorate: 1, city: 1 });
 productSchema.index({ type: 1, condition: 1 });
 productSchema.index({ status: 1, isActive: 1 });
 productSchema.index({ price: 1, type: 1 });
+productSchema.index({ priceUsd: 1, type: 1 });
 productSchema.index({ createdAt: -1 });
 productSchema.index({ featured: -1, createdAt: -1 });
 productSchema.index({ userId: 1, status: 1 });
+productSchema.index({ status: 1, approvedAt: 1 });
 productSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+productSchema.plugin(searchable, {
+  title: ['name', 'brand', 'model'],
+  body: ['description', 'type', 'city', 'governorate']
+});
+productSchema.index({ type: 1, 'specifications.watts': 1 });
+productSchema.index({ type: 1, 'specifications.kva': 1 });
+productSchema.index({ type: 1, 'specifications.ah': 1 });
+
+// Keep the normalized price in step with price and currency
+productSchema.pre('save', async function() {
+  if (!this.isNew && !this.isModified('price') && !this.isModified('currency')) return;
+
+  const rates = await ExchangeRate.currentRates();
+  const rate = rates[this.currency];
+  this.priceUsd = rate ? this.price / rate.perUsd : null;
+});
+
+// Specifications must belong to the product's type (no battery chemistry on a panel)
+productSchema.pre('validate', function(next) {
+  if (!this.specifications) return next();
+
+  const allowed = PRODUCT_SPECIFICATIONS[this.type] || {};
+  for (const name of Object.keys(SPECIFICATION_FIELDS)) {
+    const value = this.specifications[name];
+    if (value !== undefined && value !== null && !allowed[name]) {
+      this.invalidate(`specifications.${name}`, `${name} is not a specification of ${this.type} products`);
+    }
+  }
+  next();
+});
 
 // Virtual for contact info
 productSchema.virtual('contactInfo').get(function() {
+  const whatsapp = this.whatsappPhone || this.phone;
   return {
     phone: this.phone,
-    whatsapp: this.whatsappPhone || this.phone
+    phoneDisplay: formatPhone(this.phone),
+    whatsapp,
+    whatsappLink: whatsappLink(whatsapp)
   };
 });
 
-// Instance method to increment views
+// Instance method to increment views (atomic; request traffic goes through services/listingStats)
 productSchema.methods.incrementViews = function() {
-  this.views += 1;
-  return this.save();
+  this.viewCount += 1;
+  return this.constructor.updateOne({ _id: this._id }, { $inc: { viewCount: 1 } });
+};
+
+// Instance method to increment contacts count
+productSchema.methods.incrementContacts = function() {
+  this.contactCount += 1;
+  return this.constructor.updateOne({ _id: this._id }, { $inc: { contactCount: 1 } });
 };
 
 // Instance method to approve product
@@ -227,19 +354,16 @@ productSchema.statics.searchMarketplace = function(filters = {}) {
     if (minPrice) query.price.$gte = minPrice;
     if (maxPrice) query.price.$lte = maxPrice;
   }
-  if (governorate) query.governorate = new RegExp(governorate, 'i');
-  if (city) query.city = new RegExp(city, 'i');
-  if (brand) query.brand = new RegExp(brand, 'i');
-  if (search) {
-    query.$or = [
-      { name: new RegExp(search, 'i') },
-      { description: new RegExp(search, 'i') },
-      { brand: new RegExp(search, 'i') }
-    ];
-  }
+  if (governorate) query.governorate = new RegExp(escapeRegex(governorate), 'i');
+  if (city) query.city = new RegExp(escapeRegex(city), 'i');
+  if (brand) query.brand = new RegExp(escapeRegex(brand), 'i');
+
+  // Ranked by relevance when searching
+  const textSearch = search ? buildTextSearch(search) : null;
+  if (textSearch) query.$text = { $search: textSearch };
 
   const skip = (page - 1) * limit;
-  const sort = {};
+  const sort = textSearch ? { score: { $meta: 'textScore' } } : {};
   sort[sortBy] = sortOrder;
 
   return this.find(query)
@@ -250,4 +374,127 @@ productSchema.statics.searchMarketplace = function(filters = {}) {
     .select('-__v');
 };
 
-module.exports = mongoose.model('Product', productSchema);
+// Specification definitions for clients building listing forms and filters
+productSchema.statics.specificationDefinitions = function() {
+  return Object.fromEntries(Object.entries(PRODUCT_SPECIFICATIONS).map(([type, fields]) => [
+    type,
+    Object.fromEntries(Object.entries(fields).map(([name, { type: fieldType, ...rest }]) => [
+      name,
+      {
+        type: fieldType === Number ? 'number' : 'enum',
+        ...rest,
+        ...(fieldType === Number && { filters: [`min${capitalize(name)}`, `max${capitalize(name)}`] }),
+        ...(fieldType === String && { filters: [name] })
+      }
+    ]))
+  ]));
+};
+
+// Query conditions for specification filters: min<Field>/max<Field> ranges on
+// numeric specs (minWatts=400, maxKva=10) and comma-separated values on enum
+// specs (chemistry=lifepo4,gel). Unknown or invalid values are ignored.
+productSchema.statics.buildSpecificationFilters = function(params = {}) {
+  const conditions = [];
+
+  for (const [name, { type, enum: values }] of Object.entries(SPECIFICATION_FIELDS)) {
+    const path = `specifications.${name}`;
+
+    if (type === Number) {
+      const range = {};
+      const min = parseFloat(params[`min${capitalize(name)}`]);
+      const max = parseFloat(params[`max${capitalize(name)}`]);
+      if (!isNaN(min)) range.$gte = min;
+      if (!isNaN(max)) range.$lte = max;
+      if (Object.keys(range).length > 0) conditions.push({ [path]: range });
+    } else if (typeof params[name] === 'string' && params[name].trim() !== '' && params[name] !== 'all') {
+      const selected = params[name].split(',').map((v) => v.trim().toLowerCase()).filter((v) => values.includes(v));
+      if (selected.length > 0) conditions.push({ [path]: { $in: selected } });
+    }
+  }
+
+  return conditions;
+};
+
+const FACET_LIMIT = 20;
+const PRICE_BUCKETS = 5;
+
+// Value counts for a facet, most common first
+const countBy = (field, { limit } = {}) => [
+  { $match: { [field]: { $nin: [null, ''] } } },
+  // Free-text fields (brand, city) group case-insensitively, labelled by the first spelling
+  { $group: { _id: { $toLower: { $trim: { input: `$${field}` } } }, value: { $first: `$${field}` }, count: { $sum: 1 } } },
+  { $sort: { count: -1, value: 1 } },
+  ...(limit ? [{ $limit: limit }] : []),
+  { $project: { _id: 0, value: 1, count: 1 } }
+];
+
+// Price range buckets: listed prices within one currency (`priceCurrency`, when the
+// search is filtered by currency), otherwise normalized prices across all currencies
+// shown in `displayCurrency` at `perUsd` units per dollar.
+const priceBuckets = ({ priceCurrency, displayCurrency, perUsd }) => {
+  const decimals = ExchangeRate.CURRENCIES[displayCurrency]?.decimals ?? 2;
+  const inDisplayCurrency = (bound) => priceCurrency
+    ? bound
+    : { $round: [{ $multiply: [bound, perUsd] }, decimals] };
+
+  return [
+    { $match: priceCurrency ? { currency: priceCurrency } : { priceUsd: { $ne: null } } },
+    { $bucketAuto: { groupBy: priceCurrency ? '$price' : '$priceUsd', buckets: PRICE_BUCKETS } },
+    { $project: { _id: 0, min: inDisplayCurrency('$_id.min'), max: inDisplayCurrency('$_id.max'), count: 1 } }
+  ];
+};
+
+// Facet counts over everything matching `query`, in one aggregation
+productSchema.statics.facetCounts = async function(query, { priceCurrency, displayCurrency = 'USD', perUsd = 1 } = {}) {
+  const [result] = await this.aggregate([
+    { $match: query },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        type: countBy('type'),
+        condition: countBy('condition'),
+        governorate: countBy('governorate'),
+        city: countBy('city', { limit: FACET_LIMIT }),
+        brand: countBy('brand', { limit: FACET_LIMIT }),
+        currency: countBy('currency'),
+        price: priceBuckets({ priceCurrency, displayCurrency, perUsd })
+      }
+    }
+  ]);
+
+  const { total, price, ...counts } = result;
+  return {
+    total: total[0]?.count || 0,
+    facets: {
+      ...counts,
+      priceRanges: { currency: priceCurrency || displayCurrency, buckets: price }
+    }
+  };
+};
+
+// Fields a seller sets when posting or editing a listing; everything else
+// (status, review, counters, priceUsd, search text) is owned by the server
+const OWNER_EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'type',
+  'condition',
+  'brand',
+  'model',
+  'price',
+  'currency',
+  'isNegotiable',
+  'phone',
+  'whatsappPhone',
+  'governorate',
+  'city',
+  'locationText',
+  'images',
+  'specifications'
+];
+
+const Product = mongoose.model('Product', productSchema);
+Product.PRODUCT_SPECIFICATIONS = PRODUCT_SPECIFICATIONS;
+Product.OWNER_EDITABLE_FIELDS = OWNER_EDITABLE_FIELDS;
+
+module.exports = Product;
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A product search a user wants to hear about. `filters` holds the
+// /marketplace/search-products query parameters it was saved with; newly
+// approved products matching them produce a notification.
+const savedSearchSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxLength: [100, 'Name cannot exceed 100 characters']
+  },
+  filters: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  isPaused: {
+    type: Boolean,
+    default: false
+  },
+  // Why the alert job paused the search, if it did (cleared on resume)
+  pausedReason: {
+    type: String,
+    default: null
+  },
+  // Products approved up to this time have already been checked
+  lastCheckedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastMatchedAt: {
+    type: Date,
+    default: null
+  },
+  matchCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ isPaused: 1, lastCheckedAt: 1 });
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
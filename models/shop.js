@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { phoneSetter, isValidYemeniMobile, formatPhone, whatsappLink } = require('../utils/phone');
+const { escapeRegex } = require('../utils/regex');
+const { buildTextSearch } = require('../utils/search');
+const searchable = require('./plugins/searchable');
 
 const shopSchema = new mongoose.Schema({
     name: {
@@ -18,13 +22,23 @@ const shopSchema = new mongoose.Schema({
         type: String,
         required: [true, 'Phone number is required'],
         trim: true,
-        
+        set: phoneSetter,
+        validate: {
+            validator: isValidYemeniMobile,
+            message: 'Please enter a valid Yemeni mobile number'
+        }
     },
     whatsappPhone: {
         type: String,
         default: '',
         trim: true,
-        
+        set: phoneSetter,
+        validate: {
+            validator: function(v) {
+                return !v || isValidYemeniMobile(v);
+            },
+            message: 'Please enter a valid WhatsApp phone number'
+        }
     },
     email: {
         type: String,
@@ -272,26 +286,34 @@ shopSchema.index({ verificationStatus: 1 });
 shopSchema.index({ createdAt: -1 });
 shopSchema.index({ location: '2dsphere' }); // For geospatial queries
 
+shopSchema.plugin(searchable, {
+    title: ['name', 'brands'],
+    body: ['description', 'services', 'productCategories', 'city', 'governorate']
+});
+
 // Virtual for contact info
 shopSchema.virtual('contactInfo').get(function() {
+    const whatsapp = this.whatsappPhone || this.phone;
     return {
         phone: this.phone,
-        whatsapp: this.whatsappPhone || this.phone,
+        phoneDisplay: formatPhone(this.phone),
+        whatsapp,
+        whatsappLink: whatsappLink(whatsapp),
         email: this.email,
         website: this.website
     };
 });
 
-// Instance method to increment views
+// Instance method to increment views (atomic; request traffic goes through services/listingStats)
 shopSchema.methods.incrementViews = function() {
     this.views += 1;
-    return this.save();
+    return this.constructor.updateOne({ _id: this._id }, { $inc: { views: 1 } });
 };
 
 // Instance method to increment contacts count
 shopSchema.methods.incrementContacts = function() {
     this.contactsCount += 1;
-    return this.save();
+    return this.constructor.updateOne({ _id: this._id }, { $inc: { contactsCount: 1 } });
 };
 
 // Instance method to update rating
@@ -338,8 +360,8 @@ shopSchema.statics.searchShops = function(filters = {}) {
         verificationStatus: 'verified'
     };
 
-    if (governorate) query.governorate = new RegExp(governorate, 'i');
-    if (city) query.city = new RegExp(city, 'i');
+    if (governorate) query.governorate = new RegExp(escapeRegex(governorate), 'i');
+    if (city) query.city = new RegExp(escapeRegex(city), 'i');
     if (services && services.length > 0) {
         query.services = { $in: services };
     }
@@ -347,20 +369,16 @@ shopSchema.statics.searchShops = function(filters = {}) {
         query.productCategories = { $in: productCategories };
     }
     if (brands && brands.length > 0) {
-        query.brands = { $in: brands.map(brand => new RegExp(brand, 'i')) };
+        query.brands = { $in: brands.map(brand => new RegExp(escapeRegex(brand), 'i')) };
     }
     if (minRating) query['rating.average'] = { $gte: minRating };
-    if (search) {
-        query.$or = [
-            { name: new RegExp(search, 'i') },
-            { description: new RegExp(search, 'i') },
-            { services: { $in: [new RegExp(search, 'i')] } },
-            { brands: { $in: [new RegExp(search, 'i')] } }
-        ];
-    }
+
+    // Ranked by relevance when searching
+    const textSearch = search ? buildTextSearch(search) : null;
+    if (textSearch) query.$text = { $search: textSearch };
 
     const skip = (page - 1) * limit;
-    const sort = {};
+    const sort = textSearch ? { score: { $meta: 'textScore' } } : {};
     sort[sortBy] = sortOrder;
 
     return this.find(query)
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const adminApprovalController = require('../controllers/AdminApprovalController');
-const { authToken, isAdmin } = require('../middlewares/auth');
+const { authToken, isAdmin, checkPermission } = require('../middlewares/auth');
+const { audit } = require('../middlewares/audit');
 
 /**
  * @swagger
@@ -13,6 +14,7 @@ const { authToken, isAdmin } = require('../middlewares/auth');
  *     description: |
  *       Retrieve all products with their approval status for admin management.
  *       **Admin Access Required**: Only administrators can access this endpoint.
+ *       **Permission Required**: `products.read`
  *       **Product Lifecycle**: Shows products in all states (pending, approved, rejected).
  *       **Management Features**: Filter by status, sort by date, search functionality.
  *     security:
@@ -199,7 +201,7 @@ const { authToken, isAdmin } = require('../middlewares/auth');
  *       403:
  *         $ref: '#/components/responses/ForbiddenError'
  */
-router.get('/get', authToken, isAdmin, adminApprovalController.getProducts);
+router.get('/get', authToken, isAdmin, checkPermission('products', 'read'), adminApprovalController.getProducts);
 
 /**
  * @swagger
@@ -211,6 +213,7 @@ router.get('/get', authToken, isAdmin, adminApprovalController.getProducts);
  *     description: |
  *       Retrieve only products that are pending admin approval.
  *       **Admin Access Required**: Only administrators can access this endpoint.
+ *       **Permission Required**: `products.read`
  *       **Focus on Workflow**: Specifically designed for the approval workflow.
  *       **Priority Sorting**: Shows newest submissions first by default.
  *     security:
@@ -341,7 +344,7 @@ router.get('/get', authToken, isAdmin, adminApprovalController.getProducts);
  *       403:
  *         $ref: '#/components/responses/ForbiddenError'
  */
-router.get('/pending', authToken, isAdmin, adminApprovalController.getPendingProducts);
+router.get('/pending', authToken, isAdmin, checkPermission('products', 'read'), adminApprovalController.getPendingProducts);
 
 /**
  * @swagger
@@ -353,6 +356,7 @@ router.get('/pending', authToken, isAdmin, adminApprovalController.getPendingPro
  *     description: |
  *       Approve, reject, or modify the status of a product listing.
  *       **Admin Access Required**: Only administrators can change product approval status.
+ *       **Permission Required**: `products.approve`
  *       **Status Workflow**:
  *       - `pending` → `approved`: Product becomes visible to users
  *       - `pending` → `rejected`: Product is hidden, user can resubmit with changes
@@ -522,6 +526,6 @@ router.get('/pending', authToken, isAdmin, adminApprovalController.getPendingPro
  *               status: "fail"
  *               message: "Product not found with the provided ID"
  */
-router.patch('/update/:id', authToken, isAdmin, adminApprovalController.updateProductStatus);
+router.patch('/update/:id', authToken, isAdmin, checkPermission('products', 'approve'), audit('product.status_update', { model: 'Product' }), adminApprovalController.updateProductStatus);
 
 module.exports = router;
@@ -6,11 +6,16 @@ const router = express.Router();
 const adminAuthController = require('../controllers/adminAuthController');
 
 // Import middleware
-const { authToken, isAdmin, isSuperAdmin, authRateLimit } = require('../middlewares/auth');
-const { validateAdminCreation, validateObjectId } = require('../middlewares/validation');
+const { authToken, isAdmin, isAdminEnrolling, isSuperAdmin, authRateLimit } = require('../middlewares/auth');
+const { validateObjectId } = require('../middlewares/validation');
+const { audit } = require('../middlewares/audit');
 
 // Rate limiting for admin auth endpoints
 const adminAuthLimiter = authRateLimit(15 * 60 * 1000, 3); // 3 attempts per 15 minutes (stricter)
+const adminPasswordResetLimiter = authRateLimit(60 * 60 * 1000, 5); // 5 requests per hour
+// 2FA codes are limited per login challenge (wrong codes also count towards the account lockout)
+const adminTwoFactorLimiter = authRateLimit(5 * 60 * 1000, 5, (req) => (req.body && req.body.challengeToken) || req.ip);
+const adminInviteAcceptLimiter = authRateLimit(60 * 60 * 1000, 5); // 5 attempts per hour, apart from password resets
 
 /**
  * @swagger
@@ -28,6 +33,8 @@ const adminAuthLimiter = authRateLimit(15 * 60 * 1000, 3); // 3 attempts per 15
  *       - `super_admin`: Super administrator with full system access including admin management
  *       
  *       Upon successful login, admin receives JWT token with role-based permissions.
+ *       **Two-Factor**: If the admin has 2FA enabled, no token is issued here. The response carries
+ *       `twoFactorRequired: true` and a `challengeToken` (valid 5 minutes) to exchange at `/login/2fa`.
  *     requestBody:
  *       required: true
  *       content:
@@ -133,9 +140,401 @@ const adminAuthLimiter = authRateLimit(15 * 60 * 1000, 3); // 3 attempts per 15
  */
 router.post('/login', adminAuthLimiter, adminAuthController.loginAdmin);
 
+/**
+ * @swagger
+ * /api/v1/admin-auth/login/2fa:
+ *   post:
+ *     tags:
+ *       - Admin Authentication
+ *     summary: Complete admin login with a 2FA code
+ *     description: |
+ *       Second login step for admins with two-factor authentication enabled.
+ *       Accepts a 6-digit code from the authenticator app or one of the backup codes
+ *       (each backup code works once). Wrong codes count towards the account lockout.
+ *       **Rate Limited**: Maximum 5 attempts per login challenge.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: challengeToken returned by /login
+ *               code:
+ *                 type: string
+ *                 example: "492817"
+ *     responses:
+ *       200:
+ *         description: Login successful, JWT token issued
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Invalid code or expired challenge
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: "fail"
+ *               message: "Invalid two-factor authentication code"
+ *       423:
+ *         description: Account temporarily locked
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post('/login/2fa', adminTwoFactorLimiter, adminAuthController.verifyTwoFactorLogin);
+
+/**
+ * @swagger
+ * /api/v1/admin-auth/forgot-password:
+ *   post:
+ *     tags:
+ *       - Admin Authentication
+ *     summary: Request an admin password reset link
+ *     description: |
+ *       Email a single-use password reset link (valid 10 minutes) to the admin.
+ *       The link points to `ADMIN_DASHBOARD_URL/reset-password/{token}`.
+ *       The response is the same whether or not the email belongs to an admin.
+ *       **Rate Limited**: Maximum 5 requests per hour.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "admin@qafzh-solar.com"
+ *     responses:
+ *       200:
+ *         description: Request accepted
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               message: "If an admin account exists for this email, a password reset link has been sent."
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ *       502:
+ *         description: The reset email could not be sent
+ */
+router.post('/forgot-password', adminPasswordResetLimiter, adminAuthController.forgotPassword);
+
+/**
+ * @swagger
+ * /api/v1/admin-auth/reset-password/{token}:
+ *   post:
+ *     tags:
+ *       - Admin Authentication
+ *     summary: Reset admin password with an emailed token
+ *     description: |
+ *       Set a new password using the token from the reset email. Clears any login lockout and
+ *       invalidates all tokens issued before the reset. The admin then logs in again.
+ *       **Rate Limited**: Maximum 5 requests per hour.
+ *     parameters:
+ *       - name: token
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - confirmPassword
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *               confirmPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               message: "Password reset successfully. Please log in with your new password."
+ *       400:
+ *         description: Invalid or expired token, or invalid password
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post('/reset-password/:token', adminPasswordResetLimiter, adminAuthController.resetPassword);
+
+/**
+ * @swagger
+ * /api/v1/admin-auth/invites/accept/{token}:
+ *   get:
+ *     tags:
+ *       - Admin Invitations
+ *     summary: Look up an admin invitation
+ *     description: |
+ *       Return the invited email, role and whether 2FA will be required, to prefill the accept form.
+ *     parameters:
+ *       - name: token
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation details
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               data:
+ *                 email: "moderator@qafzh-solar.com"
+ *                 name: "Sara"
+ *                 role: "moderator"
+ *                 requireTwoFactor: true
+ *                 invitedBy: "superadmin"
+ *                 expiresAt: "2024-01-18T10:30:00.000Z"
+ *       400:
+ *         description: Invitation is invalid, used, revoked or expired
+ *   post:
+ *     tags:
+ *       - Admin Invitations
+ *     summary: Accept an admin invitation
+ *     description: |
+ *       Create the invited admin account with a password of the invitee's choosing and log them in.
+ *       The role and permissions come from the invitation. If the invitation requires 2FA, only the
+ *       `/2fa` enrollment endpoints are available until it is enabled; otherwise 2FA can be set up later.
+ *       **Rate Limited**: Maximum 5 requests per hour.
+ *     parameters:
+ *       - name: token
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - confirmPassword
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Defaults to the name on the invitation
+ *                 example: "Sara Ahmed"
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *               confirmPassword:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Admin account created and logged in
+ *       400:
+ *         description: Invalid or expired invitation, or invalid input
+ *       409:
+ *         description: An admin with this email or name already exists
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.get('/invites/accept/:token', adminAuthController.getInviteByToken);
+router.post('/invites/accept/:token', adminInviteAcceptLimiter, adminAuthController.acceptInvite);
+
+// 2FA enrollment - reachable even when a super admin requires 2FA and it isn't set up yet
+/**
+ * @swagger
+ * /api/v1/admin-auth/2fa:
+ *   get:
+ *     tags:
+ *       - Admin Two-Factor Authentication
+ *     summary: Get own 2FA status (Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: 2FA status
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               data:
+ *                 enabled: true
+ *                 required: false
+ *                 enabledAt: "2024-01-15T10:30:00.000Z"
+ *                 backupCodesRemaining: 8
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/2fa', authToken, isAdminEnrolling, adminAuthController.getTwoFactorStatus);
+
+/**
+ * @swagger
+ * /api/v1/admin-auth/2fa/setup:
+ *   post:
+ *     tags:
+ *       - Admin Two-Factor Authentication
+ *     summary: Start 2FA enrollment (Admin only)
+ *     description: |
+ *       Generate a new TOTP secret. Render `otpauthUrl` as a QR code (or enter `secret` manually)
+ *       in an authenticator app, then confirm with `/2fa/enable`. Calling it again replaces the pending secret.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               message: "Scan the QR code with your authenticator app, then confirm with a code"
+ *               data:
+ *                 secret: "JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP"
+ *                 otpauthUrl: "otpauth://totp/Qafzh%20Solar:admin%40qafzh-solar.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=Qafzh+Solar&algorithm=SHA1&digits=6&period=30"
+ *       400:
+ *         description: 2FA already enabled
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/2fa/setup', authToken, isAdminEnrolling, adminAuthController.setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/admin-auth/2fa/enable:
+ *   post:
+ *     tags:
+ *       - Admin Two-Factor Authentication
+ *     summary: Confirm 2FA enrollment (Admin only)
+ *     description: |
+ *       Confirm the secret from `/2fa/setup` with a current code. Returns 10 single-use backup codes,
+ *       which are shown only once.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "492817"
+ *     responses:
+ *       200:
+ *         description: 2FA enabled
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               message: "Two-factor authentication enabled. Store these backup codes somewhere safe; they will not be shown again."
+ *               data:
+ *                 backupCodes: ["89c87-32ef3", "4cc54-7b115"]
+ *       400:
+ *         description: Invalid code, setup not started or already enabled
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/2fa/enable', authToken, isAdminEnrolling, audit('admin.2fa_enable', { model: 'Admin', self: true }), adminAuthController.enableTwoFactor);
+
 // Protected admin routes
 router.use(authToken, isAdmin); // All routes below require admin authentication
 
+/**
+ * @swagger
+ * /api/v1/admin-auth/2fa/disable:
+ *   post:
+ *     tags:
+ *       - Admin Two-Factor Authentication
+ *     summary: Disable own 2FA (Admin only)
+ *     description: |
+ *       Turn off two-factor authentication. Requires the account password and a current
+ *       authenticator or backup code. Not allowed when a super admin has made 2FA required.
+ *       Wrong passwords or codes count towards the account lockout.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA disabled
+ *       400:
+ *         description: Invalid password or code, or 2FA not enabled
+ *       403:
+ *         description: 2FA is required for this account
+ *       423:
+ *         description: Account temporarily locked
+ */
+router.post('/2fa/disable', audit('admin.2fa_disable', { model: 'Admin', self: true }), adminAuthController.disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/admin-auth/2fa/backup-codes:
+ *   post:
+ *     tags:
+ *       - Admin Two-Factor Authentication
+ *     summary: Regenerate backup codes (Admin only)
+ *     description: |
+ *       Replace all backup codes with 10 new ones. Requires a current authenticator code
+ *       (backup codes are not accepted here). Wrong codes count towards the account lockout.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "492817"
+ *     responses:
+ *       200:
+ *         description: New backup codes
+ *       400:
+ *         description: Invalid code or 2FA not enabled
+ *       423:
+ *         description: Account temporarily locked
+ */
+router.post('/2fa/backup-codes', audit('admin.2fa_backup_codes_regenerate', { model: 'Admin', self: true }), adminAuthController.regenerateBackupCodes);
+
 /**
  * @swagger
  * /api/v1/admin-auth/profile:
@@ -199,6 +598,42 @@ router.use(authToken, isAdmin); // All routes below require admin authentication
  */
 router.get('/profile', adminAuthController.getAdminProfile);
 
+/**
+ * @swagger
+ * /api/v1/admin-auth/permissions:
+ *   get:
+ *     tags:
+ *       - Admin Profile
+ *     summary: Get own effective permissions (Admin only)
+ *     description: |
+ *       The full resource/action matrix for the authenticated admin, with super admin
+ *       access already applied. Use it to hide dashboard actions the admin cannot perform.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Effective permissions
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               data:
+ *                 role: "moderator"
+ *                 isSuperAdmin: false
+ *                 canManageAdmins: false
+ *                 permissions:
+ *                   products: { create: false, read: true, update: true, delete: false, approve: true }
+ *                   engineers: { create: false, read: true, update: false, delete: false }
+ *                   shops: { create: false, read: true, update: false, delete: false }
+ *                   ads: { create: false, read: true, update: false, delete: false }
+ *                   users: { read: true, update: true, delete: false }
+ *                   analytics: { read: false }
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/permissions', adminAuthController.getMyPermissions);
+
 /**
  * @swagger
  * /api/v1/admin-auth/profile:
@@ -297,7 +732,7 @@ router.get('/profile', adminAuthController.getAdminProfile);
  *       403:
  *         $ref: '#/components/responses/ForbiddenError'
  */
-router.put('/profile', adminAuthController.updateAdminProfile);
+router.put('/profile', audit('admin.profile_update', { model: 'Admin', self: true }), adminAuthController.updateAdminProfile);
 
 /**
  * @swagger
@@ -383,7 +818,7 @@ router.put('/profile', adminAuthController.updateAdminProfile);
  *       403:
  *         $ref: '#/components/responses/ForbiddenError'
  */
-router.put('/change-password', adminAuthController.changePassword);
+router.put('/change-password', audit('admin.password_change', { model: 'Admin', self: true }), adminAuthController.changePassword);
 
 /**
  * @swagger
@@ -431,25 +866,36 @@ router.use(isSuperAdmin);
 
 /**
  * @swagger
- * /api/v1/admin-auth/create:
- *   post:
+ * /api/v1/admin-auth/roles:
+ *   get:
  *     tags:
  *       - Admin Management (Super Admin)
- *     summary: Create new admin (Super Admin only)
+ *     summary: Get permission presets per role (Super Admin only)
  *     description: |
- *       Create a new administrator account in the system.
- *       **Super Admin Access Required**: Only super administrators can create new admin accounts.
- *       **Role Assignment**: Super admin can assign roles and permissions to new admin.
- *       **Available Roles**:
- *       - `admin`: Standard administrator with predefined permissions
- *       - `super_admin`: Super administrator with full system access
- *       
- *       **Default Admin Permissions**:
- *       - manage_products: Approve/reject product listings
- *       - manage_engineers: Add/edit/verify engineers
- *       - manage_shops: Add/edit/verify shops  
- *       - manage_ads: Create/edit advertisements
- *       - view_stats: Access dashboard statistics
+ *       Default permission matrix for `super_admin`, `admin` and `moderator`. A preset is applied
+ *       when an admin is created, or their role is changed, without explicit permissions.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Role presets
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/roles', adminAuthController.getRolePresets);
+
+/**
+ * @swagger
+ * /api/v1/admin-auth/invites:
+ *   post:
+ *     tags:
+ *       - Admin Invitations
+ *     summary: Invite a new admin (Super Admin only)
+ *     description: |
+ *       Email a single-use invitation link (valid `ADMIN_INVITE_EXPIRES_HOURS`, default 72 hours) to
+ *       `ADMIN_DASHBOARD_URL/invites/accept/{token}`. The invitee sets their own password.
+ *       Without `permissions`, the role's preset applies. Inviting an email again revokes its pending invitation.
  *     security:
  *       - bearerAuth: []
  *       - cookieAuth: []
@@ -460,132 +906,93 @@ router.use(isSuperAdmin);
  *           schema:
  *             type: object
  *             required:
- *               - username
  *               - email
- *               - password
- *               - role
  *             properties:
- *               username:
- *                 type: string
- *                 minLength: 3
- *                 maxLength: 50
- *                 pattern: '^[a-zA-Z0-9_]+$'
- *                 description: Unique admin username (alphanumeric and underscore only)
- *                 example: "admin_manager"
  *               email:
  *                 type: string
  *                 format: email
- *                 description: Admin email address
- *                 example: "manager@qafzh-solar.com"
- *               password:
+ *                 example: "moderator@qafzh-solar.com"
+ *               name:
  *                 type: string
- *                 minLength: 8
- *                 description: Strong password (min 8 chars, uppercase, lowercase, number)
- *                 example: "SecureAdminPass123"
+ *                 example: "Sara"
  *               role:
  *                 type: string
- *                 enum: [admin, super_admin]
- *                 description: Admin role and access level
- *                 example: "admin"
- *               displayName:
- *                 type: string
- *                 maxLength: 100
- *                 description: Display name for the admin
- *                 example: "Product Manager"
+ *                 enum: [admin, moderator, super_admin]
+ *                 default: admin
  *               permissions:
- *                 type: array
- *                 items:
- *                   type: string
- *                   enum: [manage_products, manage_engineers, manage_shops, manage_ads, manage_users, view_stats, system_settings]
- *                 description: Specific permissions (optional, defaults based on role)
- *                 example: ["manage_products", "manage_engineers", "view_stats"]
- *               isActive:
+ *                 type: object
+ *                 description: "Resource/action matrix, e.g. { shops: { delete: false } }"
+ *               requireTwoFactor:
  *                 type: boolean
- *                 default: true
- *                 description: Whether the admin account is active
- *                 example: true
- *           examples:
- *             standard_admin:
- *               summary: Create standard admin
- *               value:
- *                 username: "product_admin"
- *                 email: "products@qafzh-solar.com"
- *                 password: "SecureAdminPass123"
- *                 role: "admin"
- *                 displayName: "Product Manager"
- *                 permissions: ["manage_products", "view_stats"]
- *             super_admin:
- *               summary: Create super admin
- *               value:
- *                 username: "super_manager"
- *                 email: "super@qafzh-solar.com"
- *                 password: "SuperSecurePass123"
- *                 role: "super_admin"
- *                 displayName: "System Administrator"
- *             full_access_admin:
- *               summary: Create admin with all permissions
- *               value:
- *                 username: "full_admin"
- *                 email: "full@qafzh-solar.com"
- *                 password: "FullAccessPass123"
- *                 role: "admin"
- *                 displayName: "Full Access Manager"
- *                 permissions: ["manage_products", "manage_engineers", "manage_shops", "manage_ads", "view_stats"]
+ *                 default: false
  *     responses:
  *       201:
- *         description: Admin created successfully
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ApiResponse'
- *             examples:
- *               success:
- *                 value:
- *                   status: "success"
- *                   message: "Admin created successfully"
- *                   data:
- *                     admin:
- *                       id: "64abc123def456789012347"
- *                       username: "product_admin"
- *                       email: "products@qafzh-solar.com"
- *                       role: "admin"
- *                       displayName: "Product Manager"
- *                       permissions: ["manage_products", "view_stats"]
- *                       isActive: true
- *                       createdAt: "2024-01-15T12:30:00.000Z"
- *                       createdBy: "64abc123def456789012346"
+ *         description: Invitation sent
  *       400:
- *         description: Validation error or username/email already exists
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
- *             examples:
- *               username_exists:
- *                 value:
- *                   status: "fail"
- *                   message: "Username already exists"
- *               email_exists:
- *                 value:
- *                   status: "fail"
- *                   message: "Email already registered"
- *               weak_password:
- *                 value:
- *                   status: "fail"
- *                   message: "Password must be at least 8 characters with uppercase, lowercase, and number"
- *       401:
- *         $ref: '#/components/responses/UnauthorizedError'
+ *         $ref: '#/components/responses/ValidationError'
  *       403:
- *         description: Super admin access required
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
- *             example:
- *               status: "fail"
- *               message: "Super admin access required to create admin accounts"
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       409:
+ *         description: Admin with this email already exists
+ *       502:
+ *         description: The invitation email could not be sent
+ *   get:
+ *     tags:
+ *       - Admin Invitations
+ *     summary: List admin invitations (Super Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: status
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Invitations
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.post('/invites', audit('admin_invite.create', { model: 'AdminInvite', entity: 'admin_invite' }), adminAuthController.createInvite);
+router.get('/invites', adminAuthController.getInvites);
+
+/**
+ * @swagger
+ * /api/v1/admin-auth/invites/{inviteId}:
+ *   delete:
+ *     tags:
+ *       - Admin Invitations
+ *     summary: Revoke a pending invitation (Super Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: inviteId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       400:
+ *         description: Invitation is not pending
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
  */
-router.post('/create', validateAdminCreation, adminAuthController.createAdmin);
+router.delete('/invites/:inviteId', validateObjectId('inviteId'), audit('admin_invite.revoke', { model: 'AdminInvite', entity: 'admin_invite', idParam: 'inviteId' }), adminAuthController.revokeInvite);
 
 /**
  * @swagger
@@ -893,7 +1300,7 @@ router.get('/all', adminAuthController.getAllAdmins);
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  */
-router.put('/permissions/:adminId', validateObjectId('adminId'), adminAuthController.updateAdminPermissions);
+router.put('/permissions/:adminId', validateObjectId('adminId'), audit('admin.permissions_update', { model: 'Admin', idParam: 'adminId' }), adminAuthController.updateAdminPermissions);
 
 /**
  * @swagger
@@ -973,6 +1380,80 @@ router.put('/permissions/:adminId', validateObjectId('adminId'), adminAuthContro
  *               status: "fail"
  *               message: "Admin account not found"
  */
-router.delete('/:adminId', validateObjectId('adminId'), adminAuthController.deactivateAdmin);
+router.delete('/:adminId', validateObjectId('adminId'), audit('admin.deactivate', { model: 'Admin', idParam: 'adminId' }), adminAuthController.deactivateAdmin);
+
+/**
+ * @swagger
+ * /api/v1/admin-auth/2fa/{adminId}:
+ *   delete:
+ *     tags:
+ *       - Admin Management (Super Admin)
+ *     summary: Reset another admin's 2FA (Super Admin only)
+ *     description: |
+ *       Remove an admin's authenticator secret and backup codes, e.g. after a lost phone.
+ *       If 2FA is required for that admin, they must enroll again before using the dashboard.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: adminId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 2FA reset
+ *       400:
+ *         description: Cannot reset your own 2FA here
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete('/2fa/:adminId', validateObjectId('adminId'), audit('admin.2fa_reset', { model: 'Admin', idParam: 'adminId' }), adminAuthController.resetAdminTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/admin-auth/2fa/{adminId}/require:
+ *   put:
+ *     tags:
+ *       - Admin Management (Super Admin)
+ *     summary: Require 2FA for an admin (Super Admin only)
+ *     description: |
+ *       When required, the admin can only reach the 2FA enrollment endpoints until 2FA is enabled,
+ *       and cannot disable it afterwards.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: adminId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - required
+ *             properties:
+ *               required:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Requirement updated
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/2fa/:adminId/require', validateObjectId('adminId'), audit('admin.2fa_requirement_update', { model: 'Admin', idParam: 'adminId' }), adminAuthController.setTwoFactorRequirement);
 
 module.exports = router;
\ No newline at end of file
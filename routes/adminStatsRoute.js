@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const  adminStatsController  = require('../controllers/adminStatsController');
-const { authToken, isAdmin } = require('../middlewares/auth');
+const { authToken, isAdmin, checkPermission } = require('../middlewares/auth');
 
 /**
  * @swagger
@@ -13,6 +13,7 @@ const { authToken, isAdmin } = require('../middlewares/auth');
  *     description: |
  *       Retrieve comprehensive statistics for the admin dashboard.
  *       **Admin Access Required**: Only administrators can access dashboard statistics.
+ *       **Permission Required**: `analytics.read`
  *       **Real-time Data**: Provides up-to-date metrics for informed decision making.
  *       **Comprehensive Metrics**: Includes user activity, product stats, revenue insights, and system health.
  *       
@@ -422,6 +423,6 @@ const { authToken, isAdmin } = require('../middlewares/auth');
  *                   status: "error"
  *                   message: "Error calculating performance metrics"
  */
-router.get('/dashboard-stats', authToken ,isAdmin, adminStatsController.getAdminDashboardStats);
+router.get('/dashboard-stats', authToken ,isAdmin, checkPermission('analytics', 'read'), adminStatsController.getAdminDashboardStats);
 
 module.exports = router;
@@ -0,0 +1,229 @@
+const express = require('express');
+const router = express.Router();
+const adminUserController = require('../controllers/adminUserController');
+const { authToken, isAdmin, checkPermission } = require('../middlewares/auth');
+const { validateObjectId } = require('../middlewares/validation');
+const { audit } = require('../middlewares/audit');
+
+// All routes require an authenticated admin
+router.use(authToken, isAdmin);
+
+/**
+ * @swagger
+ * /api/v1/admin/users:
+ *   get:
+ *     tags:
+ *       - Admin Users
+ *     summary: List and search users (Admin only)
+ *     description: |
+ *       List marketplace users with optional filters. Anonymized (purged) accounts are excluded.
+ *       **Permission Required**: `users.read`
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: phone
+ *         in: query
+ *         description: Partial phone number (any format, matched on digits)
+ *         schema:
+ *           type: string
+ *           example: "777123"
+ *       - name: name
+ *         in: query
+ *         description: Partial name (case-insensitive)
+ *         schema:
+ *           type: string
+ *       - name: isVerified
+ *         in: query
+ *         schema:
+ *           type: boolean
+ *       - name: isActive
+ *         in: query
+ *         schema:
+ *           type: boolean
+ *       - name: isBanned
+ *         in: query
+ *         description: Currently banned (expired bans count as not banned)
+ *         schema:
+ *           type: boolean
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Users retrieved successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               results: 1
+ *               data:
+ *                 users:
+ *                   - _id: "64abc123def4567890123456"
+ *                     phone: "+967777123456"
+ *                     name: "Ahmed Ali"
+ *                     isVerified: true
+ *                     isActive: true
+ *                     isBanned: false
+ *                 pagination:
+ *                   currentPage: 1
+ *                   totalPages: 1
+ *                   totalItems: 1
+ *                   itemsPerPage: 20
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', checkPermission('users', 'read'), adminUserController.getAllUsers);
+
+/**
+ * @swagger
+ * /api/v1/admin/users/{userId}:
+ *   get:
+ *     tags:
+ *       - Admin Users
+ *     summary: Get user details (Admin only)
+ *     description: |
+ *       Get a user's profile, their most recent listings (up to 50), listing counts by status
+ *       and login history (one entry per sign-in with device, IP and last-seen time).
+ *       **Permission Required**: `users.read`
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: userId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User details retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:userId', validateObjectId('userId'), checkPermission('users', 'read'), adminUserController.getUserById);
+
+/**
+ * @swagger
+ * /api/v1/admin/users/{userId}/ban:
+ *   post:
+ *     tags:
+ *       - Admin Users
+ *     summary: Ban a user (Admin only)
+ *     description: |
+ *       Ban a user with a reason and an optional expiry (omit `expiresAt` for a permanent ban).
+ *       All of the user's tokens and sessions are invalidated immediately.
+ *       **Permission Required**: `users.update`
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: userId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Posting fraudulent listings"
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2024-02-15T00:00:00.000Z"
+ *     responses:
+ *       200:
+ *         description: User banned successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/:userId/ban', validateObjectId('userId'), checkPermission('users', 'update'), audit('user.ban', { model: 'User', idParam: 'userId' }), adminUserController.banUser);
+
+/**
+ * @swagger
+ * /api/v1/admin/users/{userId}/unban:
+ *   post:
+ *     tags:
+ *       - Admin Users
+ *     summary: Unban a user (Admin only)
+ *     description: |
+ *       Lift a user's ban. The user has to log in again.
+ *       **Permission Required**: `users.update`
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: userId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User unbanned successfully
+ *       400:
+ *         description: User is not banned
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/:userId/unban', validateObjectId('userId'), checkPermission('users', 'update'), audit('user.unban', { model: 'User', idParam: 'userId' }), adminUserController.unbanUser);
+
+/**
+ * @swagger
+ * /api/v1/admin/users/{userId}/verify:
+ *   post:
+ *     tags:
+ *       - Admin Users
+ *     summary: Mark a user as verified (Admin only)
+ *     description: |
+ *       Manually mark a user's phone number as verified, e.g. after confirming it by a call.
+ *       **Permission Required**: `users.update`
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: userId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User verified successfully
+ *       400:
+ *         description: User is already verified
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/:userId/verify', validateObjectId('userId'), checkPermission('users', 'update'), audit('user.verify', { model: 'User', idParam: 'userId' }), adminUserController.verifyUser);
+
+module.exports = router;
@@ -2,7 +2,8 @@ const express = require('express');
 const router = express.Router();
 
 const adsController = require('../controllers/adsController');
-const { authToken, isAdmin } = require('../middlewares/auth');
+const { authToken, isAdmin, checkPermission } = require('../middlewares/auth');
+const { audit } = require('../middlewares/audit');
 
 /**
  * @swagger
@@ -14,7 +15,8 @@ const { authToken, isAdmin } = require('../middlewares/auth');
  *     description: |
  *       Create a new advertisement for display in the marketplace.
  *       **Admin Access Required**: Only administrators can create advertisements.
- *       **Image Handling**: Provide image URL directly in the request body (no file upload).
+ *       **Permission Required**: `ads.create`
+ *       **Image Handling**: Upload the image with `POST /api/v1/uploads/ads` and pass the returned URL in the request body.
  *       **Placement Options**: Various placement locations throughout the app.
  *     security:
  *       - bearerAuth: []
@@ -152,7 +154,7 @@ const { authToken, isAdmin } = require('../middlewares/auth');
  *       403:
  *         $ref: '#/components/responses/ForbiddenError'
  */
-router.post('/postads', authToken, isAdmin, adsController.postAds);
+router.post('/postads', authToken, isAdmin, checkPermission('ads', 'create'), audit('ad.create', { model: 'Ad' }), adsController.postAds);
 
 /**
  * @swagger
@@ -164,6 +166,7 @@ router.post('/postads', authToken, isAdmin, adsController.postAds);
  *     description: |
  *       Retrieve all advertisements with filtering and pagination options.
  *       **Admin Access Required**: Only administrators can view all advertisements.
+ *       **Permission Required**: `ads.read`
  *       **Management Features**: View statistics, performance metrics, and manage ad status.
  *     security:
  *       - bearerAuth: []
@@ -244,7 +247,7 @@ router.post('/postads', authToken, isAdmin, adsController.postAds);
  *       403:
  *         $ref: '#/components/responses/ForbiddenError'
  */
-router.get('/get/allAds', authToken, isAdmin, adsController.getAllAds);
+router.get('/get/allAds', authToken, isAdmin, checkPermission('ads', 'read'), adsController.getAllAds);
 
 /**
  * @swagger
@@ -256,7 +259,8 @@ router.get('/get/allAds', authToken, isAdmin, adsController.getAllAds);
  *     description: |
  *       Update an existing advertisement.
  *       **Admin Access Required**: Only administrators can update advertisements.
- *       **Image Update**: Provide new image URL in JSON body (no file upload required).
+ *       **Permission Required**: `ads.update`
+ *       **Image Update**: Provide the new image URL (from `POST /api/v1/uploads/ads`) in the JSON body.
  *     security:
  *       - bearerAuth: []
  *       - cookieAuth: []
@@ -384,7 +388,7 @@ router.get('/get/allAds', authToken, isAdmin, adsController.getAllAds);
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  */
-router.patch('/update/:id', authToken, isAdmin, adsController.updateAd);
+router.patch('/update/:id', authToken, isAdmin, checkPermission('ads', 'update'), audit('ad.update', { model: 'Ad' }), adsController.updateAd);
 
 /**
  * @swagger
@@ -396,6 +400,7 @@ router.patch('/update/:id', authToken, isAdmin, adsController.updateAd);
  *     description: |
  *       Permanently delete an advertisement.
  *       **Admin Access Required**: Only administrators can delete advertisements.
+ *       **Permission Required**: `ads.delete`
  *       **⚠️ Warning**: This action cannot be undone.
  *     security:
  *       - bearerAuth: []
@@ -432,7 +437,7 @@ router.patch('/update/:id', authToken, isAdmin, adsController.updateAd);
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  */
-router.delete('/delete/:id', authToken, isAdmin, adsController.deleteAd);
+router.delete('/delete/:id', authToken, isAdmin, checkPermission('ads', 'delete'), audit('ad.delete', { model: 'Ad' }), adsController.deleteAd);
 
 /**
  * @swagger
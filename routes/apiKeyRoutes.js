@@ -0,0 +1,206 @@
+const express = require('express');
+const router = express.Router();
+const apiKeyController = require('../controllers/apiKeyController');
+const { authToken, isAdmin, isSuperAdmin } = require('../middlewares/auth');
+const { validateObjectId } = require('../middlewares/validation');
+const { audit } = require('../middlewares/audit');
+
+// Partner API keys are managed by super admins only
+router.use(authToken, isAdmin, isSuperAdmin);
+
+/**
+ * @swagger
+ * /api/v1/admin/api-keys:
+ *   post:
+ *     tags:
+ *       - Partner API Keys
+ *     summary: Issue a partner API key (Super Admin only)
+ *     description: |
+ *       Create an API key that acts on behalf of a verified marketplace user (the shop's or installer's account).
+ *       The full key is returned once; only its hash is stored.
+ *       Partners send it as `X-API-Key: <key>` (or `Authorization: ApiKey <key>`).
+ *
+ *       **Scopes**:
+ *       - `products:write`: post, update and delete the owner's listings
+ *       - `products:read`: read the owner's listings
+ *       - `marketplace:read`: read public marketplace data with the key's own rate limit
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - userId
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Aden Solar Center inventory sync"
+ *               userId:
+ *                 type: string
+ *                 description: Marketplace user the key acts as
+ *               shopId:
+ *                 type: string
+ *               engineerId:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [products:read, products:write, marketplace:read]
+ *                 example: ["products:write", "marketplace:read"]
+ *               rateLimitPerMinute:
+ *                 type: integer
+ *                 default: 60
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               message: "API key created. Copy it now; it will not be shown again."
+ *               data:
+ *                 key: "qfz_3f9a1c0b7d2e_Jx2kP0vQm8s7R4tY1uW6zA9bC3dE5fG7"
+ *                 apiKey:
+ *                   _id: "64abc123def4567890123470"
+ *                   name: "Aden Solar Center inventory sync"
+ *                   prefix: "3f9a1c0b7d2e"
+ *                   scopes: ["products:write", "marketplace:read"]
+ *                   rateLimitPerMinute: 60
+ *                   isActive: true
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Key owner not found or inactive
+ *   get:
+ *     tags:
+ *       - Partner API Keys
+ *     summary: List partner API keys (Super Admin only)
+ *     description: Keys with owner, scopes, rate limit and last-used time and IP.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: userId
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: status
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [active, revoked, expired]
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: API keys
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.post('/', audit('api_key.create', { model: 'ApiKey', entity: 'api_key' }), apiKeyController.createApiKey);
+router.get('/', apiKeyController.getApiKeys);
+
+/**
+ * @swagger
+ * /api/v1/admin/api-keys/{keyId}:
+ *   get:
+ *     tags:
+ *       - Partner API Keys
+ *     summary: Get a partner API key (Super Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: keyId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   patch:
+ *     tags:
+ *       - Partner API Keys
+ *     summary: Update a partner API key (Super Admin only)
+ *     description: Rename the key or change its scopes or rate limit. The key itself does not change.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: keyId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               rateLimitPerMinute:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: API key updated
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   delete:
+ *     tags:
+ *       - Partner API Keys
+ *     summary: Revoke a partner API key (Super Admin only)
+ *     description: The key stops working immediately.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: keyId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       400:
+ *         description: API key is already revoked
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:keyId', validateObjectId('keyId'), apiKeyController.getApiKeyById);
+router.patch('/:keyId', validateObjectId('keyId'), audit('api_key.update', { model: 'ApiKey', entity: 'api_key', idParam: 'keyId' }), apiKeyController.updateApiKey);
+router.delete('/:keyId', validateObjectId('keyId'), audit('api_key.revoke', { model: 'ApiKey', entity: 'api_key', idParam: 'keyId' }), apiKeyController.revokeApiKey);
+
+module.exports = router;
@@ -0,0 +1,193 @@
+const express = require('express');
+const router = express.Router();
+const auditLogController = require('../controllers/auditLogController');
+const { authToken, isAdmin, isSuperAdmin } = require('../middlewares/auth');
+const { validateObjectId } = require('../middlewares/validation');
+
+// The audit log is visible to super admins only
+router.use(authToken, isAdmin, isSuperAdmin);
+
+/**
+ * @swagger
+ * /api/v1/admin/audit-logs:
+ *   get:
+ *     tags:
+ *       - Audit Log
+ *     summary: Browse the admin audit log (Super Admin only)
+ *     description: |
+ *       Every admin action (approvals, shop/engineer/ad changes, admin and user management)
+ *       is recorded with the acting admin, the target entity, a field-level before/after diff,
+ *       IP and timestamp. Entries are append-only. Sensitive fields (passwords, secrets) are
+ *       recorded as `[REDACTED]`.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: actorId
+ *         in: query
+ *         description: Admin who performed the action
+ *         schema:
+ *           type: string
+ *       - name: action
+ *         in: query
+ *         description: Exact action (`product.status_update`) or a prefix (`product`)
+ *         schema:
+ *           type: string
+ *       - name: entityType
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [product, shop, engineer, ad, admin, user, admin_invite, api_key, exchange_rate]
+ *       - name: entityId
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: from
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - name: to
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Audit log entries
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               results: 1
+ *               data:
+ *                 logs:
+ *                   - _id: "64abc123def4567890123499"
+ *                     actor:
+ *                       id: "64abc123def4567890123456"
+ *                       name: "Product Admin"
+ *                       email: "admin@qafzh-solar.com"
+ *                       role: "admin"
+ *                     action: "product.status_update"
+ *                     entity:
+ *                       type: "product"
+ *                       id: "64abc123def4567890123460"
+ *                     changes:
+ *                       - field: "status"
+ *                         before: "pending"
+ *                         after: "approved"
+ *                     method: "PATCH"
+ *                     path: "/api/v1/admin/update/64abc123def4567890123460"
+ *                     statusCode: 200
+ *                     ip: "203.0.113.7"
+ *                     createdAt: "2024-01-15T10:30:00.000Z"
+ *                 pagination:
+ *                   currentPage: 1
+ *                   totalPages: 1
+ *                   totalItems: 1
+ *                   itemsPerPage: 50
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', auditLogController.getAuditLogs);
+
+/**
+ * @swagger
+ * /api/v1/admin/audit-logs/export:
+ *   get:
+ *     tags:
+ *       - Audit Log
+ *     summary: Export the admin audit log (Super Admin only)
+ *     description: |
+ *       Download the entries matching the same filters as the list endpoint
+ *       (up to 50,000 rows, newest first) as CSV or JSON lines.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: format
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *       - name: actorId
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: action
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: entityType
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: entityId
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: from
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - name: to
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Export file
+ *         content:
+ *           text/csv: {}
+ *           application/x-ndjson: {}
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/export', auditLogController.exportAuditLogs);
+
+/**
+ * @swagger
+ * /api/v1/admin/audit-logs/{logId}:
+ *   get:
+ *     tags:
+ *       - Audit Log
+ *     summary: Get one audit log entry (Super Admin only)
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: logId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Audit log entry
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:logId', validateObjectId('logId'), auditLogController.getAuditLogById);
+
+module.exports = router;
@@ -10,7 +10,10 @@ const { authToken, isVerified, authRateLimit } = require('../middlewares/auth');
 const { 
   validateUserRegistration, 
   validateOTPVerification,
-  validateUserProfileUpdate
+  validatePasswordReset,
+  validatePhoneChange,
+  validateUserProfileUpdate,
+  validateObjectId
 } = require('../middlewares/validation');
 
 // Rate limiting for auth endpoints
@@ -84,6 +87,7 @@ router.post('/register', authLimiter, validateUserRegistration, authController.r
  *       Verify the OTP sent to user's phone number to complete the registration process.
  *       Upon successful verification, user will be logged in and receive JWT tokens.
  *       Rate limited to 5 attempts per 15 minutes.
+ *       After 5 wrong codes for the same phone, OTP verification and resends are locked for 30 minutes.
  *     requestBody:
  *       required: true
  *       content:
@@ -95,7 +99,7 @@ router.post('/register', authLimiter, validateUserRegistration, authController.r
  *               summary: OTP verification
  *               value:
  *                 phone: "+967777123456"
- *                 otp: "112233"
+ *                 otp: "483920"
  *     responses:
  *       200:
  *         description: OTP verified successfully, user logged in
@@ -139,6 +143,18 @@ router.post('/register', authLimiter, validateUserRegistration, authController.r
  *                 value:
  *                   status: "fail"
  *                   message: "Phone number and OTP are required"
+ *       423:
+ *         description: OTP verification locked after too many failed attempts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: "fail"
+ *               message: "Too many failed OTP attempts. Please try again in 30 minutes."
+ *               data:
+ *                 lockUntil: "2024-01-15T11:00:00.000Z"
+ *                 retryAfterSeconds: 1800
  *       429:
  *         $ref: '#/components/responses/RateLimitError'
  */
@@ -155,6 +171,8 @@ router.post('/verify-otp/:phone', authLimiter, validateOTPVerification, authCont
  *       Request a new OTP for an existing registered phone number.
  *       This can be used if the previous OTP expired or was not received.
  *       Rate limited to 5 attempts per 15 minutes.
+ *       Resends for the same phone are spaced exponentially (30s, 60s, 120s, ... up to 1 hour);
+ *       `resendAvailableAt` in the response tells the client when the next one is allowed.
  *     requestBody:
  *       required: true
  *       content:
@@ -190,8 +208,20 @@ router.post('/verify-otp/:phone', authLimiter, validateOTPVerification, authCont
  *             example:
  *               status: "fail"
  *               message: "Phone number not found. Please register first."
+ *       423:
+ *         description: OTPs for this phone are locked after too many failed attempts
  *       429:
- *         $ref: '#/components/responses/RateLimitError'
+ *         description: Rate limited, or the resend delay for this phone has not elapsed yet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: "fail"
+ *               message: "Please wait 60 seconds before requesting another OTP."
+ *               data:
+ *                 resendAvailableAt: "2024-01-15T10:31:00.000Z"
+ *                 retryAfterSeconds: 60
  */
 router.post('/request-otp', authLimiter, validateUserRegistration, authController.requestOTP);
 
@@ -248,8 +278,189 @@ router.post('/request-otp', authLimiter, validateUserRegistration, authControlle
  *               message: "Invalid phone number format"
  */
 router.get('/check-phone', authController.checkPhone);
+
+/**
+ * @swagger
+ * /api/v1/auth/forgot-password:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Request a password reset OTP
+ *     description: |
+ *       Send a password reset OTP to a registered phone number.
+ *       The code can only be used with `/reset-password`, not for registration.
+ *       Subject to the same per-phone lockout and resend delays as other OTPs.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UserRegistration'
+ *           example:
+ *             phone: "+967777123456"
+ *     responses:
+ *       200:
+ *         description: Reset OTP sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               status: "success"
+ *               message: "Password reset OTP sent successfully"
+ *               data:
+ *                 phone: "+967777123456"
+ *                 otpExpiresAt: "2024-01-15T10:40:00.000Z"
+ *                 resendAvailableAt: "2024-01-15T10:30:30.000Z"
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       423:
+ *         description: OTPs for this phone are locked after too many failed attempts
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post('/forgot-password', authLimiter, validateUserRegistration, authController.forgotPassword);
+
+/**
+ * @swagger
+ * /api/v1/auth/reset-password:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Reset password with OTP
+ *     description: |
+ *       Verify the password reset OTP and set a new password.
+ *       The new password must follow the registration policy (6+ characters with
+ *       uppercase, lowercase, number and special character).
+ *       All tokens issued before the reset stop working; the user must log in again.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phone
+ *               - otp
+ *               - password
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 example: "+967777123456"
+ *               otp:
+ *                 type: string
+ *                 example: "483920"
+ *               password:
+ *                 type: string
+ *                 example: "NewPass@123"
+ *               confirmPassword:
+ *                 type: string
+ *                 example: "NewPass@123"
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             example:
+ *               status: "success"
+ *               message: "Password reset successfully. Please log in with your new password."
+ *       400:
+ *         description: Invalid OTP or password does not meet the policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       423:
+ *         description: OTP verification locked after too many failed attempts
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post('/reset-password', authLimiter, validatePasswordReset, authController.resetPassword);
 router.post('/login', authController.login); // Removed rate limiter
 
+/**
+ * @swagger
+ * /api/v1/auth/refresh-token:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Refresh the access token
+ *     description: |
+ *       Exchange a refresh token for a new short-lived access token and a new refresh token.
+ *       Refresh tokens rotate: each one can be used once. Presenting an already-used refresh
+ *       token revokes the whole session. The token may be sent in the body or in the
+ *       `refreshToken` cookie set at login.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 example: "64abc123def4567890123456.9f2c..."
+ *     responses:
+ *       200:
+ *         description: New token pair issued
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               token: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *               refreshToken: "64abc123def4567890123456.1b7e..."
+ *               data:
+ *                 sessionId: "64abc123def4567890123456"
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Refresh token invalid, reused, expired or revoked
+ */
+router.post('/refresh-token', authController.refreshToken);
+
+/**
+ * @swagger
+ * /api/v1/auth/account/restore:
+ *   post:
+ *     tags:
+ *       - User Account
+ *     summary: Restore an account scheduled for deletion
+ *     description: |
+ *       Cancel a pending account deletion during the grace period using phone and password.
+ *       Listings hidden by the deletion request are made visible again and a new session is started.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phone
+ *               - password
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 example: "+967777123456"
+ *               password:
+ *                 type: string
+ *                 example: "MyPass@123"
+ *     responses:
+ *       200:
+ *         description: Account restored and logged in
+ *       400:
+ *         description: Account is not scheduled for deletion
+ *       401:
+ *         description: Invalid phone number or password
+ *       403:
+ *         description: Account is banned
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post('/account/restore', authLimiter, authController.restoreAccount);
+
 // Protected routes (require authentication)
 router.use(authToken); // All routes below require authentication
 
@@ -377,8 +588,8 @@ router.put('/update-profile', authToken, validateUserProfileUpdate, authControll
  *       - Authentication
  *     summary: Logout user
  *     description: |
- *       Logout the authenticated user by clearing the JWT cookie.
- *       The user will need to login again to access protected routes.
+ *       Logout the authenticated user by revoking the current session and clearing the cookies.
+ *       The session's access and refresh tokens stop working immediately.
  *     security:
  *       - bearerAuth: []
  *       - cookieAuth: []
@@ -406,6 +617,111 @@ router.put('/update-profile', authToken, validateUserProfileUpdate, authControll
  */
 router.post('/logout', authController.logout);
 
+/**
+ * @swagger
+ * /api/v1/auth/sessions:
+ *   get:
+ *     tags:
+ *       - User Sessions
+ *     summary: List active sessions
+ *     description: |
+ *       List the devices the user is signed in on, with device name, IP and last-seen time.
+ *       The session behind the current token is flagged with `isCurrent`.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               results: 1
+ *               data:
+ *                 sessions:
+ *                   - id: "64abc123def4567890123456"
+ *                     deviceName: "Samsung Galaxy A14"
+ *                     ip: "134.35.10.22"
+ *                     lastSeenAt: "2024-01-15T10:30:00.000Z"
+ *                     isCurrent: true
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/sessions', authController.getSessions);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions/others:
+ *   delete:
+ *     tags:
+ *       - User Sessions
+ *     summary: Revoke all other sessions
+ *     description: Sign out every device except the one making the request.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.delete('/sessions/others', authController.revokeOtherSessions);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions/{sessionId}:
+ *   delete:
+ *     tags:
+ *       - User Sessions
+ *     summary: Revoke a session
+ *     description: Sign out one device. Its access and refresh tokens stop working immediately.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: sessionId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete('/sessions/:sessionId', validateObjectId('sessionId'), authController.revokeSession);
+
+/**
+ * @swagger
+ * /api/v1/auth/account/export:
+ *   get:
+ *     tags:
+ *       - User Account
+ *     summary: Download my data
+ *     description: |
+ *       Download everything stored about the authenticated user as a JSON file:
+ *       profile, product listings, sessions, favorites, saved searches and notifications.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: JSON export (sent as an attachment)
+ *         headers:
+ *           Content-Disposition:
+ *             schema:
+ *               type: string
+ *               example: 'attachment; filename="qafzh-account-64abc123def4567890123456.json"'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/account/export', authController.exportAccountData);
+
 // Routes that require verified phone
 router.use(isVerified); // All routes below require verified phone
 
@@ -417,12 +733,15 @@ router.use(isVerified); // All routes below require verified phone
  *       - User Account
  *     summary: Delete user account
  *     description: |
- *       Permanently delete the authenticated user's account and all associated data.
- *       This action cannot be undone. User must be verified to delete account.
- *       **⚠️ Warning: This will permanently delete all user data including:**
- *       - User profile
- *       - Posted products
- *       - Account history
+ *       Schedule the authenticated user's account for deletion. User must be verified to delete account.
+ *       The account is deactivated, its listings are hidden and all sessions are revoked immediately.
+ *       During the grace period (14 days by default) the account can be restored with
+ *       `POST /account/restore`. Download your data first with `GET /account/export`.
+ *       **⚠️ Warning: When the grace period ends:**
+ *       - Personal data (name, phone, profile image) is anonymized
+ *       - All posted products are removed
+ *       - Favorites, saved searches and notifications are removed, along with other users' favorites of the removed products
+ *       - The phone number becomes available for a new registration
  *     security:
  *       - bearerAuth: []
  *       - cookieAuth: []
@@ -443,8 +762,9 @@ router.use(isVerified); // All routes below require verified phone
  *               success:
  *                 value:
  *                   status: "success"
- *                   message: "Account deleted successfully"
- *                   data: null
+ *                   message: "Account scheduled for deletion. You can restore it until 2024-01-29T10:30:00.000Z."
+ *                   data:
+ *                     deletionScheduledFor: "2024-01-29T10:30:00.000Z"
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       403:
@@ -457,6 +777,94 @@ router.use(isVerified); // All routes below require verified phone
  *               status: "fail"
  *               message: "Please verify your phone number before deleting account"
  */
+/**
+ * @swagger
+ * /api/v1/auth/change-phone/request:
+ *   post:
+ *     tags:
+ *       - User Account
+ *     summary: Request a phone number change
+ *     description: |
+ *       Step 1 of changing the account's phone number. Checks the new number is not
+ *       registered to another account and sends an OTP to it.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - newPhone
+ *             properties:
+ *               newPhone:
+ *                 type: string
+ *                 example: "+967733123456"
+ *     responses:
+ *       200:
+ *         description: OTP sent to the new number
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       409:
+ *         description: The new number is already registered
+ *       423:
+ *         description: OTPs for this account are locked after too many failed attempts
+ *       429:
+ *         $ref: '#/components/responses/RateLimitError'
+ */
+router.post('/change-phone/request', authLimiter, validatePhoneChange, authController.requestPhoneChange);
+
+/**
+ * @swagger
+ * /api/v1/auth/change-phone/confirm:
+ *   post:
+ *     tags:
+ *       - User Account
+ *     summary: Confirm a phone number change
+ *     description: |
+ *       Step 2 of changing the account's phone number. Verifies the OTP sent to the new number
+ *       and switches the account over. With `updateListings: true`, active listings whose
+ *       contact or WhatsApp phone was the old number are updated too.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - otp
+ *             properties:
+ *               otp:
+ *                 type: string
+ *                 example: "483920"
+ *               updateListings:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Phone number changed
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               message: "Phone number changed successfully"
+ *               data:
+ *                 phone: "+967733123456"
+ *                 listingsUpdated: 3
+ *       400:
+ *         description: Invalid OTP or no change pending
+ *       409:
+ *         description: The new number was registered by someone else in the meantime
+ *       423:
+ *         description: OTP verification locked after too many failed attempts
+ */
+router.post('/change-phone/confirm', authLimiter, authController.confirmPhoneChange);
+
 router.delete('/account', authController.deleteAccount);
 
 module.exports = router;
\ No newline at end of file
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const engineerController = require('../controllers/engineerController');
-const { authToken, isAdmin } = require('../middlewares/auth');
+const { authToken, isAdmin, checkPermission } = require('../middlewares/auth');
+const { audit } = require('../middlewares/audit');
 // middleware to check if user is admin
 
 /**
@@ -14,6 +15,7 @@ const { authToken, isAdmin } = require('../middlewares/auth');
  *     description: |
  *       Add a new solar engineer to the system.
  *       **Admin Access Required**: Only administrators can add engineers.
+ *       **Permission Required**: `engineers.create`
  *       Engineers added through this endpoint will be available for users to contact for solar services.
  *       **Supported Services**: Install, Repair, Maintenance, Consultation, Design
  *       **Specializations**: Residential, Commercial, Industrial, Off-grid, On-grid, Hybrid
@@ -205,7 +207,7 @@ const { authToken, isAdmin } = require('../middlewares/auth');
  *       403:
  *         $ref: '#/components/responses/ForbiddenError'
  */
-router.post('/add', authToken, isAdmin, engineerController.addEngineer);
+router.post('/add', authToken, isAdmin, checkPermission('engineers', 'create'), audit('engineer.create', { model: 'Engineer' }), engineerController.addEngineer);
 
 /**
  * @swagger
@@ -217,6 +219,7 @@ router.post('/add', authToken, isAdmin, engineerController.addEngineer);
  *     description: |
  *       Retrieve a list of all engineers in the system with pagination and filtering options.
  *       **Admin Access Required**: Only administrators can view the complete engineers list.
+ *       **Permission Required**: `engineers.read`
  *       This endpoint provides detailed information for admin management purposes.
  *     security:
  *       - bearerAuth: []
@@ -348,7 +351,7 @@ router.post('/add', authToken, isAdmin, engineerController.addEngineer);
  *       403:
  *         $ref: '#/components/responses/ForbiddenError'
  */
-router.get('/get', authToken, isAdmin, engineerController.getAllEngineers);
+router.get('/get', authToken, isAdmin, checkPermission('engineers', 'read'), engineerController.getAllEngineers);
 
 /**
  * @swagger
@@ -360,6 +363,7 @@ router.get('/get', authToken, isAdmin, engineerController.getAllEngineers);
  *     description: |
  *       Update an existing engineer's information.
  *       **Admin Access Required**: Only administrators can update engineer profiles.
+ *       **Permission Required**: `engineers.update`
  *       All fields are optional - only provided fields will be updated.
  *     security:
  *       - bearerAuth: []
@@ -498,7 +502,7 @@ router.get('/get', authToken, isAdmin, engineerController.getAllEngineers);
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  */
-router.patch('/update/:id', authToken, isAdmin, engineerController.updateEngineer);
+router.patch('/update/:id', authToken, isAdmin, checkPermission('engineers', 'update'), audit('engineer.update', { model: 'Engineer' }), engineerController.updateEngineer);
 
 /**
  * @swagger
@@ -510,6 +514,7 @@ router.patch('/update/:id', authToken, isAdmin, engineerController.updateEnginee
  *     description: |
  *       Permanently delete an engineer from the system.
  *       **Admin Access Required**: Only administrators can delete engineers.
+ *       **Permission Required**: `engineers.delete`
  *       **⚠️ Warning**: This action cannot be undone and will remove all engineer data.
  *     security:
  *       - bearerAuth: []
@@ -552,7 +557,7 @@ router.patch('/update/:id', authToken, isAdmin, engineerController.updateEnginee
  *               status: "fail"
  *               message: "Engineer not found with the provided ID"
  */
-router.delete('/delete/:id', authToken, isAdmin, engineerController.deleteEngineer);
+router.delete('/delete/:id', authToken, isAdmin, checkPermission('engineers', 'delete'), audit('engineer.delete', { model: 'Engineer' }), engineerController.deleteEngineer);
 
 /**
  * @swagger
@@ -564,6 +569,7 @@ router.delete('/delete/:id', authToken, isAdmin, engineerController.deleteEngine
  *     description: |
  *       Toggle the verification status of an engineer between verified and unverified.
  *       **Admin Access Required**: Only administrators can change verification status.
+ *       **Permission Required**: `engineers.update`
  *       Verified engineers appear in public listings, while unverified ones are hidden from users.
  *     security:
  *       - bearerAuth: []
@@ -614,6 +620,6 @@ router.delete('/delete/:id', authToken, isAdmin, engineerController.deleteEngine
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  */
-router.patch('/toggle-status/:id', authToken, isAdmin, engineerController.toggleEngineerStatus);
+router.patch('/toggle-status/:id', authToken, isAdmin, checkPermission('engineers', 'update'), audit('engineer.status_toggle', { model: 'Engineer' }), engineerController.toggleEngineerStatus);
 
 module.exports = router;
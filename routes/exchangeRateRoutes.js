@@ -0,0 +1,166 @@
+const express = require('express');
+const router = express.Router();
+const exchangeRateController = require('../controllers/exchangeRateController');
+const { authToken, isAdmin, checkPermission } = require('../middlewares/auth');
+const { audit } = require('../middlewares/audit');
+
+router.use(authToken, isAdmin);
+
+/**
+ * @swagger
+ * /api/v1/admin/exchange-rates:
+ *   get:
+ *     tags:
+ *       - Exchange Rates
+ *     summary: Current exchange rates (Admin only)
+ *     description: |
+ *       Latest rate per currency, quoted as units of the currency per 1 USD.
+ *       `YER` is the Yemeni rial at the Sana'a rate (old notes) and `YER_SOUTH` the rial at the
+ *       Aden rate (new notes); each has its own rate and they are never converted 1:1.
+ *       A currency without a rate has `perUsd` null, and its products can't be compared by price
+ *       with other currencies until one is set.
+ *       **Permission Required**: `exchangeRates.read`
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Current rates
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               data:
+ *                 baseCurrency: "USD"
+ *                 rates:
+ *                   - currency: "YER"
+ *                     name: "Yemeni rial (Sana'a rate)"
+ *                     nameAr: "ريال يمني (صنعاء)"
+ *                     decimals: 0
+ *                     perUsd: 535
+ *                     updatedAt: "2026-10-01T08:00:00.000Z"
+ *                     setBy: "64abc123def456789012345"
+ *                   - currency: "YER_SOUTH"
+ *                     name: "Yemeni rial (Aden rate)"
+ *                     nameAr: "ريال يمني (عدن)"
+ *                     decimals: 0
+ *                     perUsd: 1620
+ *                     updatedAt: "2026-10-01T08:00:00.000Z"
+ *                     setBy: "64abc123def456789012345"
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', checkPermission('exchangeRates', 'read'), exchangeRateController.getExchangeRates);
+
+/**
+ * @swagger
+ * /api/v1/admin/exchange-rates/history:
+ *   get:
+ *     tags:
+ *       - Exchange Rates
+ *     summary: Exchange rate history (Admin only)
+ *     description: |
+ *       Every rate ever set, newest first, with the admin who set it and their note.
+ *       **Permission Required**: `exchangeRates.read`
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: currency
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [SAR, YER, YER_SOUTH]
+ *       - name: from
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - name: to
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Rate history
+ *       400:
+ *         description: Invalid currency or date
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/history', checkPermission('exchangeRates', 'read'), exchangeRateController.getExchangeRateHistory);
+
+/**
+ * @swagger
+ * /api/v1/admin/exchange-rates/{currency}:
+ *   put:
+ *     tags:
+ *       - Exchange Rates
+ *     summary: Set a currency's exchange rate (Admin only)
+ *     description: |
+ *       Records a new rate (the previous one stays in the history) and immediately reprices
+ *       the normalized price of every product listed in that currency.
+ *       **Permission Required**: `exchangeRates.update`
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: currency
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [SAR, YER, YER_SOUTH]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - perUsd
+ *             properties:
+ *               perUsd:
+ *                 type: number
+ *                 description: Units of the currency per 1 USD
+ *                 example: 1620
+ *               note:
+ *                 type: string
+ *                 maxLength: 300
+ *                 example: "Aden exchange market, morning rate"
+ *     responses:
+ *       201:
+ *         description: Rate recorded
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               message: "YER_SOUTH rate updated"
+ *               data:
+ *                 rate:
+ *                   _id: "64abc123def456789012346"
+ *                   currency: "YER_SOUTH"
+ *                   perUsd: 1620
+ *                   note: "Aden exchange market, morning rate"
+ *                   setBy: "64abc123def456789012345"
+ *                   createdAt: "2026-10-01T08:00:00.000Z"
+ *                 repricedProducts: 312
+ *       400:
+ *         description: Unknown currency or invalid rate
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.put('/:currency', checkPermission('exchangeRates', 'update'), audit('exchange_rate.update', { model: 'ExchangeRate', entity: 'exchange_rate' }), exchangeRateController.setExchangeRate);
+
+module.exports = router;
@@ -0,0 +1,152 @@
+const express = require('express');
+const router = express.Router();
+const favoriteController = require('../controllers/favoriteController');
+const { authToken, restrictTo } = require('../middlewares/auth');
+const { validateObjectId } = require('../middlewares/validation');
+
+router.use(authToken, restrictTo('user')); // Favorites are for marketplace users
+
+/**
+ * @swagger
+ * /api/v1/favorites:
+ *   get:
+ *     tags:
+ *       - Favorites
+ *     summary: List my favorites
+ *     description: |
+ *       Products, shops and engineers the user has favorited, newest first, each with the
+ *       listing itself in `item`. Listings that have been deleted are dropped automatically.
+ *       Listings hidden from the public for now (pending review, deactivated, owner pending
+ *       deletion) are listed with `isAvailable: false` and `item: null`, and count in the totals.
+ *       Only listings the public can see can be favorited (404 otherwise).
+ *       Detail and list endpoints of the marketplace also return `isFavorited` on each listing
+ *       when called with the user's token.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: type
+ *         in: query
+ *         description: Only favorites of this entity type
+ *         schema:
+ *           type: string
+ *           enum: [product, shop, engineer]
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Favorites
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               results: 1
+ *               data:
+ *                 favorites:
+ *                   - id: "64abc123def4567890123460"
+ *                     entityType: "product"
+ *                     entityId: "64abc123def4567890123456"
+ *                     favoritedAt: "2024-01-15T10:30:00.000Z"
+ *                     isAvailable: true
+ *                     item:
+ *                       _id: "64abc123def4567890123456"
+ *                       name: "Jinko 550W panel"
+ *                       type: "Panel"
+ *                       price: 120
+ *                       currency: "USD"
+ *                 pagination:
+ *                   currentPage: 1
+ *                   totalPages: 1
+ *                   totalItems: 1
+ *                   itemsPerPage: 20
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/', favoriteController.getFavorites);
+
+/**
+ * @swagger
+ * /api/v1/favorites/{entityType}/{entityId}:
+ *   post:
+ *     tags:
+ *       - Favorites
+ *     summary: Add a favorite
+ *     description: Favorite a product, shop or engineer. Favoriting the same listing again changes nothing.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: entityType
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [product, shop, engineer]
+ *       - name: entityId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Added to favorites
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               message: "Added to favorites"
+ *               data:
+ *                 entityType: "product"
+ *                 entityId: "64abc123def4567890123456"
+ *                 isFavorited: true
+ *       200:
+ *         description: Already in favorites
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   delete:
+ *     tags:
+ *       - Favorites
+ *     summary: Remove a favorite
+ *     description: Unfavorite a listing. Removing one that isn't favorited changes nothing.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: entityType
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [product, shop, engineer]
+ *       - name: entityId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Removed from favorites
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/:entityType/:entityId', validateObjectId('entityId'), favoriteController.addFavorite);
+router.delete('/:entityType/:entityId', validateObjectId('entityId'), favoriteController.removeFavorite);
+
+module.exports = router;
@@ -0,0 +1,116 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const { authToken, restrictTo } = require('../middlewares/auth');
+const { validateObjectId } = require('../middlewares/validation');
+
+router.use(authToken, restrictTo('user'));
+
+/**
+ * @swagger
+ * /api/v1/notifications:
+ *   get:
+ *     tags:
+ *       - Notifications
+ *     summary: List my notifications
+ *     description: |
+ *       In-app notifications, newest first, kept for 90 days.
+ *       `saved_search_match` notifications carry `savedSearchId`, the number of new listings
+ *       (`count`) and the ids of up to 10 of them (`productIds`) in `data`.
+ *       `saved_search_paused` notifications carry `savedSearchId` and the `reason` the search was paused.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: unread
+ *         in: query
+ *         description: Only unread notifications
+ *         schema:
+ *           type: boolean
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Notifications
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               results: 1
+ *               data:
+ *                 notifications:
+ *                   - _id: "64abc123def4567890123480"
+ *                     type: "saved_search_match"
+ *                     title: "New listings for \"Used 5kVA inverter in Aden\""
+ *                     message: "2 new listings match your saved search."
+ *                     data:
+ *                       savedSearchId: "64abc123def4567890123470"
+ *                       productIds: ["64abc123def4567890123456", "64abc123def4567890123457"]
+ *                       count: 2
+ *                     readAt: null
+ *                     createdAt: "2024-01-15T10:35:00.000Z"
+ *                 unreadCount: 1
+ *                 pagination:
+ *                   currentPage: 1
+ *                   totalPages: 1
+ *                   totalItems: 1
+ *                   itemsPerPage: 20
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/', notificationController.getNotifications);
+
+/**
+ * @swagger
+ * /api/v1/notifications/read-all:
+ *   patch:
+ *     tags:
+ *       - Notifications
+ *     summary: Mark all my notifications as read
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Notifications marked as read
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.patch('/read-all', notificationController.markAllNotificationsRead);
+
+/**
+ * @swagger
+ * /api/v1/notifications/{id}/read:
+ *   patch:
+ *     tags:
+ *       - Notifications
+ *     summary: Mark a notification as read
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.patch('/:id/read', validateObjectId('id'), notificationController.markNotificationRead);
+
+module.exports = router;
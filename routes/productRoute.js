@@ -2,7 +2,9 @@ const express = require("express");
 const router = express.Router();
 
 const { checkUserVerified } = require('../middlewares/checkUserVerified')
-const { authToken } = require('../middlewares/auth')
+const { authToken, optionalAuth } = require('../middlewares/auth')
+const { acceptApiKey } = require('../middlewares/apiKey')
+const { cursorPagination } = require('../utils/pagination')
 const productController = require('../controllers/productController')
 
 /**
@@ -16,15 +18,19 @@ const productController = require('../controllers/productController')
  *       Create a new product listing in the marketplace.
  *       This endpoint allows verified users to post products for sale.
  *       **Required:** User must be verified (phone number verified).
- *       **Image Handling:** Provide image URLs directly in the request body (no file upload).
+ *       **Image Handling:** Upload images with `POST /api/v1/uploads/products` and pass the returned URLs in the request body.
  *       **Image Requirements:**
  *       - Provide up to 10 image URLs per product
  *       - Images should be hosted externally (CDN, cloud storage, etc.)
  *       - Supported formats: JPEG, PNG, GIF, WebP
  *       - Recommended resolution: minimum 800x600px
+ *       **Partner API:** With an API key holding `products:write`, the listing is posted for the key's owner.
+ *       Only the listing fields below and `specifications` are taken from the body; server-owned fields
+ *       (`status`, `approvedAt`, `priceUsd`, `viewCount`, ...) are ignored, here and in `PATCH /update-product/{id}`.
  *     security:
  *       - bearerAuth: []
  *       - cookieAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -119,34 +125,7 @@ const productController = require('../controllers/productController')
  *                   "https://example.com/images/panel-specs.jpg"
  *                 ]
  *               specifications:
- *                 type: object
- *                 description: Product technical specifications
- *                 properties:
- *                   power:
- *                     type: string
- *                     example: "200W"
- *                   voltage:
- *                     type: string
- *                     example: "24V"
- *                   efficiency:
- *                     type: string
- *                     example: "20.1%"
- *                   warranty:
- *                     type: string
- *                     example: "25 years"
- *                   dimensions:
- *                     type: string
- *                     example: "1650x990x35mm"
- *                   weight:
- *                     type: string
- *                     example: "18.5kg"
- *                 example:
- *                   power: "200W"
- *                   voltage: "24V"
- *                   efficiency: "20.1%"
- *                   warranty: "25 years"
- *                   dimensions: "1650x990x35mm"
- *                   weight: "18.5kg"
+ *                 $ref: '#/components/schemas/ProductSpecifications'
  *               isNegotiable:
  *                 type: boolean
  *                 description: Whether the price is negotiable
@@ -175,10 +154,9 @@ const productController = require('../controllers/productController')
  *                   "https://example.com/images/panel-specs.jpg"
  *                 ]
  *                 specifications:
- *                   power: "200W"
- *                   voltage: "24V"
- *                   efficiency: "20.1%"
- *                   warranty: "25 years"
+ *                   watts: 200
+ *                   cellType: "monocrystalline"
+ *                   efficiency: 20.1
  *                 isNegotiable: true
  *             battery_listing:
  *               summary: Battery Listing
@@ -199,10 +177,10 @@ const productController = require('../controllers/productController')
  *                   "https://example.com/images/battery-label.jpg"
  *                 ]
  *                 specifications:
- *                   capacity: "200Ah"
- *                   voltage: "12V"
- *                   type: "Gel"
- *                   lifespan: "10-15 years"
+ *                   ah: 200
+ *                   voltage: 12
+ *                   chemistry: "gel"
+ *                   cycles: 1500
  *                 isNegotiable: false
  *             inverter_listing:
  *               summary: Inverter Listing
@@ -224,10 +202,10 @@ const productController = require('../controllers/productController')
  *                   "https://example.com/images/inverter-display.jpg"
  *                 ]
  *                 specifications:
- *                   power: "2000W"
- *                   inputVoltage: "24V DC"
- *                   outputVoltage: "230V AC"
- *                   waveform: "Pure Sine Wave"
+ *                   kva: 2
+ *                   phase: "single"
+ *                   mppt: 1
+ *                   mode: "off_grid"
  *                 isNegotiable: true
  *     responses:
  *       201:
@@ -304,7 +282,7 @@ const productController = require('../controllers/productController')
  *               status: "fail"
  *               message: "Request payload too large. Reduce number of images or description length."
  */
-router.post('/post', checkUserVerified, productController.postProduct);
+router.post('/post', acceptApiKey('products:write', checkUserVerified), productController.postProduct);
 
 /**
  * @swagger
@@ -411,12 +389,7 @@ router.post('/post', checkUserVerified, productController.postProduct);
  *                   "https://example.com/images/panel-condition.jpg"
  *                 ]
  *               specifications:
- *                 type: object
- *                 description: Technical specifications
- *                 example:
- *                   power: "100W"
- *                   voltage: "12V"
- *                   efficiency: "18.5%"
+ *                 $ref: '#/components/schemas/ProductSpecifications'
  *               isNegotiable:
  *                 type: boolean
  *                 default: true
@@ -441,9 +414,9 @@ router.post('/post', checkUserVerified, productController.postProduct);
  *                   "https://example.com/images/panel-condition.jpg"
  *                 ]
  *                 specifications:
- *                   power: "100W"
- *                   voltage: "12V"
- *                   efficiency: "18.5%"
+ *                   watts: 100
+ *                   cellType: "polycrystalline"
+ *                   efficiency: 18.5
  *                 isNegotiable: true
  *     responses:
  *       201:
@@ -500,11 +473,21 @@ router.post('/verfiry-otp', productController.verifyOtp)
  *       Get a paginated list of all approved products in the marketplace.
  *       This endpoint shows only products that have been approved by admins.
  *       Supports filtering, sorting, and pagination.
+ *       **Pagination**: pass the `nextCursor` of the previous response as `cursor` while `hasMore` is true.
+ *       Cursor pages don't shift when new products arrive during infinite scroll.
+ *       Sending `page` switches to legacy offset pagination (deprecated).
  *       **Public endpoint** - No authentication required.
+ *       With a user token, each product also carries `isFavorited`.
  *     parameters:
+ *       - name: cursor
+ *         in: query
+ *         description: Opaque cursor from the previous page's `nextCursor`; omit for the first page
+ *         schema:
+ *           type: string
  *       - name: page
  *         in: query
- *         description: Page number for pagination
+ *         deprecated: true
+ *         description: Page number for legacy offset pagination
  *         schema:
  *           type: integer
  *           minimum: 1
@@ -732,15 +715,15 @@ router.post('/verfiry-otp', productController.verifyOtp)
  *                   status: "fail"
  *                   message: "Invalid sortBy field. Must be one of: createdAt, price, name, views"
  */
-router.get('/browse-products', productController.browseProducts);
+router.get('/browse-products', optionalAuth, cursorPagination, productController.browseProducts);
 
-// Protected routes that require authentication
-router.get('/user-products', authToken, productController.getUserProducts);
+// Protected routes that require authentication (or a partner API key with the given scope)
+router.get('/user-products', acceptApiKey('products:read', authToken), productController.getUserProducts);
 
 // update product - requires authentication
-router.patch('/update-product/:id', authToken, productController.updateProduct);
+router.patch('/update-product/:id', acceptApiKey('products:write', authToken), productController.updateProduct);
 
 // delete product - requires authentication  
-router.delete('/delete-product/:id', authToken, productController.deleteProduct);
+router.delete('/delete-product/:id', acceptApiKey('products:write', authToken), productController.deleteProduct);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,208 @@
+const express = require('express');
+const router = express.Router();
+const savedSearchController = require('../controllers/savedSearchController');
+const { authToken, restrictTo } = require('../middlewares/auth');
+const { validateObjectId } = require('../middlewares/validation');
+
+router.use(authToken, restrictTo('user')); // Saved searches are for marketplace users
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SavedSearch:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         filters:
+ *           type: object
+ *           description: Query parameters of `GET /api/v1/marketplace/search-products`
+ *           additionalProperties:
+ *             type: string
+ *         isPaused:
+ *           type: boolean
+ *         pausedReason:
+ *           type: string
+ *           nullable: true
+ *           description: Why the alert job paused the search (e.g. no exchange rate for its display currency)
+ *         lastCheckedAt:
+ *           type: string
+ *           format: date-time
+ *         lastMatchedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         matchCount:
+ *           type: integer
+ *           description: New listings matched since the search was saved
+ *       example:
+ *         _id: "64abc123def4567890123470"
+ *         name: "Inverter · Used · Aden · up to 300 USD"
+ *         filters:
+ *           type: "Inverter"
+ *           condition: "Used"
+ *           governorate: "Aden"
+ *           minKva: "5"
+ *           maxPrice: "300"
+ *           displayCurrency: "USD"
+ *         isPaused: false
+ *         pausedReason: null
+ *         lastCheckedAt: "2024-01-15T10:30:00.000Z"
+ *         lastMatchedAt: null
+ *         matchCount: 0
+ */
+
+/**
+ * @swagger
+ * /api/v1/saved-searches:
+ *   get:
+ *     tags:
+ *       - Saved Searches
+ *     summary: List my saved searches
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Saved searches, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 results:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     savedSearches:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SavedSearch'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   post:
+ *     tags:
+ *       - Saved Searches
+ *     summary: Save a product search
+ *     description: |
+ *       Save the filters of a `GET /api/v1/marketplace/search-products` query: `search_keyword`,
+ *       `type`, `condition`, `brand`, `governorate`, `city`, `currency`, `displayCurrency`,
+ *       `minPrice`, `maxPrice` and the specification filters (`minWatts`, `maxKva`, `chemistry`, ...).
+ *       Sorting and paging parameters are ignored.
+ *       Products approved after the search is saved that match its filters raise a
+ *       `saved_search_match` notification (checked every few minutes; one notification per check).
+ *       Up to 20 searches per user (`SAVED_SEARCHES_PER_USER`). Without a `name`, one is made up from the filters.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - filters
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               filters:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *           example:
+ *             name: "Used 5kVA inverter in Aden"
+ *             filters:
+ *               type: "Inverter"
+ *               condition: "Used"
+ *               governorate: "Aden"
+ *               minKva: "5"
+ *               maxPrice: "300"
+ *               displayCurrency: "USD"
+ *     responses:
+ *       201:
+ *         description: Search saved
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/', savedSearchController.getSavedSearches);
+router.post('/', savedSearchController.createSavedSearch);
+
+/**
+ * @swagger
+ * /api/v1/saved-searches/{id}:
+ *   patch:
+ *     tags:
+ *       - Saved Searches
+ *     summary: Rename, pause or resume a saved search
+ *     description: |
+ *       A paused search raises no notifications. Resuming it only alerts on listings
+ *       approved from then on, not on those approved while it was paused.
+ *       A search whose filters stop working (e.g. the exchange rate of its display currency
+ *       is gone) is paused by the alert job with a `saved_search_paused` notification; it
+ *       can't be resumed until they work again (400).
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               isPaused:
+ *                 type: boolean
+ *           example:
+ *             isPaused: true
+ *     responses:
+ *       200:
+ *         description: Saved search updated
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   delete:
+ *     tags:
+ *       - Saved Searches
+ *     summary: Delete a saved search
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Saved search deleted
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.patch('/:id', validateObjectId('id'), savedSearchController.updateSavedSearch);
+router.delete('/:id', validateObjectId('id'), savedSearchController.deleteSavedSearch);
+
+module.exports = router;
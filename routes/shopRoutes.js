@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const shopController = require('../controllers/shopController');
-const { authToken, isAdmin } = require('../middlewares/auth');
+const { authToken, isAdmin, checkPermission } = require('../middlewares/auth');
+const { audit } = require('../middlewares/audit');
 
 /**
  * @swagger
@@ -13,6 +14,7 @@ const { authToken, isAdmin } = require('../middlewares/auth');
  *     description: |
  *       Add a new solar equipment shop to the system.
  *       **Admin Access Required**: Only administrators can add shops.
+ *       **Permission Required**: `shops.create`
  *       Shops added through this endpoint will be available for users to browse and contact.
  *       **Services**: sale, install, repair, maintenance, consultation, warranty
  *       **Product Categories**: Inverter, Panel, Battery, Accessory, Cable, Controller, Monitor, Complete Systems
@@ -196,7 +198,7 @@ const { authToken, isAdmin } = require('../middlewares/auth');
  *       403:
  *         $ref: '#/components/responses/ForbiddenError'
  */
-router.post('/add', authToken, isAdmin, shopController.addShop);
+router.post('/add', authToken, isAdmin, checkPermission('shops', 'create'), audit('shop.create', { model: 'Shop' }), shopController.addShop);
 
 /**
  * @swagger
@@ -208,6 +210,7 @@ router.post('/add', authToken, isAdmin, shopController.addShop);
  *     description: |
  *       Retrieve a comprehensive list of all shops in the system.
  *       **Admin Access Required**: Only administrators can view the complete shops list.
+ *       **Permission Required**: `shops.read`
  *       This endpoint provides detailed information for admin management purposes including statistics.
  *     security:
  *       - bearerAuth: []
@@ -358,7 +361,7 @@ router.post('/add', authToken, isAdmin, shopController.addShop);
  *       403:
  *         $ref: '#/components/responses/ForbiddenError'
  */
-router.get('/getAll', authToken, isAdmin, shopController.getAllShops);
+router.get('/getAll', authToken, isAdmin, checkPermission('shops', 'read'), shopController.getAllShops);
 
 /**
  * @swagger
@@ -370,6 +373,7 @@ router.get('/getAll', authToken, isAdmin, shopController.getAllShops);
  *     description: |
  *       Update an existing shop's information.
  *       **Admin Access Required**: Only administrators can update shop profiles.
+ *       **Permission Required**: `shops.update`
  *       All fields are optional - only provided fields will be updated.
  *     security:
  *       - bearerAuth: []
@@ -502,7 +506,7 @@ router.get('/getAll', authToken, isAdmin, shopController.getAllShops);
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  */
-router.patch('/update/:id', authToken, isAdmin, shopController.updateShop);
+router.patch('/update/:id', authToken, isAdmin, checkPermission('shops', 'update'), audit('shop.update', { model: 'Shop' }), shopController.updateShop);
 
 /**
  * @swagger
@@ -514,6 +518,7 @@ router.patch('/update/:id', authToken, isAdmin, shopController.updateShop);
  *     description: |
  *       Permanently delete a shop from the system.
  *       **Admin Access Required**: Only administrators can delete shops.
+ *       **Permission Required**: `shops.delete`
  *       **⚠️ Warning**: This action cannot be undone and will remove all shop data and history.
  *     security:
  *       - bearerAuth: []
@@ -557,7 +562,7 @@ router.patch('/update/:id', authToken, isAdmin, shopController.updateShop);
  *               status: "fail"
  *               message: "Shop not found with the provided ID"
  */
-router.delete('/delete/:id', authToken, isAdmin, shopController.deleteShop);
+router.delete('/delete/:id', authToken, isAdmin, checkPermission('shops', 'delete'), audit('shop.delete', { model: 'Shop' }), shopController.deleteShop);
 
 /**
  * @swagger
@@ -569,6 +574,7 @@ router.delete('/delete/:id', authToken, isAdmin, shopController.deleteShop);
  *     description: |
  *       Toggle the verification status of a shop between verified and unverified.
  *       **Admin Access Required**: Only administrators can change verification status.
+ *       **Permission Required**: `shops.update`
  *       Verified shops appear in public listings and have higher visibility, while unverified ones are hidden from users.
  *       **Impact of Verification:**
  *       - **Verified**: Shop appears in public listings, higher search ranking, trust badge displayed
@@ -626,6 +632,6 @@ router.delete('/delete/:id', authToken, isAdmin, shopController.deleteShop);
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  */
-router.patch('/toggle-status/:id', authToken, isAdmin, shopController.toggleShopStatus);
+router.patch('/toggle-status/:id', authToken, isAdmin, checkPermission('shops', 'update'), audit('shop.status_toggle', { model: 'Shop' }), shopController.toggleShopStatus);
 
 module.exports = router;
@@ -0,0 +1,229 @@
+const express = require('express');
+const router = express.Router();
+const uploadController = require('../controllers/uploadController');
+const { authToken, isAdmin, isVerified, checkPermission } = require('../middlewares/auth');
+const { acceptApiKey } = require('../middlewares/apiKey');
+const { apiLimiter } = require('../middlewares/security');
+const { uploadImages } = require('../middlewares/upload');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     UploadedImage:
+ *       type: object
+ *       properties:
+ *         url:
+ *           type: string
+ *           description: Full-size image (longest side up to 2048px), the URL to attach to a listing
+ *         medium:
+ *           type: string
+ *           description: Longest side up to 1024px
+ *         thumbnail:
+ *           type: string
+ *           description: Longest side up to 320px
+ *         width:
+ *           type: integer
+ *         height:
+ *           type: integer
+ *       example:
+ *         url: "https://cdn.qafzh-solar.com/products-1705311000000-a1b2c3d4e5f6-original.webp"
+ *         medium: "https://cdn.qafzh-solar.com/products-1705311000000-a1b2c3d4e5f6-medium.webp"
+ *         thumbnail: "https://cdn.qafzh-solar.com/products-1705311000000-a1b2c3d4e5f6-thumbnail.webp"
+ *         width: 2048
+ *         height: 1536
+ */
+
+/**
+ * @swagger
+ * /api/v1/uploads/products:
+ *   post:
+ *     tags:
+ *       - Uploads
+ *     summary: Upload product images
+ *     description: |
+ *       Upload up to 10 product photos as `multipart/form-data` in the `images` field.
+ *       **Accepted**: JPEG, PNG or WebP, up to `UPLOAD_MAX_FILE_SIZE_MB` (default 5 MB) each.
+ *       The file content is checked, not just its declared type.
+ *       **Processing**: images are auto-rotated, stripped of all metadata (EXIF, including GPS location)
+ *       and stored as WebP in full, medium and thumbnail sizes.
+ *       Attach the returned `url` values to the product's `images` when posting or updating it;
+ *       they are deleted from storage together with the product.
+ *       **Required:** Verified user, or a partner API key with `products:write`.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - images
+ *             properties:
+ *               images:
+ *                 type: array
+ *                 maxItems: 10
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Images stored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 results:
+ *                   type: integer
+ *                   example: 1
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     images:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/UploadedImage'
+ *       400:
+ *         description: No image, too many files or not a valid image
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       413:
+ *         description: Image too large
+ *       415:
+ *         description: Unsupported image type
+ *       502:
+ *         description: The image could not be stored
+ */
+router.post('/products', apiLimiter, acceptApiKey('products:write', authToken), isVerified, uploadImages('images', 10), uploadController.uploadProductImages);
+
+/**
+ * @swagger
+ * /api/v1/uploads/shops/logo:
+ *   post:
+ *     tags:
+ *       - Uploads
+ *     summary: Upload a shop logo (Admin only)
+ *     description: |
+ *       Upload one image in the `logo` field. Same checks and processing as product images.
+ *       Attach the returned `url` to the shop's `logoUrl`.
+ *       **Permission Required**: `shops.update`
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - logo
+ *             properties:
+ *               logo:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Logo stored
+ *       400:
+ *         description: No image or not a valid image
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       413:
+ *         description: Image too large
+ *       415:
+ *         description: Unsupported image type
+ */
+router.post('/shops/logo', authToken, isAdmin, checkPermission('shops', 'update'), uploadImages('logo', 1), uploadController.uploadShopLogo);
+
+/**
+ * @swagger
+ * /api/v1/uploads/ads:
+ *   post:
+ *     tags:
+ *       - Uploads
+ *     summary: Upload an ad image (Admin only)
+ *     description: |
+ *       Upload one image in the `image` field. Same checks and processing as product images.
+ *       Attach the returned `url` to the ad's `imageUrl`; it is deleted from storage together with the ad.
+ *       **Permission Required**: `ads.create`
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - image
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Image stored
+ *       400:
+ *         description: No image or not a valid image
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       413:
+ *         description: Image too large
+ *       415:
+ *         description: Unsupported image type
+ */
+router.post('/ads', authToken, isAdmin, checkPermission('ads', 'create'), uploadImages('image', 1), uploadController.uploadAdImage);
+
+/**
+ * @swagger
+ * /api/v1/uploads/engineers/portfolio:
+ *   post:
+ *     tags:
+ *       - Uploads
+ *     summary: Upload engineer portfolio images (Admin only)
+ *     description: |
+ *       Upload up to 10 images in the `images` field. Same checks and processing as product images.
+ *       Attach the returned `url` values to the engineer's `portfolioImages`.
+ *       **Permission Required**: `engineers.update`
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - images
+ *             properties:
+ *               images:
+ *                 type: array
+ *                 maxItems: 10
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Images stored
+ *       400:
+ *         description: No image, too many files or not a valid image
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       413:
+ *         description: Image too large
+ *       415:
+ *         description: Unsupported image type
+ */
+router.post('/engineers/portfolio', authToken, isAdmin, checkPermission('engineers', 'update'), uploadImages('images', 10), uploadController.uploadEngineerPortfolio);
+
+module.exports = router;
@@ -9,6 +9,16 @@ const engineerController = require('../controllers/engineerController');
 const productController = require('../controllers/productController');
 const GovernorateData = require('../data/governorates.json');
 const Ads = require("../models/ads");
+const ExchangeRate = require('../models/exchangeRate');
+const exchangeRates = require('../services/exchangeRates');
+const favorites = require('../services/favorites');
+const listingStats = require('../services/listingStats');
+const { acceptApiKey } = require('../middlewares/apiKey');
+const { optionalAuth } = require('../middlewares/auth');
+const { validateObjectId } = require('../middlewares/validation');
+const { escapeRegex } = require('../utils/regex');
+const { buildProductSearch } = require('../services/productSearch');
+const { cursorPagination, pageSize } = require('../utils/pagination');
 
 
 
@@ -44,10 +54,12 @@ const filtersEngineer = async (req, res) => {
             });
         }
 
+        const keyword = escapeRegex(search_keyword.trim());
         const filterQuery = {
+            isActive: true,
             $or: [
-                { governorate: { $regex: search_keyword, $options: "i" } },
-                { city: { $regex: search_keyword, $options: "i" } }
+                { governorate: { $regex: keyword, $options: "i" } },
+                { city: { $regex: keyword, $options: "i" } }
             ]
         };
 
@@ -99,10 +111,12 @@ const filtersShop = async (req, res) => {
             });
         }
 
+        const keyword = escapeRegex(search_keyword.trim());
         const filterQuery = {
+            isActive: true,
             $or: [
-                { governorate: { $regex: search_keyword, $options: "i" } },
-                { city: { $regex: search_keyword, $options: "i" } }
+                { governorate: { $regex: keyword, $options: "i" } },
+                { city: { $regex: keyword, $options: "i" } }
             ]
         };
 
@@ -155,15 +169,17 @@ const filtersProduct = async (req, res) => {
             });
         }
 
+        const keyword = escapeRegex(search_keyword.trim());
         const filterQuery = {
+            isActive: true,
             $or: [
-                { governorate: { $regex: search_keyword, $options: "i" } },
-                { city: { $regex: search_keyword, $options: "i" } },
-                { brand: { $regex: search_keyword, $options: "i" } },
-                { phone: { $regex: search_keyword, $options: "i" } },
-                { type: { $regex: search_keyword, $options: "i" } },
-                { condition: { $regex: search_keyword, $options: "i" } },
-                { price: { $regex: search_keyword, $options: "i" } }
+                { governorate: { $regex: keyword, $options: "i" } },
+                { city: { $regex: keyword, $options: "i" } },
+                { brand: { $regex: keyword, $options: "i" } },
+                { phone: { $regex: keyword, $options: "i" } },
+                { type: { $regex: keyword, $options: "i" } },
+                { condition: { $regex: keyword, $options: "i" } },
+                { price: { $regex: keyword, $options: "i" } }
             ]
         };
 
@@ -205,84 +221,25 @@ const filtersProduct = async (req, res) => {
 const searchProductsWithFilters = async (req, res) => {
     try {
         const {
-            search_keyword = "",
-            type,
-            condition,
-            brand,
-            governorate,
-            city,
-            minPrice,
-            maxPrice,
-            sortBy = "createdAt",
+            facets,
+            sortBy,
             sortOrder = "desc",
             page = 1,
             limit = 10
         } = req.query;
         
-        // Build dynamic query
-        const query = { status: 'approved' };
-        const andConditions = [];
-
-        // Add search keyword functionality - Fixed the logic
-        if (search_keyword && search_keyword.trim() !== "") {
-            const keywordRegex = { $regex: search_keyword.trim(), $options: "i" };
-            andConditions.push({
-                $or: [
-                    { name: keywordRegex },
-                    { description: keywordRegex },
-                    { brand: keywordRegex },
-                    { type: keywordRegex }
-                ]
-            });
-        }
-
-        // Add specific filters - only if they exist and are not 'all'
-        if (type && type.trim() !== '' && type !== 'all') {
-            andConditions.push({ type: type });
-        }
-        
-        if (condition && condition.trim() !== '' && condition !== 'all') {
-            andConditions.push({ condition: condition });
-        }
-        
-        if (brand && brand.trim() !== '' && brand !== 'all') {
-            andConditions.push({ brand: { $regex: brand.trim(), $options: "i" } });
-        }
-        
-        if (governorate && governorate.trim() !== '' && governorate !== 'all') {
-            andConditions.push({ governorate: { $regex: governorate.trim(), $options: "i" } });
-        }
-        
-        if (city && city.trim() !== '' && city !== 'all') {
-            andConditions.push({ city: { $regex: city.trim(), $options: "i" } });
-        }
-        
-        // Price range filter
-        if (minPrice || maxPrice) {
-            const priceCondition = {};
-            if (minPrice && !isNaN(parseFloat(minPrice))) {
-                priceCondition.$gte = parseFloat(minPrice);
-            }
-            if (maxPrice && !isNaN(parseFloat(maxPrice))) {
-                priceCondition.$lte = parseFloat(maxPrice);
-            }
-            
-            // Only add price condition if we have valid price constraints
-            if (Object.keys(priceCondition).length > 0) {
-                andConditions.push({ price: priceCondition });
-            }
-        }
+        // Build the query (shared with saved-search alerts)
+        const rates = await ExchangeRate.currentRates();
+        const { query, textSearch, currencyFilter, viewerCurrency, normalized, priceField } =
+            buildProductSearch(req.query, rates);
 
-        // Combine all conditions
-        if (andConditions.length > 0) {
-            query.$and = andConditions;
-        }
-
-
-        // Sorting
+        // Sorting: by relevance when searching, unless another order is asked for
         const sortOptions = {};
-        if (sortBy === 'price') {
-            sortOptions.price = sortOrder === 'desc' ? -1 : 1;
+        if (textSearch && (!sortBy || sortBy === 'relevance')) {
+            sortOptions.score = { $meta: 'textScore' };
+            sortOptions.createdAt = -1;
+        } else if (sortBy === 'price') {
+            sortOptions[priceField] = sortOrder === 'desc' ? -1 : 1;
         } else if (sortBy === 'name') {
             sortOptions.name = sortOrder === 'desc' ? -1 : 1;
         } else {
@@ -291,27 +248,46 @@ const searchProductsWithFilters = async (req, res) => {
 
         // Parse pagination parameters
         const pageNum = parseInt(page) || 1;
-        const limitNum = parseInt(limit) || 10;
+        // Capped like the feeds: a page also runs the facet aggregation
+        const limitNum = pageSize(limit, 10);
         const skip = (pageNum - 1) * limitNum;
 
-        // Execute queries
-        const total = await Product.countDocuments(query);
-        const products = await Product.find(query)
-            .sort(sortOptions)
-            .skip(skip)
-            .limit(limitNum)
-            .populate('userId', 'name phone');
+        // Execute queries; with facets=true the total comes from the facet aggregation
+        const withFacets = facets === 'true';
+        const [counts, products] = await Promise.all([
+            withFacets
+                ? Product.facetCounts(query, {
+                    priceCurrency: normalized ? undefined : currencyFilter || viewerCurrency,
+                    displayCurrency: viewerCurrency,
+                    perUsd: rates[viewerCurrency]?.perUsd
+                })
+                : Product.countDocuments(query).then((total) => ({ total })),
+            Product.find(query)
+                .sort(sortOptions)
+                .skip(skip)
+                .limit(limitNum)
+                .populate('userId', 'name phone')
+        ]);
+        const { total } = counts;
 
         return res.status(200).json({
             status: 200,
-            data: products,
+            data: await favorites.withFavoriteFlags(req.user, 'product', products.map((product) => ({
+                ...product.toJSON(),
+                displayPrice: exchangeRates.displayPrice(product, viewerCurrency, rates)
+            }))),
             total,
             currentPage: pageNum,
             totalPages: Math.ceil(total / limitNum),
+            displayCurrency: viewerCurrency,
+            ...(withFacets && { facets: counts.facets }),
             message: "Search completed successfully"
         });
 
     } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({ status: error.statusCode, data: [], message: error.message });
+        }
         console.error('Search error:', error);
         return res.status(500).json({
             status: 500,
@@ -324,6 +300,84 @@ const searchProductsWithFilters = async (req, res) => {
     }
 };
 
+// Specification fields per product type, with the search filters they support
+const getProductSpecifications = (req, res) => {
+    return res.status(200).json({
+        status: 200,
+        data: Product.specificationDefinitions(),
+        message: "Product specifications fetched successfully"
+    });
+};
+
+// Current exchange rates, for showing prices in the viewer's currency
+const getExchangeRates = async (req, res) => {
+    try {
+        const rates = await ExchangeRate.currentRates();
+        return res.status(200).json({
+            status: 200,
+            data: {
+                baseCurrency: ExchangeRate.BASE_CURRENCY,
+                currencies: Object.entries(ExchangeRate.CURRENCIES).map(([code, info]) => ({
+                    code,
+                    ...info,
+                    perUsd: rates[code]?.perUsd ?? null,
+                    updatedAt: rates[code]?.updatedAt ?? null
+                }))
+            },
+            message: "Exchange rates fetched successfully"
+        });
+    } catch (error) {
+        console.error('Exchange rates error:', error);
+        return res.status(500).json({
+            status: 500,
+            message: "Internal server error"
+        });
+    }
+};
+
+// Record that a visitor revealed a listing's phone number or tapped its WhatsApp link
+const trackContact = async (req, res) => {
+    try {
+        const { entityType, id } = req.params;
+        const { channel } = req.body;
+
+        const stat = listingStats.STAT_FIELDS[entityType];
+        if (!stat) {
+            return res.status(400).json({
+                status: 400,
+                message: `Entity type must be one of: ${Object.keys(listingStats.STAT_FIELDS).join(', ')}`
+            });
+        }
+        if (!listingStats.CONTACT_CHANNELS.includes(channel)) {
+            return res.status(400).json({
+                status: 400,
+                message: `Channel must be one of: ${listingStats.CONTACT_CHANNELS.join(', ')}`
+            });
+        }
+
+        const listing = await stat.model.exists({ _id: id, ...stat.visible });
+        if (!listing) {
+            return res.status(404).json({
+                status: 404,
+                message: `${entityType} not found`
+            });
+        }
+
+        const counted = await listingStats.recordContact(req, entityType, listing._id);
+        return res.status(200).json({
+            status: 200,
+            data: { counted },
+            message: "Contact recorded"
+        });
+    } catch (error) {
+        console.error('Track contact error:', error);
+        return res.status(500).json({
+            status: 500,
+            message: "Internal server error"
+        });
+    }
+};
+
 // filters Ads
 const filtersAds = async (req, res) => {
     try {
@@ -335,9 +389,10 @@ const filtersAds = async (req, res) => {
         };
 
         if (search_keyword.trim()) {
+            const keyword = escapeRegex(search_keyword.trim());
             filterQuery.$or = [
-                { title: { $regex: search_keyword, $options: "i" } },
-                { description: { $regex: search_keyword, $options: "i" } }
+                { title: { $regex: keyword, $options: "i" } },
+                { description: { $regex: keyword, $options: "i" } }
             ];
         }
 
@@ -367,17 +422,22 @@ const filtersAds = async (req, res) => {
     }
 };
 
+// Public routes; partner API keys are optional here but, when sent, must
+// carry marketplace:read and are held to the key's own rate limit. A user
+// token is optional too and adds isFavorited flags to listings.
+router.use(acceptApiKey('marketplace:read', optionalAuth));
+
 // users route to get verfied shop
-router.get('/getAllShops', shopController.getAllShops);
+router.get('/getAllShops', cursorPagination, shopController.getAllShops);
 
 // users route to  get enginer 
-router.get('/getAllEngineer', engineerController.getAllEngineers);
+router.get('/getAllEngineer', cursorPagination, engineerController.getAllEngineers);
 
 // user route to get Ads
-router.get('/getAllAds', adsController.getAllAds);
+router.get('/getAllAds', cursorPagination, adsController.getAllAds);
 
 //  user routes to get products 
-router.get('/browse-products', productController.browseProducts);
+router.get('/browse-products', cursorPagination, productController.browseProducts);
 
 // route get Governorate
 router.get('/get/governorate-data', getGovernorate);
@@ -394,6 +454,12 @@ router.get('/filters-product', filtersProduct);
 // Enhanced search with filters
 router.get('/search-products', searchProductsWithFilters);
 
+// Specification fields and filters per product type
+router.get('/product-specifications', getProductSpecifications);
+
+// Current exchange rates per currency (YER = Sana'a rate, YER_SOUTH = Aden rate)
+router.get('/exchange-rates', getExchangeRates);
+
 // rote filter ads
 router.get('/filters-ads', filtersAds);
 
@@ -406,6 +472,9 @@ router.get('/getOneEngineer/:id', engineerController.getEngineerById);
 // route to get shop by Id:
 router.get('/getOneShop/:id', shopController.getShopById);
 
+// Contact tracking (phone revealed / WhatsApp tapped), counted once per viewer per day
+router.post('/track-contact/:entityType/:id', validateObjectId('id'), trackContact);
+
 
 
 
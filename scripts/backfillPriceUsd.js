@@ -0,0 +1,46 @@
+// Compute the USD-normalized price (priceUsd) of every product from the current
+// exchange rates. Products listed before multi-currency support have none, so
+// they drop out of price filters and sorts until this has run.
+// Safe to re-run; setting a rate keeps prices current afterwards.
+// Usage: node scripts/backfillPriceUsd.js
+require('dotenv').config();
+const mongoose = require("mongoose");
+
+const Product = require("../models/product");
+const ExchangeRate = require("../models/exchangeRate");
+
+const backfillPriceUsd = async () => {
+    try {
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log(" Backfilling USD prices");
+
+        const rates = await ExchangeRate.currentRates();
+
+        for (const currency of Object.keys(ExchangeRate.CURRENCIES)) {
+            // Legacy products without a currency use the schema default (YER)
+            const filter = currency === 'YER'
+                ? { $or: [{ currency }, { currency: { $exists: false } }, { currency: null }] }
+                : { currency };
+            const rate = rates[currency];
+
+            // Raw pipeline update: each product's own price, no hooks or timestamps
+            const { modifiedCount } = await Product.collection.updateMany(filter, [{
+                $set: {
+                    currency,
+                    priceUsd: rate ? { $divide: ['$price', rate.perUsd] } : null
+                }
+            }]);
+
+            console.log(rate
+                ? ` ${currency}: repriced ${modifiedCount} products at ${rate.perUsd} per USD`
+                : ` ${currency}: no rate set, ${modifiedCount} products left without a USD price`);
+        }
+
+        process.exit();
+    } catch (error) {
+        console.error(" Price backfill error:", error.message);
+        process.exit(1);
+    }
+};
+
+backfillPriceUsd();
@@ -0,0 +1,57 @@
+// Fill the normalized search fields (searchTitle/searchBody) and build the text indexes.
+// Run once after deploying Arabic-aware search, and again when data/searchAliases.json changes.
+// Usage: node scripts/buildSearchIndex.js
+require('dotenv').config();
+const mongoose = require("mongoose");
+
+const Product = require("../models/product");
+const Shop = require("../models/shop");
+const Engineer = require("../models/engineer");
+
+const BATCH_SIZE = 500;
+
+const buildCollection = async (model) => {
+    let scanned = 0;
+    let batch = [];
+
+    const flush = async () => {
+        if (batch.length === 0) return;
+        // Raw bulk write: skip validators, hooks and timestamps
+        await model.collection.bulkWrite(batch, { ordered: false });
+        batch = [];
+    };
+
+    for await (const doc of model.find({}).lean().cursor()) {
+        scanned++;
+        batch.push({
+            updateOne: {
+                filter: { _id: doc._id },
+                update: { $set: model.buildSearchFields(doc) }
+            }
+        });
+        if (batch.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    await model.createIndexes();
+    return scanned;
+};
+
+const buildSearchIndex = async () => {
+    try {
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log(" Building search index");
+
+        for (const model of [Product, Shop, Engineer]) {
+            const scanned = await buildCollection(model);
+            console.log(` ${model.modelName}: indexed ${scanned} documents`);
+        }
+
+        process.exit();
+    } catch (error) {
+        console.error(" Search index error:", error.message);
+        process.exit(1);
+    }
+};
+
+buildSearchIndex();
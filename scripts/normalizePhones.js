@@ -0,0 +1,85 @@
+// Normalize stored phone numbers to E.164 (+967XXXXXXXXX)
+// Usage: node scripts/normalizePhones.js [--dry-run]
+require('dotenv').config();
+const mongoose = require("mongoose");
+
+const User = require("../models/auth");
+const Product = require("../models/product");
+const Shop = require("../models/shop");
+const Engineer = require("../models/engineer");
+const { normalizePhone } = require("../utils/phone");
+
+const dryRun = process.argv.includes('--dry-run');
+
+const targets = [
+    // User.phone carries a unique index, so collisions are reported instead of written
+    { model: User, fields: ['phone'], unique: true },
+    { model: Product, fields: ['phone', 'whatsappPhone'] },
+    { model: Shop, fields: ['phone', 'whatsappPhone'] },
+    { model: Engineer, fields: ['phone', 'whatsappPhone'] }
+];
+
+const normalizeCollection = async ({ model, fields, unique }) => {
+    const report = { model: model.modelName, scanned: 0, updated: 0, invalid: [], conflicts: [] };
+    const projection = fields.reduce((acc, field) => ({ ...acc, [field]: 1 }), {});
+
+    // Raw driver calls: skip setters, validators and timestamps
+    const cursor = model.collection.find({}, { projection });
+
+    for await (const doc of cursor) {
+        report.scanned++;
+        const updates = {};
+
+        for (const field of fields) {
+            const value = doc[field];
+            if (!value) continue;
+
+            const normalized = normalizePhone(value);
+            if (!normalized) {
+                report.invalid.push({ id: doc._id, field, value });
+                continue;
+            }
+            if (normalized === value) continue;
+
+            if (unique) {
+                const clash = await model.collection.findOne({ [field]: normalized, _id: { $ne: doc._id } });
+                if (clash) {
+                    report.conflicts.push({ id: doc._id, field, value, normalized, conflictsWith: clash._id });
+                    continue;
+                }
+            }
+
+            updates[field] = normalized;
+        }
+
+        if (Object.keys(updates).length === 0) continue;
+
+        report.updated++;
+        if (!dryRun) {
+            await model.collection.updateOne({ _id: doc._id }, { $set: updates });
+        }
+    }
+
+    return report;
+};
+
+const normalizePhones = async () => {
+    try {
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log(dryRun ? " Dry run: no documents will be changed" : " Normalizing phone numbers");
+
+        for (const target of targets) {
+            const report = await normalizeCollection(target);
+            console.log(` ${report.model}: scanned ${report.scanned}, ${dryRun ? 'would update' : 'updated'} ${report.updated}, invalid ${report.invalid.length}, conflicts ${report.conflicts.length}`);
+            report.invalid.forEach(item => console.log(`   invalid ${item.field} on ${item.id}: "${item.value}"`));
+            report.conflicts.forEach(item => console.log(`   conflict ${item.field} on ${item.id}: "${item.value}" -> ${item.normalized} already used by ${item.conflictsWith}`));
+        }
+
+        process.exit();
+    } catch (error) {
+        console.error(" Phone normalization error:", error.message);
+        process.exit(1);
+    }
+};
+
+normalizePhones();
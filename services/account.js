@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const User = require('../models/auth');
+const Product = require('../models/product');
+const Session = require('../models/session');
+const Favorite = require('../models/favorite');
+const SavedSearch = require('../models/savedSearch');
+const Notification = require('../models/notification');
+const sessionService = require('./session');
+const imageService = require('./image');
+const favoriteService = require('./favorites');
+const logger = require('../utils/logger');
+
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 14;
+
+// Everything we hold about a user, as a downloadable JSON document
+const buildDataExport = async (user) => {
+  const [products, sessions, favorites, savedSearches, notifications] = await Promise.all([
+    Product.find({ userId: user._id }).select('-__v').lean(),
+    Session.find({ userId: user._id }).select('-refreshTokenHash -__v').sort({ createdAt: -1 }).lean(),
+    Favorite.find({ userId: user._id }).select('entityType entityId createdAt -_id').sort({ createdAt: -1 }).lean(),
+    SavedSearch.find({ userId: user._id }).select('-userId -__v').sort({ createdAt: -1 }).lean(),
+    Notification.find({ userId: user._id }).select('-userId -__v').sort({ createdAt: -1 }).lean()
+  ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: {
+      id: user._id,
+      name: user.name,
+      phone: user.phone,
+      profileImageUrl: user.profileImageUrl,
+      role: user.role,
+      isVerified: user.isVerified,
+      isActive: user.isActive,
+      lastLogin: user.lastLogin,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt,
+      deletionScheduledFor: user.deletionScheduledFor
+    },
+    products,
+    sessions,
+    favorites,
+    savedSearches,
+    notifications
+  };
+};
+
+// Start the grace period: the account is deactivated, its live listings hidden
+// and every session revoked. Nothing is erased until purgeAccount runs.
+const scheduleDeletion = async (user) => {
+  const now = new Date();
+
+  const visibleProducts = await Product.find({ userId: user._id, isActive: true }).select('_id');
+  const productIds = visibleProducts.map(product => product._id);
+  if (productIds.length > 0) {
+    await Product.updateMany({ _id: { $in: productIds } }, { $set: { isActive: false } });
+  }
+
+  user.deletionRequestedAt = now;
+  user.deletionScheduledFor = new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+  user.deletionHiddenProducts = productIds;
+  user.isActive = false;
+  await user.save();
+
+  await sessionService.revokeAllSessions(user._id, { reason: 'account_deleted' });
+
+  return user.deletionScheduledFor;
+};
+
+// Cancel a pending deletion and bring hidden listings back
+const restoreAccount = async (user) => {
+  if (user.deletionHiddenProducts.length > 0) {
+    await Product.updateMany(
+      { _id: { $in: user.deletionHiddenProducts }, userId: user._id },
+      { $set: { isActive: true } }
+    );
+  }
+
+  user.deletionRequestedAt = null;
+  user.deletionScheduledFor = null;
+  user.deletionHiddenProducts = [];
+  user.isActive = true;
+  await user.save();
+
+  return user;
+};
+
+// Erase personal data and listings. The user document stays as an anonymized
+// tombstone so references elsewhere still resolve; its phone is replaced with a
+// placeholder to free the unique index for re-registration.
+const purgeAccount = async (user) => {
+  const productImages = await Product.distinct('images', { userId: user._id });
+  const productIds = await Product.distinct('_id', { userId: user._id });
+  const { deletedCount } = await Product.deleteMany({ userId: user._id });
+  await favoriteService.removeFavoritesOf('product', productIds);
+  await imageService.deleteImages(productImages, {
+    folder: imageService.productImageFolder(user._id)
+  });
+  await Session.deleteMany({ userId: user._id });
+  await Favorite.deleteMany({ userId: user._id });
+  await SavedSearch.deleteMany({ userId: user._id });
+  await Notification.deleteMany({ userId: user._id });
+
+  const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 8);
+
+  // Raw update: the placeholder phone is deliberately not a valid mobile number
+  await User.collection.updateOne({ _id: user._id }, {
+    $set: {
+      name: '',
+      phone: `deleted:${user._id}`,
+      password: unusablePassword,
+      profileImageUrl: '',
+      otp: null,
+      otpPurpose: null,
+      otpExpires: null,
+      isActive: false,
+      isVerified: false,
+      lastLogin: null,
+      deletionHiddenProducts: [],
+      deletedAt: new Date(),
+      updatedAt: new Date()
+    },
+    // A number awaiting confirmation, ban details and OTP counters go too
+    $unset: {
+      pendingPhone: '',
+      banReason: '',
+      bannedAt: '',
+      bannedUntil: '',
+      bannedBy: '',
+      otpAttempts: '',
+      otpLockUntil: '',
+      otpResendCount: '',
+      otpLastSentAt: ''
+    },
+    $inc: { tokenVersion: 1 }
+  });
+
+  logger.info('Account purged', { userId: user._id.toString(), productsRemoved: deletedCount });
+  return { productsRemoved: deletedCount };
+};
+
+// Purge every account whose grace period has ended
+const purgeDueAccounts = async () => {
+  const due = await User.find({
+    deletedAt: null,
+    deletionScheduledFor: { $ne: null, $lte: new Date() }
+  });
+
+  for (const user of due) {
+    try {
+      await purgeAccount(user);
+    } catch (error) {
+      logger.error('Account purge failed', { userId: user._id.toString(), error: error.message });
+    }
+  }
+
+  return due.length;
+};
+
+module.exports = {
+  buildDataExport,
+  scheduleDeletion,
+  restoreAccount,
+  purgeAccount,
+  purgeDueAccounts,
+  ACCOUNT_DELETION_GRACE_DAYS
+};
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/auditLog');
+const logger = require('../utils/logger');
+
+// Never copied into the log; a change to them is recorded as redacted
+const SENSITIVE_FIELDS = new Set([
+  'password',
+  'passwordResetToken',
+  'otp',
+  'refreshTokenHash',
+  'tokenHash',
+  'keyHash',
+  'twoFactorSecret',
+  'twoFactorPendingSecret',
+  'twoFactorBackupCodes',
+  'twoFactorLastUsedStep'
+]);
+const IGNORED_FIELDS = new Set(['__v', 'createdAt', 'updatedAt']);
+const REDACTED = '[REDACTED]';
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  !(value instanceof mongoose.Types.ObjectId) &&
+  !Buffer.isBuffer(value);
+
+// JSON-safe copy of a leaf value (ObjectIds and dates become strings)
+const toLeaf = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+// { permissions: { shops: { delete: true } } } -> { 'permissions.shops.delete': true }
+const flatten = (value, prefix = '', out = {}) => {
+  Object.keys(value || {}).forEach((key) => {
+    if (!prefix && IGNORED_FIELDS.has(key)) return;
+
+    const field = prefix ? `${prefix}.${key}` : key;
+    if (SENSITIVE_FIELDS.has(key)) {
+      out[field] = value[key] === null || value[key] === undefined ? null : REDACTED;
+    } else if (isPlainObject(value[key])) {
+      flatten(value[key], field, out);
+    } else {
+      out[field] = toLeaf(value[key]);
+    }
+  });
+  return out;
+};
+
+const toSnapshot = (doc) => {
+  if (!doc) return null;
+  return typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+};
+
+// Field-level diff of two entity snapshots. A create diffs against nothing,
+// a delete against nothing on the other side.
+const diffSnapshots = (before, after) => {
+  const previous = flatten(toSnapshot(before));
+  const next = flatten(toSnapshot(after));
+  const fields = new Set([...Object.keys(previous), ...Object.keys(next)]);
+
+  const changes = [];
+  fields.forEach((field) => {
+    const from = field in previous ? previous[field] : null;
+    const to = field in next ? next[field] : null;
+    if (JSON.stringify(from) === JSON.stringify(to)) {
+      // A redacted field that was rewritten (new password, new secret) still counts
+      if (!(from === REDACTED && before && after && isSensitiveChanged(before, after, field))) return;
+    }
+    changes.push({ field, before: from, after: to });
+  });
+
+  return changes;
+};
+
+const isSensitiveChanged = (before, after, field) => {
+  const read = (doc, path) => path.split('.').reduce((value, key) => (value ? value[key] : undefined), toSnapshot(doc));
+  return JSON.stringify(read(before, field)) !== JSON.stringify(read(after, field));
+};
+
+// Write one audit entry for an action performed by req.user.
+// Failures are logged, never surfaced: auditing must not break the action itself.
+const recordAudit = async ({ req, action, entityType, entityId = null, before = null, after = null, statusCode = null }) => {
+  try {
+    const actor = req.user || {};
+
+    return await AuditLog.create({
+      actor: {
+        id: actor._id,
+        name: actor.name || '',
+        email: actor.email || '',
+        role: actor.role || ''
+      },
+      action,
+      entity: {
+        type: entityType,
+        id: entityId && mongoose.isValidObjectId(entityId) ? entityId : null
+      },
+      changes: diffSnapshots(before, after),
+      method: req.method,
+      path: req.originalUrl,
+      statusCode,
+      ip: req.ip || '',
+      userAgent: (req.get('user-agent') || '').slice(0, 500)
+    });
+  } catch (error) {
+    logger.error('Failed to write audit log', { action, entityType, entityId, error: error.message });
+    return null;
+  }
+};
+
+module.exports = {
+  recordAudit,
+  diffSnapshots,
+  SENSITIVE_FIELDS
+};
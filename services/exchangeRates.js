@@ -0,0 +1,62 @@
+const ExchangeRate = require('../models/exchangeRate');
+const Product = require('../models/product');
+const { AppError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+
+const { CURRENCIES } = ExchangeRate;
+
+const round = (amount, currency) => {
+  const factor = 10 ** (CURRENCIES[currency]?.decimals ?? 2);
+  return Math.round(amount * factor) / factor;
+};
+
+// Convert with the given rates; null when either currency has no rate yet
+const convert = (amount, from, to, rates) => {
+  if (amount === null || amount === undefined || !rates[from] || !rates[to]) return null;
+  return (amount / rates[from].perUsd) * rates[to].perUsd;
+};
+
+const toUsd = (amount, currency, rates) => convert(amount, currency, 'USD', rates);
+
+// A product's price in the viewer's currency, for display next to the listed price
+const displayPrice = (product, currency, rates) => {
+  const amount = product.currency === currency
+    ? product.price
+    : convert(product.price, product.currency, currency, rates);
+  return amount === null ? null : { amount: round(amount, currency), currency };
+};
+
+// Record a new rate and reprice every product listed in that currency
+const setRate = async (currency, perUsd, { admin, note }) => {
+  const rate = await ExchangeRate.create({ currency, perUsd, note, setBy: admin._id });
+  ExchangeRate.clearRateCache();
+
+  // Pipeline update: each product's own price, one round trip
+  const { modifiedCount } = await Product.updateMany(
+    { currency },
+    [{ $set: { priceUsd: { $divide: ['$price', perUsd] } } }]
+  );
+
+  logger.info('Exchange rate updated', { currency, perUsd, adminId: admin._id.toString(), repricedProducts: modifiedCount });
+  return { rate, repricedProducts: modifiedCount };
+};
+
+// Rates for a currency the caller asked for explicitly; missing rates are a client-visible error
+const requireRate = (currency, rates) => {
+  if (!CURRENCIES[currency]) {
+    throw new AppError(`Unknown currency ${currency}. Use one of: ${Object.keys(CURRENCIES).join(', ')}`, 400);
+  }
+  if (!rates[currency]) {
+    throw new AppError(`No exchange rate is set for ${currency} yet`, 400);
+  }
+  return rates[currency];
+};
+
+module.exports = {
+  convert,
+  toUsd,
+  displayPrice,
+  setRate,
+  requireRate,
+  round
+};
@@ -0,0 +1,59 @@
+const Favorite = require('../models/favorite');
+const Product = require('../models/product');
+const Shop = require('../models/shop');
+const Engineer = require('../models/engineer');
+
+const FAVORITE_MODELS = {
+  product: Product,
+  shop: Shop,
+  engineer: Engineer
+};
+
+// Listings the public can see, as on the marketplace detail endpoints
+const VISIBLE_FILTERS = {
+  product: { status: 'approved', isActive: true },
+  shop: { isActive: true },
+  engineer: { isActive: true }
+};
+
+// Favorites belong to marketplace users; admins and anonymous callers have none
+const canFavorite = (user) => Boolean(user && user.role === 'user');
+
+const toPlain = (doc) => (typeof doc.toJSON === 'function' ? doc.toJSON() : doc);
+
+// Add `isFavorited` to one listing or a list of them for the signed-in user.
+// Anything else gets the documents back unchanged.
+const withFavoriteFlags = async (user, entityType, docs) => {
+  if (!canFavorite(user) || !docs) return docs;
+
+  const list = Array.isArray(docs) ? docs : [docs];
+  const favorited = await Favorite.favoritedIds(user._id, entityType, list.map(doc => doc._id));
+  const flagged = list.map(doc => ({
+    ...toPlain(doc),
+    isFavorited: favorited.has(doc._id.toString())
+  }));
+
+  return Array.isArray(docs) ? flagged : flagged[0];
+};
+
+// Add `favoriteCount` to a list of listings
+const withFavoriteCounts = async (entityType, docs) => {
+  const counts = await Favorite.countsFor(entityType, docs.map(doc => doc._id));
+  return docs.map(doc => ({
+    ...toPlain(doc),
+    favoriteCount: counts.get(doc._id.toString()) || 0
+  }));
+};
+
+// Drop every favorite pointing at listings that no longer exist
+const removeFavoritesOf = (entityType, entityIds) =>
+  Favorite.deleteMany({ entityType, entityId: { $in: entityIds } });
+
+module.exports = {
+  FAVORITE_MODELS,
+  VISIBLE_FILTERS,
+  canFavorite,
+  withFavoriteFlags,
+  withFavoriteCounts,
+  removeFavoritesOf
+};
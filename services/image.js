@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { AppError } = require('../middlewares/errorHandler');
+const storage = require('./storage');
+
+// Formats we accept after sniffing the actual bytes (the declared MIME type can lie)
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp'];
+
+// Every upload is stored in these sizes (longest side, never enlarged)
+const RENDITIONS = {
+  original: { size: 2048, quality: 82 },
+  medium: { size: 1024, quality: 80 },
+  thumbnail: { size: 320, quality: 75 }
+};
+
+// Decode, auto-orient and re-encode an image as WebP renditions.
+// Re-encoding drops all metadata, including EXIF camera data and GPS location.
+const processImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw new AppError('File is not a valid image', 400);
+  }
+
+  if (!ALLOWED_FORMATS.includes(metadata.format)) {
+    throw new AppError(`Unsupported image format ${metadata.format}. Allowed: JPEG, PNG, WebP`, 415);
+  }
+
+  const renditions = {};
+  for (const [name, { size, quality }] of Object.entries(RENDITIONS)) {
+    const { data, info } = await sharp(buffer)
+      .rotate()
+      .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+      .webp({ quality })
+      .toBuffer({ resolveWithObject: true });
+
+    renditions[name] = { buffer: data, width: info.width, height: info.height, size: info.size };
+  }
+
+  return renditions;
+};
+
+// Process one uploaded file and store every rendition under `folder`.
+// Returns the URLs to attach to a listing: `url` (full size), `medium` and `thumbnail`.
+const storeImage = async (file, { folder }) => {
+  const renditions = await processImage(file.buffer);
+  const baseKey = `${folder}/${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+
+  const urls = {};
+  for (const [name, rendition] of Object.entries(renditions)) {
+    urls[name] = await storage.putFile(`${baseKey}-${name}.webp`, rendition.buffer, 'image/webp');
+  }
+
+  return {
+    url: urls.original,
+    medium: urls.medium,
+    thumbnail: urls.thumbnail,
+    width: renditions.original.width,
+    height: renditions.original.height
+  };
+};
+
+// Store several uploads one after another to keep memory use flat
+const storeImages = async (files, options) => {
+  const images = [];
+  for (const file of files) {
+    images.push(await storeImage(file, options));
+  }
+  return images;
+};
+
+// Product images live in a per-owner folder so cleanup can be scoped to the owner
+const productImageFolder = (userId) => `products/${userId}`;
+
+// Rendition URLs share a base name, so a listing only needs to keep `url`
+const RENDITION_SUFFIX = new RegExp(`-(${Object.keys(RENDITIONS).join('|')})\\.webp$`);
+
+const renditionUrls = (url) => {
+  if (typeof url !== 'string' || !RENDITION_SUFFIX.test(url)) return [url];
+  return Object.keys(RENDITIONS).map((name) => url.replace(RENDITION_SUFFIX, `-${name}.webp`));
+};
+
+// Delete stored images (every rendition) of a removed listing. Only files under
+// `folder` are deleted, so a listing can't take down images it merely links to.
+const deleteImages = (urls, { folder }) => {
+  const all = [].concat(urls || []).filter(Boolean).flatMap(renditionUrls);
+  return storage.deleteFiles(all, { prefix: folder });
+};
+
+module.exports = {
+  processImage,
+  storeImage,
+  storeImages,
+  deleteImages,
+  productImageFolder,
+  RENDITIONS,
+  ALLOWED_FORMATS
+};
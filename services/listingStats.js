@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const Product = require('../models/product');
+const Shop = require('../models/shop');
+const Engineer = require('../models/engineer');
+const ListingEvent = require('../models/listingEvent');
+const logger = require('../utils/logger');
+
+// Counter fields per listing type, and which listings the public can see (only those count)
+const STAT_FIELDS = {
+  product: { model: Product, view: 'viewCount', contact: 'contactCount', visible: { status: 'approved', isActive: true } },
+  shop: { model: Shop, view: 'views', contact: 'contactsCount', visible: { isActive: true } },
+  engineer: { model: Engineer, view: 'views', contact: 'contactsCount', visible: { isActive: true } }
+};
+const CONTACT_CHANNELS = ['phone', 'whatsapp'];
+
+// Events claimed by a flush that didn't finish within this (e.g. the process died) are retried
+const STALE_CLAIM_MS = 10 * 60 * 1000;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Signed-in users count once wherever they are; everyone else once per IP
+const viewerKey = (req) => (req.user ? `u:${req.user._id}` : `ip:${req.ip}`);
+
+// Store the event unless this viewer already has one for the listing today.
+// Resolves to whether it counted; failures are logged, never thrown, so callers
+// don't have to wait for it.
+const recordEvent = async (req, entityType, id, stat) => {
+  try {
+    await ListingEvent.create({
+      _id: `${today()}:${entityType}:${id}:${stat}:${viewerKey(req)}`,
+      entityType,
+      listingId: id,
+      stat
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    logger.error('Failed to record listing event', { entityType, id: id.toString(), stat, error: error.message });
+    return false;
+  }
+};
+
+// Increment the listing counters from events not counted yet, one bulk $inc per
+// listing type. Events are claimed first so concurrent flushes (several
+// processes) never count the same event twice. Returns the number of events claimed.
+const flushListingStats = async () => {
+  const staleFlushId = mongoose.Types.ObjectId.createFromTime(Math.floor((Date.now() - STALE_CLAIM_MS) / 1000));
+  await ListingEvent.updateMany(
+    { counted: false, flushId: { $lt: staleFlushId } },
+    { $set: { flushId: null } }
+  );
+
+  const flushId = new mongoose.Types.ObjectId();
+  const { modifiedCount } = await ListingEvent.updateMany(
+    { counted: false, flushId: null },
+    { $set: { flushId } }
+  );
+  if (!modifiedCount) return 0;
+
+  const totals = await ListingEvent.aggregate([
+    { $match: { counted: false, flushId } },
+    {
+      $group: {
+        _id: { entityType: '$entityType', listingId: '$listingId' },
+        view: { $sum: { $cond: [{ $eq: ['$stat', 'view'] }, 1, 0] } },
+        contact: { $sum: { $cond: [{ $eq: ['$stat', 'contact'] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  for (const [entityType, { model, view, contact }] of Object.entries(STAT_FIELDS)) {
+    const ops = totals
+      .filter(({ _id }) => _id.entityType === entityType)
+      .map(({ _id, view: views, contact: contacts }) => ({
+        updateOne: {
+          filter: { _id: _id.listingId },
+          update: { $inc: { [view]: views, [contact]: contacts } }
+        }
+      }));
+    if (ops.length === 0) continue;
+
+    const claimed = { counted: false, flushId, entityType };
+    try {
+      await model.bulkWrite(ops, { ordered: false });
+      await ListingEvent.updateMany(claimed, { $set: { counted: true } });
+    } catch (error) {
+      // Release the events for the next flush
+      await ListingEvent.updateMany(claimed, { $set: { flushId: null } }).catch(() => {});
+      logger.error('Failed to write listing stats', { entityType, listings: ops.length, error: error.message });
+    }
+  }
+
+  return modifiedCount;
+};
+
+// Count a view of a listing, at most once per viewer per day. The counters
+// are incremented in batches every LISTING_STATS_FLUSH_SECONDS.
+const recordView = (req, entityType, id) => recordEvent(req, entityType, id, 'view');
+
+// Count a contact (phone revealed or WhatsApp tapped), at most once per viewer
+// per listing per day whatever the channel
+const recordContact = (req, entityType, id) => recordEvent(req, entityType, id, 'contact');
+
+module.exports = {
+  STAT_FIELDS,
+  CONTACT_CHANNELS,
+  recordView,
+  recordContact,
+  flushListingStats
+};
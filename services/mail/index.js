@@ -0,0 +1,72 @@
+const { AppError } = require('../../middlewares/errorHandler');
+const logger = require('../../utils/logger');
+
+const transports = {
+  console: require('./transports/console'),
+  http: require('./transports/http')
+};
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Qafzh Solar <no-reply@qafzh-solar.com>';
+
+// Resolve the transport from MAIL_TRANSPORT (console | http)
+const getTransport = (name = process.env.MAIL_TRANSPORT || 'console') => {
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  if (transport.name === 'console' && process.env.NODE_ENV === 'production') {
+    logger.warn('Mail transport "console" is in use in production; mails are not delivered');
+  }
+
+  return transport;
+};
+
+// Send a mail through the configured transport; delivery errors become a 502
+const sendMail = async ({ to, subject, text, html }) => {
+  const transport = getTransport();
+
+  try {
+    return await transport.send({ from: MAIL_FROM, to, subject, text, html });
+  } catch (error) {
+    logger.error('Mail delivery failed', {
+      transport: transport.name,
+      to,
+      subject,
+      error: error.message
+    });
+    throw new AppError('Failed to send email. Please try again later.', 502);
+  }
+};
+
+const sendAdminPasswordReset = (admin, resetUrl, expiresInMinutes) => {
+  return sendMail({
+    to: admin.email,
+    subject: 'Reset your Qafzh Solar admin password',
+    text: `Hi ${admin.name},\n\n` +
+      `Someone requested a password reset for your Qafzh Solar admin account.\n` +
+      `Open this link to choose a new password (valid for ${expiresInMinutes} minutes):\n\n` +
+      `${resetUrl}\n\n` +
+      `If you didn't request this, you can ignore this email; your password won't change.`
+  });
+};
+
+const sendAdminInvite = (invite, inviter, acceptUrl, expiresInHours) => {
+  return sendMail({
+    to: invite.email,
+    subject: 'You have been invited to the Qafzh Solar admin dashboard',
+    text: `Hi${invite.name ? ` ${invite.name}` : ''},\n\n` +
+      `${inviter.name} invited you to join the Qafzh Solar admin dashboard as ${invite.role}.\n` +
+      `Open this link to set your password and activate your account (valid for ${expiresInHours} hours):\n\n` +
+      `${acceptUrl}\n\n` +
+      `If you weren't expecting this invitation, you can ignore this email.`
+  });
+};
+
+module.exports = {
+  sendMail,
+  sendAdminPasswordReset,
+  sendAdminInvite,
+  getTransport,
+  transports
+};
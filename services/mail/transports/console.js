@@ -0,0 +1,22 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../../utils/logger');
+
+// Local transport for development and tests: mails are logged and, when
+// MAIL_LOG_FILE is set, appended to that file as one JSON object per line
+const send = async ({ from, to, subject, text, html }) => {
+  logger.info(`Mail to ${to}: ${subject}\n${text}`);
+
+  if (process.env.MAIL_LOG_FILE) {
+    const file = path.resolve(process.env.MAIL_LOG_FILE);
+    const entry = JSON.stringify({ from, to, subject, text, html, sentAt: new Date().toISOString() });
+    await fs.promises.appendFile(file, entry + '\n');
+  }
+
+  return { transport: 'console' };
+};
+
+module.exports = {
+  name: 'console',
+  send
+};
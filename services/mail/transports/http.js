@@ -0,0 +1,32 @@
+const axios = require('axios');
+
+// Generic HTTP mail API (transactional mail services, internal relays)
+// Expects MAIL_API_URL and MAIL_API_KEY
+const send = async ({ from, to, subject, text, html }) => {
+  if (!process.env.MAIL_API_URL || !process.env.MAIL_API_KEY) {
+    throw new Error('HTTP mail transport is not configured (MAIL_API_URL, MAIL_API_KEY)');
+  }
+
+  const response = await axios.post(process.env.MAIL_API_URL, {
+    from,
+    to,
+    subject,
+    text,
+    html
+  }, {
+    headers: {
+      Authorization: `Bearer ${process.env.MAIL_API_KEY}`
+    },
+    timeout: 10000
+  });
+
+  return {
+    transport: 'http',
+    messageId: response.data?.messageId || response.data?.id || null
+  };
+};
+
+module.exports = {
+  name: 'http',
+  send
+};
@@ -0,0 +1,120 @@
+const { AppError } = require('../../middlewares/errorHandler');
+const logger = require('../../utils/logger');
+
+const providers = {
+  console: require('./providers/console'),
+  sms: require('./providers/sms'),
+  whatsapp: require('./providers/whatsapp')
+};
+
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES, 10) || 10;
+
+// Resolve the delivery provider from OTP_PROVIDER (console | sms | whatsapp)
+const getProvider = (name = process.env.OTP_PROVIDER || 'console') => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown OTP provider: ${name}`);
+  }
+
+  if (provider.name === 'console' && process.env.NODE_ENV === 'production') {
+    logger.warn('OTP provider "console" is in use in production; codes are not delivered to users');
+  }
+
+  return provider;
+};
+
+const buildMessage = (code) => {
+  return `رمز التحقق الخاص بك في قفزة سولار هو ${code}. صالح لمدة ${OTP_TTL_MINUTES} دقائق.\n` +
+    `Your Qafzh Solar verification code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes.`;
+};
+
+const secondsUntil = (date) => Math.max(Math.ceil((date.getTime() - Date.now()) / 1000), 0);
+
+const lockedError = (user) => {
+  const retryAfterSeconds = secondsUntil(user.otpLockUntil);
+  return new AppError(
+    `Too many failed OTP attempts. Please try again in ${Math.ceil(retryAfterSeconds / 60)} minutes.`,
+    423,
+    { lockUntil: user.otpLockUntil, retryAfterSeconds }
+  );
+};
+
+// Throw if OTPs for this phone are locked or a resend is requested too early
+const assertCanSend = (user) => {
+  if (user.isOtpLocked) {
+    throw lockedError(user);
+  }
+
+  const availableAt = user.otpResendAvailableAt;
+  if (availableAt && availableAt > Date.now()) {
+    const retryAfterSeconds = secondsUntil(availableAt);
+    throw new AppError(
+      `Please wait ${retryAfterSeconds} seconds before requesting another OTP.`,
+      429,
+      { resendAvailableAt: availableAt, retryAfterSeconds }
+    );
+  }
+};
+
+// Generate a fresh OTP for the user, persist its hash and deliver the code.
+// `to` overrides the recipient, e.g. the new number in the change-phone flow.
+const sendOTP = async (user, { purpose = 'verification', to = user.phone } = {}) => {
+  assertCanSend(user);
+
+  const code = user.generateOTP(OTP_TTL_MINUTES, purpose);
+  await user.save();
+
+  const provider = getProvider();
+
+  try {
+    await provider.send({
+      to,
+      code,
+      message: buildMessage(code)
+    });
+  } catch (error) {
+    logger.error('OTP delivery failed', {
+      provider: provider.name,
+      phone: to,
+      error: error.message
+    });
+    throw new AppError('Failed to send OTP. Please try again later.', 502);
+  }
+
+  return {
+    phone: to,
+    otpExpiresAt: user.otpExpires,
+    resendAvailableAt: user.otpResendAvailableAt
+  };
+};
+
+// Check a submitted code against the stored hash.
+// Failed attempts are counted per phone; throws an AppError when the code is
+// wrong or verification is locked. The caller clears the OTP on success.
+const verifyOTP = async (user, code, { purpose = 'verification' } = {}) => {
+  if (user.isOtpLocked) {
+    throw lockedError(user);
+  }
+
+  if (user.verifyOTP(code, purpose)) {
+    return true;
+  }
+
+  await user.incOTPAttempts();
+
+  if (user.isOtpLocked) {
+    throw lockedError(user);
+  }
+
+  throw new AppError('Invalid or expired OTP', 400, {
+    attemptsRemaining: user.otpAttemptsRemaining()
+  });
+};
+
+module.exports = {
+  sendOTP,
+  verifyOTP,
+  getProvider,
+  providers,
+  OTP_TTL_MINUTES
+};
@@ -0,0 +1,22 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../../utils/logger');
+
+// Local provider for development and tests: codes are logged and, when
+// OTP_LOG_FILE is set, appended to that file as one JSON object per line
+const send = async ({ to, code, message }) => {
+  logger.info(`OTP for ${to}: ${code}`);
+
+  if (process.env.OTP_LOG_FILE) {
+    const file = path.resolve(process.env.OTP_LOG_FILE);
+    const entry = JSON.stringify({ to, code, message, sentAt: new Date().toISOString() });
+    await fs.promises.appendFile(file, entry + '\n');
+  }
+
+  return { provider: 'console' };
+};
+
+module.exports = {
+  name: 'console',
+  send
+};
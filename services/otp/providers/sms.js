@@ -0,0 +1,30 @@
+const axios = require('axios');
+
+// Generic HTTP SMS gateway
+// Expects SMS_API_URL, SMS_API_KEY and optionally SMS_SENDER_ID
+const send = async ({ to, message }) => {
+  if (!process.env.SMS_API_URL || !process.env.SMS_API_KEY) {
+    throw new Error('SMS provider is not configured (SMS_API_URL, SMS_API_KEY)');
+  }
+
+  const response = await axios.post(process.env.SMS_API_URL, {
+    to,
+    message,
+    sender: process.env.SMS_SENDER_ID || 'QafzhSolar'
+  }, {
+    headers: {
+      Authorization: `Bearer ${process.env.SMS_API_KEY}`
+    },
+    timeout: 10000
+  });
+
+  return {
+    provider: 'sms',
+    messageId: response.data?.messageId || response.data?.id || null
+  };
+};
+
+module.exports = {
+  name: 'sms',
+  send
+};
@@ -0,0 +1,60 @@
+const axios = require('axios');
+
+// WhatsApp Cloud API
+// Expects WHATSAPP_PHONE_NUMBER_ID and WHATSAPP_ACCESS_TOKEN. When
+// WHATSAPP_OTP_TEMPLATE is set the code is sent through that approved
+// authentication template, otherwise as a plain text message.
+const send = async ({ to, code, message }) => {
+  const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
+  const accessToken = process.env.WHATSAPP_ACCESS_TOKEN;
+
+  if (!phoneNumberId || !accessToken) {
+    throw new Error('WhatsApp provider is not configured (WHATSAPP_PHONE_NUMBER_ID, WHATSAPP_ACCESS_TOKEN)');
+  }
+
+  const recipient = String(to).replace(/[^0-9]/g, '');
+  const template = process.env.WHATSAPP_OTP_TEMPLATE;
+
+  const payload = template
+    ? {
+        messaging_product: 'whatsapp',
+        to: recipient,
+        type: 'template',
+        template: {
+          name: template,
+          language: { code: process.env.WHATSAPP_OTP_LANGUAGE || 'ar' },
+          components: [
+            { type: 'body', parameters: [{ type: 'text', text: code }] },
+            { type: 'button', sub_type: 'url', index: '0', parameters: [{ type: 'text', text: code }] }
+          ]
+        }
+      }
+    : {
+        messaging_product: 'whatsapp',
+        to: recipient,
+        type: 'text',
+        text: { body: message }
+      };
+
+  const apiVersion = process.env.WHATSAPP_API_VERSION || 'v19.0';
+  const response = await axios.post(
+    `https://graph.facebook.com/${apiVersion}/${phoneNumberId}/messages`,
+    payload,
+    {
+      headers: {
+        Authorization: `Bearer ${accessToken}`
+      },
+      timeout: 10000
+    }
+  );
+
+  return {
+    provider: 'whatsapp',
+    messageId: response.data?.messages?.[0]?.id || null
+  };
+};
+
+module.exports = {
+  name: 'whatsapp',
+  send
+};
@@ -0,0 +1,93 @@
+const Product = require('../models/product');
+const exchangeRates = require('./exchangeRates');
+const { escapeRegex } = require('../utils/regex');
+const { buildTextSearch, brandSpellings } = require('../utils/search');
+
+// Query parameters of /marketplace/search-products that narrow the results
+// (as opposed to sorting, paging and facets); these are what a saved search keeps
+const SEARCH_FILTER_PARAMS = [
+  'search_keyword',
+  'type',
+  'condition',
+  'brand',
+  'governorate',
+  'city',
+  'currency',
+  'displayCurrency',
+  'minPrice',
+  'maxPrice',
+  ...Object.values(Product.specificationDefinitions())
+    .flatMap((fields) => Object.values(fields).flatMap((field) => field.filters))
+];
+
+const isSet = (value) => typeof value === 'string' && value.trim() !== '' && value !== 'all';
+
+// The Mongo query for a set of search filters, plus how prices are compared.
+// Prices are compared in the viewer's display currency through the normalized
+// USD price. Listed prices are compared directly only when every result is
+// already in the display currency, or when no rate for it exists yet.
+const buildProductSearch = (params, rates) => {
+  const {
+    search_keyword = '',
+    type,
+    condition,
+    brand,
+    governorate,
+    city,
+    currency,
+    displayCurrency,
+    minPrice,
+    maxPrice
+  } = params;
+
+  // Listings of deactivated accounts (e.g. pending deletion) are hidden with isActive
+  const query = { status: 'approved', isActive: true };
+  const andConditions = [];
+
+  // Keyword search on the normalized text index (Arabic spelling variants, brand aliases)
+  const textSearch = buildTextSearch(search_keyword);
+  if (textSearch) {
+    query.$text = { $search: textSearch };
+  }
+
+  if (isSet(type)) andConditions.push({ type });
+  if (isSet(condition)) andConditions.push({ condition });
+  if (isSet(brand)) andConditions.push({ brand: { $regex: brandSpellings(brand).map(escapeRegex).join('|'), $options: 'i' } });
+  if (isSet(governorate)) andConditions.push({ governorate: { $regex: escapeRegex(governorate.trim()), $options: 'i' } });
+  if (isSet(city)) andConditions.push({ city: { $regex: escapeRegex(city.trim()), $options: 'i' } });
+
+  const currencyFilter = isSet(currency) ? currency : null;
+  if (currencyFilter) {
+    andConditions.push({ currency: currencyFilter });
+  }
+
+  if (displayCurrency) {
+    exchangeRates.requireRate(displayCurrency, rates);
+  }
+  const viewerCurrency = displayCurrency || currencyFilter || 'YER';
+  const normalized = currencyFilter !== viewerCurrency && Boolean(rates[viewerCurrency]);
+  const priceField = normalized ? 'priceUsd' : 'price';
+  const toPriceField = (amount) => normalized ? amount / rates[viewerCurrency].perUsd : amount;
+
+  // Price range filter (in the display currency)
+  const priceCondition = {};
+  if (!isNaN(parseFloat(minPrice))) priceCondition.$gte = toPriceField(parseFloat(minPrice));
+  if (!isNaN(parseFloat(maxPrice))) priceCondition.$lte = toPriceField(parseFloat(maxPrice));
+  if (Object.keys(priceCondition).length > 0) {
+    andConditions.push({ [priceField]: priceCondition });
+  }
+
+  // Technical specification filters (minWatts, maxKva, chemistry, ...)
+  andConditions.push(...Product.buildSpecificationFilters(params));
+
+  if (andConditions.length > 0) {
+    query.$and = andConditions;
+  }
+
+  return { query, textSearch, currencyFilter, viewerCurrency, normalized, priceField };
+};
+
+module.exports = {
+  SEARCH_FILTER_PARAMS,
+  buildProductSearch
+};
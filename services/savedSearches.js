@@ -0,0 +1,144 @@
+const SavedSearch = require('../models/savedSearch');
+const Notification = require('../models/notification');
+const Product = require('../models/product');
+const ExchangeRate = require('../models/exchangeRate');
+const { SEARCH_FILTER_PARAMS, buildProductSearch } = require('./productSearch');
+const logger = require('../utils/logger');
+
+const SAVED_SEARCHES_PER_USER = parseInt(process.env.SAVED_SEARCHES_PER_USER, 10) || 20;
+// Products listed in one alert; the alert still reports the full count
+const PRODUCTS_PER_ALERT = 10;
+// Approvals younger than this are left for the next run, so a write that is
+// still in flight when the matcher starts isn't skipped
+const APPROVAL_SETTLE_MS = 30 * 1000;
+
+// The search filters among request parameters, as trimmed strings
+const pickFilters = (params = {}) => {
+  const filters = {};
+  for (const key of SEARCH_FILTER_PARAMS) {
+    const value = params[key];
+    if ((typeof value === 'string' || typeof value === 'number') && String(value).trim() !== '' && value !== 'all') {
+      filters[key] = String(value).trim();
+    }
+  }
+  return filters;
+};
+
+// Default name for a saved search, e.g. "Inverter · Used · Aden · up to 300 USD"
+const describeFilters = (filters) => {
+  const parts = [
+    filters.search_keyword,
+    filters.type,
+    filters.condition,
+    filters.brand,
+    filters.city || filters.governorate
+  ].filter(Boolean);
+
+  const priceCurrency = filters.displayCurrency || filters.currency || '';
+  if (filters.minPrice && filters.maxPrice) parts.push(`${filters.minPrice}-${filters.maxPrice} ${priceCurrency}`.trim());
+  else if (filters.maxPrice) parts.push(`up to ${filters.maxPrice} ${priceCurrency}`.trim());
+  else if (filters.minPrice) parts.push(`from ${filters.minPrice} ${priceCurrency}`.trim());
+
+  return (parts.join(' · ') || 'Saved search').slice(0, 100);
+};
+
+// Notify the owner of products approved since the search was last checked
+const checkSavedSearch = async (savedSearch, until, rates) => {
+  const { query } = buildProductSearch(Object.fromEntries(savedSearch.filters), rates);
+  const match = {
+    ...query,
+    userId: { $ne: savedSearch.userId },
+    approvedAt: { $gt: savedSearch.lastCheckedAt, $lte: until }
+  };
+
+  const [count, products] = await Promise.all([
+    Product.countDocuments(match),
+    Product.find(match).sort({ approvedAt: -1 }).limit(PRODUCTS_PER_ALERT).select('_id')
+  ]);
+
+  if (count > 0) {
+    await Notification.create({
+      userId: savedSearch.userId,
+      type: 'saved_search_match',
+      title: `New listings for "${savedSearch.name}"`,
+      message: count === 1
+        ? '1 new listing matches your saved search.'
+        : `${count} new listings match your saved search.`,
+      data: {
+        savedSearchId: savedSearch._id,
+        productIds: products.map(product => product._id),
+        count
+      }
+    });
+    savedSearch.lastMatchedAt = until;
+    savedSearch.matchCount += count;
+  }
+
+  savedSearch.lastCheckedAt = until;
+  await savedSearch.save();
+  return count;
+};
+
+// Filters that can't be evaluated any more (e.g. no exchange rate for the display
+// currency) would fail on every run; pause the search and tell its owner instead
+const pauseSavedSearch = async (savedSearch, reason) => {
+  savedSearch.isPaused = true;
+  savedSearch.pausedReason = reason;
+  await savedSearch.save();
+
+  await Notification.create({
+    userId: savedSearch.userId,
+    type: 'saved_search_paused',
+    title: `Saved search "${savedSearch.name}" paused`,
+    message: `${reason}. Resume the search once it can run again.`,
+    data: {
+      savedSearchId: savedSearch._id,
+      reason
+    }
+  });
+};
+
+// Evaluate newly approved products against every active saved search.
+// Returns the number of notifications created.
+const matchSavedSearches = async () => {
+  const until = new Date(Date.now() - APPROVAL_SETTLE_MS);
+
+  // Skip the per-search queries when nothing was approved since the oldest check
+  const oldest = await SavedSearch.findOne({ isPaused: false, lastCheckedAt: { $lt: until } })
+    .sort({ lastCheckedAt: 1 })
+    .select('lastCheckedAt');
+  if (!oldest) return 0;
+
+  const anyApproved = await Product.exists({
+    status: 'approved',
+    approvedAt: { $gt: oldest.lastCheckedAt, $lte: until }
+  });
+  if (!anyApproved) return 0;
+
+  const rates = await ExchangeRate.currentRates();
+  const cursor = SavedSearch.find({ isPaused: false, lastCheckedAt: { $lt: until } }).cursor();
+
+  let notified = 0;
+  for await (const savedSearch of cursor) {
+    try {
+      if (await checkSavedSearch(savedSearch, until, rates) > 0) notified++;
+    } catch (error) {
+      if (error.isOperational) {
+        await pauseSavedSearch(savedSearch, error.message).catch((pauseError) =>
+          logger.error('Failed to pause saved search', { savedSearchId: savedSearch._id.toString(), error: pauseError.message }));
+        continue;
+      }
+      logger.error('Saved search check failed', { savedSearchId: savedSearch._id.toString(), error: error.message });
+    }
+  }
+
+  return notified;
+};
+
+module.exports = {
+  SAVED_SEARCHES_PER_USER,
+  pickFilters,
+  describeFilters,
+  checkSavedSearch,
+  matchSavedSearches
+};
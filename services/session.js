@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const Session = require('../models/session');
+const User = require('../models/auth');
+const generateToken = require('../utils/generateToken');
+const { AppError } = require('../middlewares/errorHandler');
+
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30;
+// lastSeenAt is only written when older than this, to keep authToken cheap
+const LAST_SEEN_UPDATE_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+const hashToken = (token) => {
+  return crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+};
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without scanning hashes
+const buildRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(48).toString('hex');
+  return {
+    refreshToken: `${sessionId}.${secret}`,
+    refreshTokenHash: hashToken(secret)
+  };
+};
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret || !/^[0-9a-fA-F]{24}$/.test(sessionId)) return null;
+
+  return { sessionId, secret };
+};
+
+const getDeviceInfo = (req) => {
+  const userAgent = (req.get('User-Agent') || '').slice(0, 500);
+  const deviceName = (req.body?.deviceName || req.get('X-Device-Name') || userAgent || 'Unknown device')
+    .toString()
+    .trim()
+    .slice(0, 100);
+
+  return { deviceName, userAgent, ip: req.ip || '' };
+};
+
+// Start a new session for the user on the requesting device
+const createSession = async (user, req) => {
+  const session = new Session({
+    userId: user._id,
+    refreshTokenHash: 'pending',
+    expiresAt: refreshExpiry(),
+    ...getDeviceInfo(req)
+  });
+
+  const { refreshToken, refreshTokenHash } = buildRefreshToken(session._id);
+  session.refreshTokenHash = refreshTokenHash;
+  await session.save();
+
+  return {
+    accessToken: generateToken(user, session._id),
+    refreshToken,
+    session
+  };
+};
+
+// Exchange a refresh token for a new access/refresh pair.
+// Presenting an already-rotated token revokes the whole session, since it means
+// the token was copied.
+const rotateSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    throw new AppError('Invalid refresh token. Please log in again.', 401);
+  }
+
+  const session = await Session.findById(parsed.sessionId);
+  if (!session || !session.isActive) {
+    throw new AppError('Session has expired or was revoked. Please log in again.', 401);
+  }
+
+  if (session.refreshTokenHash !== hashToken(parsed.secret)) {
+    await session.revoke('refresh_token_reuse');
+    throw new AppError('Refresh token has already been used. Please log in again.', 401);
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user || !user.isActive || user.isCurrentlyBanned) {
+    await session.revoke('user_inactive');
+    throw new AppError('The user account no longer exists or is inactive.', 401);
+  }
+
+  const next = buildRefreshToken(session._id);
+  const { ip } = getDeviceInfo(req);
+  session.refreshTokenHash = next.refreshTokenHash;
+  session.expiresAt = refreshExpiry();
+  session.lastSeenAt = new Date();
+  session.ip = ip;
+  await session.save();
+
+  return {
+    accessToken: generateToken(user, session._id),
+    refreshToken: next.refreshToken,
+    session,
+    user
+  };
+};
+
+// Load the session behind an access token; returns null if it can no longer be used
+const findActiveSession = async (sessionId, userId) => {
+  const session = await Session.findOne({ _id: sessionId, userId });
+  if (!session || !session.isActive) {
+    return null;
+  }
+
+  if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_UPDATE_INTERVAL) {
+    session.lastSeenAt = new Date();
+    await Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: session.lastSeenAt } });
+  }
+
+  return session;
+};
+
+const revokeSession = async (sessionId, userId, reason = 'logout') => {
+  const session = await Session.findOne({ _id: sessionId, userId, revokedAt: null });
+  if (!session) {
+    return null;
+  }
+  return session.revoke(reason);
+};
+
+const revokeAllSessions = (userId, options) => {
+  return Session.revokeAllForUser(userId, options);
+};
+
+const listActiveSessions = (userId) => {
+  return Session.findActiveByUser(userId)
+    .sort({ lastSeenAt: -1 })
+    .select('-refreshTokenHash -__v');
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  findActiveSession,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+  REFRESH_TOKEN_EXPIRES_DAYS
+};
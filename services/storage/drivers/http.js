@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const FormData = require('form-data');
+
+// sha256 of the API key that used to be hard-coded here. It is public in the git
+// history and must be revoked on the storage service; a deployment still configured
+// with it fails loudly instead of uploading with a compromised key.
+const LEAKED_API_KEY_HASHES = new Set([
+  '485605e188333f31f642153923f0f24ce4e95741cfaaf8bd3952080607563e94'
+]);
+
+// Generic HTTP storage service: multipart upload answering with { fileUrl }.
+// Expects STORAGE_HTTP_UPLOAD_URL and STORAGE_HTTP_API_KEY (sent as x-api-key).
+// Deletes need STORAGE_HTTP_DELETE_URL and STORAGE_PUBLIC_URL (the base of returned file URLs).
+const config = () => {
+  if (!process.env.STORAGE_HTTP_UPLOAD_URL || !process.env.STORAGE_HTTP_API_KEY) {
+    throw new Error('HTTP storage driver is not configured (STORAGE_HTTP_UPLOAD_URL, STORAGE_HTTP_API_KEY)');
+  }
+
+  const keyHash = crypto.createHash('sha256').update(process.env.STORAGE_HTTP_API_KEY).digest('hex');
+  if (LEAKED_API_KEY_HASHES.has(keyHash)) {
+    throw new Error('STORAGE_HTTP_API_KEY is the key that was published in the repository; revoke it and issue a new one on the storage service');
+  }
+
+  return {
+    uploadUrl: process.env.STORAGE_HTTP_UPLOAD_URL,
+    deleteUrl: process.env.STORAGE_HTTP_DELETE_URL,
+    apiKey: process.env.STORAGE_HTTP_API_KEY
+  };
+};
+
+// The service stores flat file names, so folders are folded into the name
+const toFilename = (key) => key.replace(/\//g, '__');
+const fromFilename = (filename) => filename.replace(/__/g, '/');
+
+const put = async (key, buffer, contentType) => {
+  const { uploadUrl, apiKey } = config();
+
+  const formData = new FormData();
+  formData.append('file', buffer, {
+    filename: toFilename(key),
+    contentType
+  });
+
+  const response = await axios.post(uploadUrl, formData, {
+    headers: {
+      ...formData.getHeaders(),
+      'x-api-key': apiKey
+    },
+    maxBodyLength: Infinity,
+    timeout: 20000
+  });
+
+  if (!response.data?.fileUrl) {
+    throw new Error('Storage service response has no fileUrl');
+  }
+
+  return response.data.fileUrl;
+};
+
+const remove = async (key) => {
+  const { deleteUrl, apiKey } = config();
+  if (!deleteUrl) {
+    throw new Error('HTTP storage driver has no STORAGE_HTTP_DELETE_URL; file was not deleted');
+  }
+
+  await axios.delete(deleteUrl, {
+    data: { filename: toFilename(key) },
+    headers: { 'x-api-key': apiKey },
+    timeout: 10000
+  });
+};
+
+const keyFromUrl = (url) => {
+  if (!process.env.STORAGE_PUBLIC_URL) return null;
+  const base = `${process.env.STORAGE_PUBLIC_URL.replace(/\/+$/, '')}/`;
+  return url.startsWith(base) ? fromFilename(decodeURIComponent(url.slice(base.length))) : null;
+};
+
+module.exports = {
+  name: 'http',
+  put,
+  remove,
+  keyFromUrl
+};
@@ -0,0 +1,46 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Files on the local disk, served by the app itself under /uploads.
+// STORAGE_LOCAL_DIR is the directory, STORAGE_PUBLIC_URL the URL it is reachable at.
+const LOCAL_UPLOAD_DIR = path.resolve(process.env.STORAGE_LOCAL_DIR || 'uploads');
+
+const publicBaseUrl = () =>
+  (process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}/uploads`).replace(/\/+$/, '');
+
+// Resolve a key inside the upload directory, refusing anything that escapes it
+const resolvePath = (key) => {
+  const filePath = path.resolve(LOCAL_UPLOAD_DIR, key);
+  if (!filePath.startsWith(LOCAL_UPLOAD_DIR + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+const put = async (key, buffer) => {
+  const filePath = resolvePath(key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, buffer);
+  return `${publicBaseUrl()}/${key}`;
+};
+
+const remove = async (key) => {
+  try {
+    await fs.unlink(resolvePath(key));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+const keyFromUrl = (url) => {
+  const base = `${publicBaseUrl()}/`;
+  return url.startsWith(base) ? decodeURIComponent(url.slice(base.length)) : null;
+};
+
+module.exports = {
+  name: 'local',
+  put,
+  remove,
+  keyFromUrl,
+  LOCAL_UPLOAD_DIR
+};
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Any S3-compatible object store (AWS S3, Cloudflare R2, MinIO, DigitalOcean Spaces...)
+// using path-style URLs and AWS Signature V4.
+// Expects STORAGE_S3_ENDPOINT, STORAGE_S3_BUCKET, STORAGE_S3_ACCESS_KEY_ID and
+// STORAGE_S3_SECRET_ACCESS_KEY; STORAGE_S3_REGION defaults to us-east-1.
+const config = () => {
+  const {
+    STORAGE_S3_ENDPOINT,
+    STORAGE_S3_BUCKET,
+    STORAGE_S3_ACCESS_KEY_ID,
+    STORAGE_S3_SECRET_ACCESS_KEY
+  } = process.env;
+
+  if (!STORAGE_S3_ENDPOINT || !STORAGE_S3_BUCKET || !STORAGE_S3_ACCESS_KEY_ID || !STORAGE_S3_SECRET_ACCESS_KEY) {
+    throw new Error('S3 storage driver is not configured (STORAGE_S3_ENDPOINT, STORAGE_S3_BUCKET, STORAGE_S3_ACCESS_KEY_ID, STORAGE_S3_SECRET_ACCESS_KEY)');
+  }
+
+  return {
+    endpoint: STORAGE_S3_ENDPOINT.replace(/\/+$/, ''),
+    bucket: STORAGE_S3_BUCKET,
+    region: process.env.STORAGE_S3_REGION || 'us-east-1',
+    accessKeyId: STORAGE_S3_ACCESS_KEY_ID,
+    secretAccessKey: STORAGE_S3_SECRET_ACCESS_KEY
+  };
+};
+
+// Objects are read from STORAGE_PUBLIC_URL (a CDN or public bucket domain) when set
+const publicBaseUrl = () => {
+  if (process.env.STORAGE_PUBLIC_URL) return process.env.STORAGE_PUBLIC_URL.replace(/\/+$/, '');
+  const { endpoint, bucket } = config();
+  return `${endpoint}/${bucket}`;
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding per path segment, as SigV4 requires
+const encodeKey = (key) =>
+  key.split('/')
+    .map((segment) => encodeURIComponent(segment).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`))
+    .join('/');
+
+const signedRequest = async (method, key, body = Buffer.alloc(0), headers = {}) => {
+  const { endpoint, bucket, region, accessKeyId, secretAccessKey } = config();
+  const url = new URL(`${endpoint}/${bucket}/${encodeKey(key)}`);
+
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const payloadHash = sha256(body);
+
+  const signedHeaders = 'host;x-amz-content-sha256;x-amz-date';
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    '',
+    `host:${url.host}\nx-amz-content-sha256:${payloadHash}\nx-amz-date:${amzDate}\n`,
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region));
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return axios({
+    method,
+    url: url.toString(),
+    data: body,
+    headers: {
+      ...headers,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    },
+    maxBodyLength: Infinity,
+    timeout: 20000
+  });
+};
+
+const put = async (key, buffer, contentType) => {
+  await signedRequest('PUT', key, buffer, {
+    'Content-Type': contentType,
+    'Cache-Control': 'public, max-age=31536000, immutable'
+  });
+  return `${publicBaseUrl()}/${key}`;
+};
+
+// S3 answers 204 for missing objects too
+const remove = async (key) => {
+  await signedRequest('DELETE', key);
+};
+
+const keyFromUrl = (url) => {
+  const base = `${publicBaseUrl()}/`;
+  return url.startsWith(base) ? decodeURIComponent(url.slice(base.length)) : null;
+};
+
+module.exports = {
+  name: 's3',
+  put,
+  remove,
+  keyFromUrl
+};
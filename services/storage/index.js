@@ -0,0 +1,63 @@
+const { AppError } = require('../../middlewares/errorHandler');
+const logger = require('../../utils/logger');
+
+const drivers = {
+  local: require('./drivers/local'),
+  s3: require('./drivers/s3'),
+  http: require('./drivers/http')
+};
+
+// Resolve the driver from STORAGE_DRIVER (local | s3 | http)
+const getDriver = (name = process.env.STORAGE_DRIVER || 'local') => {
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+
+  return driver;
+};
+
+// Store a file under `key` (e.g. products/<userId>/<name>.webp) and return its public URL
+const putFile = async (key, buffer, contentType) => {
+  const driver = getDriver();
+
+  try {
+    return await driver.put(key, buffer, contentType);
+  } catch (error) {
+    logger.error('File storage failed', { driver: driver.name, key, error: error.message });
+    throw new AppError('Failed to store file. Please try again later.', 502);
+  }
+};
+
+// Delete a stored file by its public URL. Only files in this storage (and, with
+// `prefix`, under that key prefix) are touched; external URLs are ignored.
+// Never throws: a failed cleanup must not fail the request that triggered it.
+const deleteFile = async (url, { prefix } = {}) => {
+  const driver = getDriver();
+  const key = typeof url === 'string' ? driver.keyFromUrl(url) : null;
+  if (!key || (prefix && !key.startsWith(`${prefix}/`))) return false;
+
+  try {
+    await driver.remove(key);
+    return true;
+  } catch (error) {
+    logger.error('File deletion failed', { driver: driver.name, key, error: error.message });
+    return false;
+  }
+};
+
+const deleteFiles = async (urls, options) => {
+  let deleted = 0;
+  for (const url of urls) {
+    if (await deleteFile(url, options)) deleted++;
+  }
+  return deleted;
+};
+
+module.exports = {
+  putFile,
+  deleteFile,
+  deleteFiles,
+  getDriver,
+  drivers
+};
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../../models/auditLog');
+const { exportAuditLogs } = require('../../controllers/auditLogController');
+
+const actorId = new mongoose.Types.ObjectId();
+
+const logEntry = (overrides = {}) => ({
+  createdAt: new Date('2024-01-15T10:30:00.000Z'),
+  actor: { id: actorId, email: 'admin@example.com', role: 'super_admin' },
+  action: 'product.approve',
+  entity: { type: 'product', id: null },
+  changes: [],
+  method: 'PATCH',
+  path: '/api/v1/admin/products/1/approve',
+  statusCode: 200,
+  ip: '127.0.0.1',
+  userAgent: 'jest',
+  ...overrides
+});
+
+// Run the export over `logs` and resolve with everything written to the response
+const exportRows = (logs, query = {}) => {
+  const chain = {
+    sort: () => chain,
+    limit: () => chain,
+    lean: () => chain,
+    cursor: () => logs
+  };
+  jest.spyOn(AuditLog, 'find').mockReturnValue(chain);
+
+  return new Promise((resolve, reject) => {
+    let body = '';
+    const res = {
+      attachment: jest.fn(),
+      type: jest.fn(),
+      write: (chunk) => { body += chunk; },
+      end: () => resolve(body)
+    };
+    exportAuditLogs({ query }, res, (error) => reject(error || new Error('next() called')));
+  });
+};
+
+// Cells of one CSV line (quoted cells may hold commas and doubled quotes)
+const parseLine = (line) => {
+  const cells = [];
+  const pattern = /("(?:[^"]|"")*"|[^,]*)(,|$)/g;
+  let match;
+  while ((match = pattern.exec(line)) && match[0] !== '') {
+    const cell = match[1];
+    cells.push(cell.startsWith('"') ? cell.slice(1, -1).replace(/""/g, '"') : cell);
+    if (match[2] === '') break;
+  }
+  return cells;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('exportAuditLogs CSV', () => {
+  it('writes a header and one line per entry', async () => {
+    const body = await exportRows([logEntry()]);
+    const [header, row, trailing] = body.split('\n');
+
+    expect(header).toBe('createdAt,actorId,actorEmail,actorRole,action,entityType,entityId,changes,method,path,statusCode,ip,userAgent');
+    expect(parseLine(row)).toEqual([
+      '2024-01-15T10:30:00.000Z',
+      actorId.toString(),
+      'admin@example.com',
+      'super_admin',
+      'product.approve',
+      'product',
+      '',
+      '[]',
+      'PATCH',
+      '/api/v1/admin/products/1/approve',
+      '200',
+      '127.0.0.1',
+      'jest'
+    ]);
+    expect(trailing).toBe('');
+  });
+
+  it('quotes cells with commas and quotes, doubling the quotes', async () => {
+    const body = await exportRows([logEntry({ userAgent: 'Mozilla/5.0 (X11, "Linux")' })]);
+    const row = body.split('\n')[1];
+
+    expect(row.endsWith(',"Mozilla/5.0 (X11, ""Linux"")"')).toBe(true);
+    expect(parseLine(row)[12]).toBe('Mozilla/5.0 (X11, "Linux")');
+  });
+
+  it('keeps line breaks inside a quoted cell', async () => {
+    const body = await exportRows([logEntry({ userAgent: 'line one\nline two' })]);
+
+    expect(body).toContain(',"line one\nline two"\n');
+  });
+
+  it('serializes changes as JSON', async () => {
+    const changes = [{ field: 'status', before: 'pending', after: 'approved' }];
+    const row = (await exportRows([logEntry({ changes })])).split('\n')[1];
+
+    expect(JSON.parse(parseLine(row)[7])).toEqual(changes);
+  });
+
+  it.each(['=HYPERLINK("http://evil")', '+1+1', '-2+3', '@SUM(A1)'])(
+    'defuses the formula %s so spreadsheets show it as text',
+    async (payload) => {
+      const row = (await exportRows([logEntry({ userAgent: payload })])).split('\n')[1];
+
+      expect(parseLine(row)[12]).toBe(`'${payload}`);
+    }
+  );
+
+  it('rejects an unknown format', async () => {
+    await expect(exportRows([], { format: 'xml' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('exportAuditLogs JSON lines', () => {
+  it('writes one JSON document per line', async () => {
+    const body = await exportRows([logEntry(), logEntry({ action: 'shop.delete' })], { format: 'json' });
+    const lines = body.trim().split('\n').map((line) => JSON.parse(line));
+
+    expect(lines.map((line) => line.action)).toEqual(['product.approve', 'shop.delete']);
+  });
+});
@@ -0,0 +1,96 @@
+const User = require('../../models/auth');
+
+const newUser = () => {
+  const user = new User({ phone: '+967771234567', name: 'Test', password: 'hashed' });
+  user.updateOne = jest.fn().mockResolvedValue({});
+  return user;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('User OTP verification', () => {
+  it('accepts the generated code for its purpose only', () => {
+    const user = newUser();
+    const code = user.generateOTP(10, 'password_reset');
+
+    expect(user.otp).not.toBe(code);
+    expect(user.verifyOTP(code, 'password_reset')).toBe(true);
+    expect(user.verifyOTP(code, 'verification')).toBe(false);
+  });
+
+  it('rejects a wrong or expired code', () => {
+    const user = newUser();
+    const code = user.generateOTP();
+
+    expect(user.verifyOTP(code === '000000' ? '111111' : '000000')).toBe(false);
+
+    user.otpExpires = new Date(Date.now() - 1000);
+    expect(user.verifyOTP(code)).toBe(false);
+  });
+});
+
+describe('User.incOTPAttempts', () => {
+  it('takes the attempt count from the database', async () => {
+    const user = newUser();
+    user.generateOTP();
+    jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue({ otpAttempts: 3, otpLockUntil: null });
+
+    await user.incOTPAttempts();
+
+    expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: user._id },
+      { $inc: { otpAttempts: 1 } },
+      expect.objectContaining({ new: true })
+    );
+    expect(user.otpAttempts).toBe(3);
+    expect(user.otpAttemptsRemaining()).toBe(2);
+    expect(user.isOtpLocked).toBe(false);
+    expect(user.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('locks and burns the code once the stored count reaches the limit', async () => {
+    const user = newUser();
+    user.generateOTP();
+    // In-memory count is stale: concurrent requests already counted four failures
+    user.otpAttempts = 0;
+    jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue({ otpAttempts: 5, otpLockUntil: null });
+
+    await user.incOTPAttempts();
+
+    expect(user.isOtpLocked).toBe(true);
+    expect(user.otp).toBeNull();
+    expect(user.updateOne).toHaveBeenCalledWith({
+      $set: expect.objectContaining({ otp: null, otpLockUntil: user.otpLockUntil })
+    });
+  });
+
+  it('does not extend a lock that is already in place', async () => {
+    const user = newUser();
+    jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue({
+      otpAttempts: 6,
+      otpLockUntil: new Date(Date.now() + 60 * 1000)
+    });
+
+    await user.incOTPAttempts();
+
+    expect(user.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('starts counting again after an expired lock', async () => {
+    const user = newUser();
+    user.otpAttempts = 5;
+    user.otpLockUntil = new Date(Date.now() - 1000);
+    jest.spyOn(User, 'findOneAndUpdate');
+
+    await user.incOTPAttempts();
+
+    expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(user.otpAttempts).toBe(1);
+    expect(user.updateOne).toHaveBeenCalledWith({
+      $set: { otpAttempts: 1 },
+      $unset: { otpLockUntil: 1 }
+    });
+  });
+});
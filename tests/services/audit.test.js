@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const { diffSnapshots, SENSITIVE_FIELDS } = require('../../services/audit');
+
+const changeOf = (changes, field) => changes.find((change) => change.field === field);
+
+describe('diffSnapshots', () => {
+  it('lists changed fields only', () => {
+    const changes = diffSnapshots(
+      { name: 'Old', city: 'Aden', price: 10 },
+      { name: 'New', city: 'Aden', price: 10 }
+    );
+
+    expect(changes).toEqual([{ field: 'name', before: 'Old', after: 'New' }]);
+  });
+
+  it('diffs a create and a delete against nothing', () => {
+    expect(diffSnapshots(null, { name: 'Shop' })).toEqual([{ field: 'name', before: null, after: 'Shop' }]);
+    expect(diffSnapshots({ name: 'Shop' }, null)).toEqual([{ field: 'name', before: 'Shop', after: null }]);
+  });
+
+  it('flattens nested objects into dotted fields', () => {
+    const changes = diffSnapshots(
+      { permissions: { shops: { read: true, delete: false } } },
+      { permissions: { shops: { read: true, delete: true } } }
+    );
+
+    expect(changes).toEqual([{ field: 'permissions.shops.delete', before: false, after: true }]);
+  });
+
+  it('ignores bookkeeping fields', () => {
+    const changes = diffSnapshots(
+      { name: 'Same', __v: 0, createdAt: new Date(0), updatedAt: new Date(0) },
+      { name: 'Same', __v: 1, createdAt: new Date(0), updatedAt: new Date() }
+    );
+
+    expect(changes).toEqual([]);
+  });
+
+  it('stores ObjectIds and dates as strings', () => {
+    const id = new mongoose.Types.ObjectId();
+    const date = new Date('2024-01-15T10:30:00.000Z');
+    const changes = diffSnapshots({}, { approvedBy: id, approvedAt: date });
+
+    expect(changeOf(changes, 'approvedBy').after).toBe(id.toString());
+    expect(changeOf(changes, 'approvedAt').after).toBe('2024-01-15T10:30:00.000Z');
+  });
+});
+
+describe('redaction', () => {
+  it.each([
+    'password',
+    'passwordResetToken',
+    'otp',
+    'refreshTokenHash',
+    'tokenHash',
+    'keyHash',
+    'twoFactorSecret',
+    'twoFactorPendingSecret',
+    'twoFactorBackupCodes',
+    'twoFactorLastUsedStep'
+  ])('never copies %s into the log', (field) => {
+    expect(SENSITIVE_FIELDS.has(field)).toBe(true);
+
+    const changes = diffSnapshots(null, { [field]: 'secret-value' });
+    expect(changes).toEqual([{ field, before: null, after: '[REDACTED]' }]);
+    expect(JSON.stringify(changes)).not.toContain('secret-value');
+  });
+
+  it('records a rewritten secret as a redacted change', () => {
+    const changes = diffSnapshots({ password: 'old-hash' }, { password: 'new-hash' });
+
+    expect(changes).toEqual([{ field: 'password', before: '[REDACTED]', after: '[REDACTED]' }]);
+  });
+
+  it('skips an unchanged secret', () => {
+    expect(diffSnapshots({ password: 'same-hash' }, { password: 'same-hash' })).toEqual([]);
+  });
+
+  it('shows a cleared secret as null', () => {
+    expect(diffSnapshots({ twoFactorSecret: 'abc' }, { twoFactorSecret: null })).toEqual([
+      { field: 'twoFactorSecret', before: '[REDACTED]', after: null }
+    ]);
+  });
+
+  it('redacts sensitive keys inside nested objects', () => {
+    const changes = diffSnapshots(null, { invite: { tokenHash: 'abc', email: 'a@example.com' } });
+
+    expect(changeOf(changes, 'invite.tokenHash').after).toBe('[REDACTED]');
+    expect(changeOf(changes, 'invite.email').after).toBe('a@example.com');
+  });
+
+  it('reads mongoose documents through toObject', () => {
+    const doc = { toObject: () => ({ keyHash: 'hash', name: 'Partner key' }) };
+    const changes = diffSnapshots(null, doc);
+
+    expect(changeOf(changes, 'keyHash').after).toBe('[REDACTED]');
+    expect(changeOf(changes, 'name').after).toBe('Partner key');
+  });
+});
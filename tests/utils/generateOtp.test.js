@@ -0,0 +1,40 @@
+const { generateOTP, hashOTP, OTP_LENGTH } = require('../../utils/generateOtp');
+
+describe('generateOTP', () => {
+  it('returns a zero-padded numeric code of the default length', () => {
+    for (let i = 0; i < 50; i++) {
+      expect(generateOTP()).toMatch(new RegExp(`^\\d{${OTP_LENGTH}}$`));
+    }
+  });
+
+  it('honours a custom length', () => {
+    expect(generateOTP(4)).toMatch(/^\d{4}$/);
+  });
+});
+
+describe('hashOTP', () => {
+  const originalSecret = process.env.OTP_HASH_SECRET;
+
+  afterEach(() => {
+    if (originalSecret === undefined) delete process.env.OTP_HASH_SECRET;
+    else process.env.OTP_HASH_SECRET = originalSecret;
+  });
+
+  it('is deterministic for a given secret and never returns the code itself', () => {
+    process.env.OTP_HASH_SECRET = 'test-secret';
+    expect(hashOTP('123456')).toBe(hashOTP('123456'));
+    expect(hashOTP('123456')).toMatch(/^[0-9a-f]{64}$/);
+    expect(hashOTP('123456')).not.toBe(hashOTP('123457'));
+  });
+
+  it('is keyed by the server secret', () => {
+    process.env.OTP_HASH_SECRET = 'secret-a';
+    const first = hashOTP('123456');
+    process.env.OTP_HASH_SECRET = 'secret-b';
+    expect(hashOTP('123456')).not.toBe(first);
+  });
+
+  it('treats numbers and strings alike', () => {
+    expect(hashOTP(42)).toBe(hashOTP('42'));
+  });
+});
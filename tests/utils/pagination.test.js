@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+const {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  pageSize,
+  cursorPagination,
+  usesCursor,
+  cursorParams,
+  offsetParams,
+  cursorPage,
+  encodeCursor,
+  decodeCursor
+} = require('../../utils/pagination');
+
+// Stand-in for a Mongoose find over `docs` that understands the keyset condition
+// cursorPage adds, so pages can be walked end to end without a database
+const fakeQuery = (docs) => {
+  const conditions = [];
+  let sortSpec;
+
+  const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+  const matches = (doc, condition) => Object.entries(condition).every(([field, expected]) => {
+    const actual = field === '_id' ? doc._id.toString() : doc[field];
+    if (expected && typeof expected === 'object' && !(expected instanceof Date)) {
+      const [[op, value]] = Object.entries(expected);
+      const bound = value instanceof mongoose.Types.ObjectId ? value.toString() : value;
+      const order = compare(actual, bound);
+      return op === '$lt' ? order < 0 : order > 0;
+    }
+    return compare(actual, expected) === 0;
+  });
+
+  const query = {
+    and: jest.fn((clauses) => { conditions.push(...clauses); return query; }),
+    sort: jest.fn((spec) => { sortSpec = spec; return query; }),
+    limit: jest.fn(async (n) => {
+      const [[field, direction]] = Object.entries(sortSpec);
+      return docs
+        .filter((doc) => conditions.every(({ $or }) => $or.some((c) => matches(doc, c))))
+        .sort((a, b) => direction * (compare(a[field], b[field]) || compare(a._id.toString(), b._id.toString())))
+        .slice(0, n);
+    })
+  };
+  return query;
+};
+
+describe('pageSize', () => {
+  it.each([
+    [undefined, DEFAULT_PAGE_SIZE],
+    ['abc', DEFAULT_PAGE_SIZE],
+    ['5', 5],
+    ['0', DEFAULT_PAGE_SIZE],
+    ['-3', 1],
+    ['1000', MAX_PAGE_SIZE]
+  ])('turns %p into %i', (limit, expected) => {
+    expect(pageSize(limit)).toBe(expected);
+  });
+
+  it('uses the given default', () => {
+    expect(pageSize(undefined, 10)).toBe(10);
+  });
+});
+
+describe('cursors', () => {
+  const _id = new mongoose.Types.ObjectId();
+
+  it('round-trips a date sort value', () => {
+    const createdAt = new Date('2024-01-15T10:30:00.000Z');
+    const { value, id } = decodeCursor(encodeCursor({ _id, createdAt }, 'createdAt'));
+
+    expect(value).toEqual(createdAt);
+    expect(id.equals(_id)).toBe(true);
+  });
+
+  it('round-trips a numeric sort value', () => {
+    expect(decodeCursor(encodeCursor({ _id, price: 1200 }, 'price')).value).toBe(1200);
+  });
+
+  it('is URL-safe', () => {
+    expect(encodeCursor({ _id, name: '???>>>' }, 'name')).toMatch(/^[A-Za-z0-9_-]+$/);
+  });
+
+  it.each([
+    ['garbage', 'not-a-cursor'],
+    ['a bad id', Buffer.from(JSON.stringify({ v: 1, id: 'nope' })).toString('base64url')],
+    ['a missing value', Buffer.from(JSON.stringify({ id: String(_id) })).toString('base64url')]
+  ])('rejects %s with a 400', (label, cursor) => {
+    expect(() => decodeCursor(cursor)).toThrow(expect.objectContaining({ statusCode: 400, message: 'Invalid cursor' }));
+  });
+});
+
+describe('request helpers', () => {
+  it('marks the request as a cursor feed', () => {
+    const req = {};
+    const next = jest.fn();
+    cursorPagination(req, {}, next);
+
+    expect(req.cursorPagination).toBe(true);
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('pages by cursor only on marked routes without ?page=', () => {
+    expect(usesCursor({ cursorPagination: true, query: {} })).toBe(true);
+    expect(usesCursor({ cursorPagination: true, query: { page: '2' } })).toBe(false);
+    expect(usesCursor({ query: {} })).toBe(false);
+  });
+
+  it('reads only the cursor and limit', () => {
+    expect(cursorParams({ query: { cursor: 'abc', limit: '5', sort: 'price' } })).toEqual({ cursor: 'abc', limit: '5' });
+  });
+
+  it('caps offset pages on feeds', () => {
+    expect(offsetParams({ cursorPagination: true, query: { page: '3', limit: '500' } })).toEqual({
+      page: 3,
+      limit: MAX_PAGE_SIZE,
+      skip: 2 * MAX_PAGE_SIZE
+    });
+  });
+
+  it('leaves admin offset pages uncapped', () => {
+    expect(offsetParams({ query: { page: '0', limit: '500' } })).toEqual({ page: 1, limit: 500, skip: 0 });
+    expect(offsetParams({ query: {} }, 25)).toEqual({ page: 1, limit: 25, skip: 0 });
+  });
+});
+
+describe('cursorPage', () => {
+  const start = Date.UTC(2024, 0, 1);
+  // Seven documents, two of them sharing a timestamp so the _id tie-break matters
+  const docs = [0, 1, 2, 3, 3, 4, 5].map((minute) => ({
+    _id: new mongoose.Types.ObjectId(),
+    createdAt: new Date(start + minute * 60000)
+  }));
+
+  const walk = async (options) => {
+    const seen = [];
+    let cursor;
+    do {
+      const page = await cursorPage(fakeQuery(docs), { ...options, cursor });
+      seen.push(page.items.map((doc) => doc._id.toString()));
+      cursor = page.nextCursor;
+    } while (cursor);
+    return seen;
+  };
+
+  it('returns a page with a cursor to the next one', async () => {
+    const query = fakeQuery(docs);
+    const page = await cursorPage(query, { limit: 3 });
+
+    expect(query.sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
+    expect(query.limit).toHaveBeenCalledWith(4);
+    expect(page.items).toHaveLength(3);
+    expect(page.hasMore).toBe(true);
+    expect(page.limit).toBe(3);
+    expect(page.nextCursor).toBe(encodeCursor(page.items[2], 'createdAt'));
+  });
+
+  it('visits every document once, newest first', async () => {
+    const pages = await walk({ limit: 2 });
+    const expected = [...docs]
+      .sort((a, b) => b.createdAt - a.createdAt || (b._id.toString() > a._id.toString() ? 1 : -1))
+      .map((doc) => doc._id.toString());
+
+    expect(pages.map((page) => page.length)).toEqual([2, 2, 2, 1]);
+    expect(pages.flat()).toEqual(expected);
+  });
+
+  it('walks ascending sorts too', async () => {
+    const pages = await walk({ limit: 3, direction: 1 });
+
+    expect(pages.flat()).toHaveLength(docs.length);
+    expect(new Set(pages.flat()).size).toBe(docs.length);
+  });
+
+  it('ends without a cursor on the last page', async () => {
+    const page = await cursorPage(fakeQuery(docs), { limit: 10 });
+
+    expect(page.items).toHaveLength(docs.length);
+    expect(page.hasMore).toBe(false);
+    expect(page.nextCursor).toBeNull();
+  });
+
+  it('rejects a tampered cursor before querying', async () => {
+    const query = fakeQuery(docs);
+
+    await expect(cursorPage(query, { cursor: 'bad' })).rejects.toMatchObject({ statusCode: 400 });
+    expect(query.limit).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,87 @@
+const {
+  normalizePhone,
+  isValidYemeniMobile,
+  phoneSetter,
+  formatPhone,
+  whatsappLink
+} = require('../../utils/phone');
+
+describe('normalizePhone', () => {
+  it.each([
+    '+967777123456',
+    '+967 777 123 456',
+    '00967777123456',
+    '967777123456',
+    '0777123456',
+    '777123456',
+    '777-123-456',
+    '٧٧٧١٢٣٤٥٦',
+    '۷۷۷۱۲۳۴۵۶'
+  ])('normalizes %s to E.164', (input) => {
+    expect(normalizePhone(input)).toBe('+967777123456');
+  });
+
+  it.each(['70', '71', '73', '77', '78'])('accepts the %s operator prefix', (prefix) => {
+    expect(normalizePhone(`${prefix}1234567`)).toBe(`+967${prefix}1234567`);
+  });
+
+  it.each([
+    ['a landline prefix', '011234567'],
+    ['an unknown mobile prefix', '791234567'],
+    ['too few digits', '77712345'],
+    ['too many digits', '7771234567'],
+    ['another country code', '+966512345678'],
+    ['no digits', 'abc'],
+    ['empty input', ''],
+    ['null', null],
+    ['undefined', undefined]
+  ])('rejects %s', (label, input) => {
+    expect(normalizePhone(input)).toBeNull();
+    expect(isValidYemeniMobile(input)).toBe(false);
+  });
+});
+
+describe('phoneSetter', () => {
+  it('stores the canonical form', () => {
+    expect(phoneSetter('0777123456')).toBe('+967777123456');
+  });
+
+  it('leaves unparseable strings for the validator, trimmed', () => {
+    expect(phoneSetter(' 12345 ')).toBe('12345');
+  });
+
+  it('passes non-strings through', () => {
+    expect(phoneSetter(undefined)).toBeUndefined();
+  });
+});
+
+describe('formatPhone', () => {
+  it('groups the number internationally by default', () => {
+    expect(formatPhone('0777123456')).toBe('+967 777 123 456');
+  });
+
+  it('can format the national number only', () => {
+    expect(formatPhone('+967777123456', { international: false })).toBe('777 123 456');
+  });
+
+  it('returns invalid input unchanged', () => {
+    expect(formatPhone('12345')).toBe('12345');
+    expect(formatPhone(null)).toBe('');
+  });
+});
+
+describe('whatsappLink', () => {
+  it('links to the number without the plus sign', () => {
+    expect(whatsappLink('0777123456')).toBe('https://wa.me/967777123456');
+  });
+
+  it('prefills an encoded message', () => {
+    expect(whatsappLink('777123456', 'مرحبا & hi')).toBe(
+      `https://wa.me/967777123456?text=${encodeURIComponent('مرحبا & hi')}`
+    );
+  });
+
+  it('returns null for an invalid number', () => {
+    expect(whatsappLink('12345')).toBeNull();
+  });
+});
@@ -0,0 +1,87 @@
+const {
+  normalizeSearchText,
+  buildSearchText,
+  buildTextSearch,
+  brandSpellings
+} = require('../../utils/search');
+
+describe('normalizeSearchText', () => {
+  it.each([
+    ['tashkeel', 'بَطَّارِيَّة', 'بطاريه'],
+    ['tatweel', 'بطـــارية', 'بطاريه'],
+    ['alef variants', 'أإآٱ', 'اااا'],
+    ['alef maqsura', 'هواوى', 'هواوي'],
+    ['ta marbuta', 'طاقة شمسية', 'طاقه شمسيه'],
+    ['Arabic-Indic digits', '٥٥٠ واط', '550 واط'],
+    ['Persian digits', '۵۵۰', '550'],
+    ['Latin case', 'JinKO Solar', 'jinko solar'],
+    ['Latin accents', 'Énergie', 'energie'],
+    ['punctuation', '  inverter, 5kW / hybrid!! ', 'inverter 5kw hybrid']
+  ])('folds %s', (label, input, expected) => {
+    expect(normalizeSearchText(input)).toBe(expected);
+  });
+
+  it('returns an empty string for missing input', () => {
+    expect(normalizeSearchText(null)).toBe('');
+    expect(normalizeSearchText(undefined)).toBe('');
+  });
+});
+
+describe('buildSearchText', () => {
+  it('joins the given fields and skips empty ones', () => {
+    expect(buildSearchText('Panel', null, '', ['550W', undefined])).toContain('panel 550w');
+  });
+
+  it('adds the other spellings of a brand', () => {
+    const text = buildSearchText('جينكو 550');
+    expect(text.split(' ')).toEqual(expect.arrayContaining(['jinko', 'jinkosolar', 'جنكو']));
+  });
+
+  it('matches multi-word aliases only as whole words', () => {
+    expect(buildSearchText('Canadian Solar')).toContain('كنديان سولار');
+    expect(buildSearchText('jinkosolarx')).toBe('jinkosolarx');
+  });
+});
+
+describe('buildTextSearch', () => {
+  it('returns null when nothing searchable remains', () => {
+    expect(buildTextSearch('')).toBeNull();
+    expect(buildTextSearch(' ?! ')).toBeNull();
+  });
+
+  it('strips $text operators from user input', () => {
+    expect(buildTextSearch('"growatt" -longi')).not.toMatch(/["-]/);
+  });
+
+  it('keeps at most ten tokens', () => {
+    const words = Array.from({ length: 15 }, (_, i) => `w${i}`).join(' ');
+    expect(buildTextSearch(words)).toBe('w0 w1 w2 w3 w4 w5 w6 w7 w8 w9');
+  });
+
+  it('expands Latin brand names to Arabic spellings', () => {
+    expect(buildTextSearch('deye')).toBe('deye ديي دييه');
+  });
+
+  it('expands terms across languages', () => {
+    expect(buildTextSearch('بطارية').split(' ')).toEqual(expect.arrayContaining(['battery', 'batteries']));
+  });
+
+  it('leaves ordinary words that are brand-filter aliases alone', () => {
+    expect(buildTextSearch('must have tea داي')).toBe('must have tea داي');
+  });
+});
+
+describe('brandSpellings', () => {
+  it('keeps the brand as given and adds its aliases', () => {
+    expect(brandSpellings('Jinko')).toEqual(['Jinko', 'jinko', 'jinkosolar', 'جينكو', 'جنكو']);
+  });
+
+  it('uses the brand-filter-only aliases', () => {
+    expect(brandSpellings('Deye')).toEqual(expect.arrayContaining(['deye', 'داي']));
+    expect(brandSpellings('ماست')).toEqual(expect.arrayContaining(['must', 'مست']));
+  });
+
+  it('returns an unknown brand unchanged', () => {
+    expect(brandSpellings(' Acme ')).toEqual(['Acme']);
+  });
+});
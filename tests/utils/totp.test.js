@@ -0,0 +1,132 @@
+const totp = require('../../utils/totp');
+
+// RFC 6238 appendix B: the ASCII secret "12345678901234567890" (SHA-1),
+// last six digits of the eight-digit reference codes
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1234567890, '005924'],
+  [2000000000, '279037']
+];
+
+describe('base32', () => {
+  it('encodes the RFC secret', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  });
+
+  it('round-trips arbitrary bytes', () => {
+    const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255, 17]);
+    expect(totp.base32Decode(totp.base32Encode(bytes))).toEqual(bytes);
+  });
+
+  it('decodes lowercase, spaced and padded input', () => {
+    expect(totp.base32Decode('gezd gnbv-gy3t qojq====')).toEqual(Buffer.from('1234567890'));
+  });
+
+  it('rejects characters outside the alphabet', () => {
+    expect(() => totp.base32Decode('ABC1')).toThrow('Invalid base32 secret');
+  });
+});
+
+describe('generateSecret', () => {
+  it('returns a 160-bit base32 secret', () => {
+    const secret = totp.generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(totp.base32Decode(secret)).toHaveLength(20);
+  });
+});
+
+describe('generateTOTP', () => {
+  it.each(RFC_VECTORS)('matches the RFC 6238 code at %i s', (seconds, code) => {
+    expect(totp.generateTOTP(RFC_SECRET, seconds * 1000)).toBe(code);
+  });
+});
+
+describe('verifyTOTP', () => {
+  const time = 1111111109 * 1000;
+  const step = Math.floor(1111111109 / totp.TOTP_PERIOD_SECONDS);
+
+  it('returns the matching step for the current code', () => {
+    expect(totp.verifyTOTP(RFC_SECRET, '081804', { time })).toBe(step);
+  });
+
+  it('tolerates one step of clock drift by default', () => {
+    const previous = totp.generateTOTP(RFC_SECRET, time - 30 * 1000);
+    const next = totp.generateTOTP(RFC_SECRET, time + 30 * 1000);
+    expect(totp.verifyTOTP(RFC_SECRET, previous, { time })).toBe(step - 1);
+    expect(totp.verifyTOTP(RFC_SECRET, next, { time })).toBe(step + 1);
+  });
+
+  it('rejects codes outside the window', () => {
+    const old = totp.generateTOTP(RFC_SECRET, time - 90 * 1000);
+    expect(totp.verifyTOTP(RFC_SECRET, old, { time })).toBeNull();
+  });
+
+  it('ignores spaces in the code', () => {
+    expect(totp.verifyTOTP(RFC_SECRET, '081 804', { time })).toBe(step);
+  });
+
+  it.each(['', '12345', '1234567', 'abcdef', null])('rejects malformed code %p', (code) => {
+    expect(totp.verifyTOTP(RFC_SECRET, code, { time })).toBeNull();
+  });
+});
+
+describe('buildOtpauthURI', () => {
+  it('describes the secret for authenticator apps', () => {
+    const uri = new URL(totp.buildOtpauthURI('JBSWY3DPEHPK3PXP', 'admin@example.com', 'Qafzh Solar'));
+
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/Qafzh Solar:admin@example.com');
+    expect(uri.searchParams.get('secret')).toBe('JBSWY3DPEHPK3PXP');
+    expect(uri.searchParams.get('issuer')).toBe('Qafzh Solar');
+    expect(uri.searchParams.get('digits')).toBe('6');
+    expect(uri.searchParams.get('period')).toBe('30');
+  });
+});
+
+describe('secret encryption', () => {
+  const originalKey = process.env.TWO_FACTOR_ENCRYPTION_KEY;
+
+  afterEach(() => {
+    if (originalKey === undefined) delete process.env.TWO_FACTOR_ENCRYPTION_KEY;
+    else process.env.TWO_FACTOR_ENCRYPTION_KEY = originalKey;
+  });
+
+  it('round-trips a secret without storing it in clear', () => {
+    process.env.TWO_FACTOR_ENCRYPTION_KEY = 'test-key';
+    const encrypted = totp.encryptSecret(RFC_SECRET);
+
+    expect(encrypted).not.toContain(RFC_SECRET);
+    expect(totp.decryptSecret(encrypted)).toBe(RFC_SECRET);
+  });
+
+  it('uses a fresh IV every time', () => {
+    process.env.TWO_FACTOR_ENCRYPTION_KEY = 'test-key';
+    expect(totp.encryptSecret(RFC_SECRET)).not.toBe(totp.encryptSecret(RFC_SECRET));
+  });
+
+  it('fails to decrypt under another key', () => {
+    process.env.TWO_FACTOR_ENCRYPTION_KEY = 'key-a';
+    const encrypted = totp.encryptSecret(RFC_SECRET);
+    process.env.TWO_FACTOR_ENCRYPTION_KEY = 'key-b';
+    expect(() => totp.decryptSecret(encrypted)).toThrow();
+  });
+});
+
+describe('backup codes', () => {
+  it('generates distinct xxxxx-xxxxx codes', () => {
+    const codes = totp.generateBackupCodes();
+    expect(codes).toHaveLength(10);
+    codes.forEach((code) => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    expect(new Set(codes).size).toBe(10);
+  });
+
+  it('hashes codes the same however they are typed', () => {
+    const hash = totp.hashBackupCode('ab12c-3de45');
+    expect(totp.hashBackupCode('AB12C3DE45')).toBe(hash);
+    expect(totp.hashBackupCode(' ab12c 3de45 ')).toBe(hash);
+    expect(totp.hashBackupCode('ab12c-3de46')).not.toBe(hash);
+  });
+});
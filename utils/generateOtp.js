@@ -1,6 +1,23 @@
-const generateOTP = () => {
-  return 112233
-  // return Math.floor(100000 + Math.random() * 900000).toString(); // 6 digit OTP
+const crypto = require('crypto');
+
+const OTP_LENGTH = 6;
+
+// Generate a cryptographically random numeric OTP (6 digits by default)
+const generateOTP = (length = OTP_LENGTH) => {
+  const max = 10 ** length;
+  return crypto.randomInt(0, max).toString().padStart(length, '0');
+};
+
+// OTPs are only ever stored hashed. A 6-digit code has only a million values,
+// so the hash is keyed with a server secret; a database dump alone can't reverse it.
+const hashOTP = (otp) => {
+  return crypto
+    .createHmac('sha256', process.env.OTP_HASH_SECRET || process.env.SECRET_KEY || '')
+    .update(String(otp))
+    .digest('hex');
 };
 
-module.exports = generateOTP;
\ No newline at end of file
+module.exports = generateOTP;
+module.exports.generateOTP = generateOTP;
+module.exports.hashOTP = hashOTP;
+module.exports.OTP_LENGTH = OTP_LENGTH;
@@ -1,16 +1,19 @@
 // utils/generateToken.js
 const jwt = require('jsonwebtoken');
 
-const generateToken = (user) => {
+// Short-lived user access token, bound to a session so it can be revoked server-side
+const generateToken = (user, sessionId) => {
   return jwt.sign(
     {
       id: user._id, // Changed from _id to id to match auth middleware
       phone: user.phone,
-      role: user.role
+      role: user.role,
+      tv: user.tokenVersion || 0,
+      ...(sessionId && { sid: sessionId.toString() })
     },
     process.env.SECRET_KEY,
     {
-      expiresIn: '7d' // Valid for 7 days
+      expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m'
     }
   );
 };
@@ -0,0 +1,92 @@
+// utils/pagination.js
+// Cursor pagination for public feeds: stable under inserts and cheap on deep pages.
+// The cursor is an opaque token holding the sort value and _id of the last item.
+const mongoose = require('mongoose');
+const { AppError } = require('../middlewares/errorHandler');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// A requested page size, between 1 and MAX_PAGE_SIZE
+const pageSize = (limit, defaultSize = DEFAULT_PAGE_SIZE) =>
+  Math.min(Math.max(parseInt(limit, 10) || defaultSize, 1), MAX_PAGE_SIZE);
+
+const encodeCursor = (doc, field) => {
+  const value = doc[field];
+  const payload = value instanceof Date
+    ? { v: value.toISOString(), d: 1, id: String(doc._id) }
+    : { v: value, id: String(doc._id) };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const { v, d, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!mongoose.isValidObjectId(id) || v === undefined) throw new Error('malformed');
+    return { value: d ? new Date(v) : v, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    throw new AppError('Invalid cursor', 400);
+  }
+};
+
+// Marks a route as a public feed: cursor pagination and a capped page size
+const cursorPagination = (req, res, next) => {
+  req.cursorPagination = true;
+  next();
+};
+
+// Public feeds page by cursor; clients still sending ?page= keep offset paging
+const usesCursor = (req) => Boolean(req.cursorPagination) && req.query.page === undefined;
+
+// Cursor options a client may set; the sort stays fixed on the server
+const cursorParams = (req) => ({ cursor: req.query.cursor, limit: req.query.limit });
+
+// Offset paging for admin tables (uncapped, as before) and legacy ?page= feed clients (capped)
+const offsetParams = (req, defaultLimit = 10) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = req.cursorPagination
+    ? pageSize(req.query.limit, defaultLimit)
+    : parseInt(req.query.limit, 10) || defaultLimit;
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Run `query` (a Mongoose find) one page after `cursor`, sorted by `sortField` then _id.
+// Fetches one extra document to know whether another page exists.
+const cursorPage = async (query, { cursor, limit, sortField = 'createdAt', direction = -1 } = {}) => {
+  const size = pageSize(limit);
+
+  if (cursor) {
+    const { value, id } = decodeCursor(cursor);
+    const op = direction < 0 ? '$lt' : '$gt';
+    query.and([{
+      $or: [
+        { [sortField]: { [op]: value } },
+        { [sortField]: value, _id: { [op]: id } }
+      ]
+    }]);
+  }
+
+  const docs = await query.sort({ [sortField]: direction, _id: direction }).limit(size + 1);
+  const hasMore = docs.length > size;
+  const items = hasMore ? docs.slice(0, size) : docs;
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], sortField) : null,
+    hasMore,
+    limit: size
+  };
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  pageSize,
+  cursorPagination,
+  usesCursor,
+  cursorParams,
+  offsetParams,
+  cursorPage,
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,89 @@
+// Yemeni mobile phone numbers
+// Stored canonically in E.164 (+9677XXXXXXXX) so that "+967 77...", "00967...",
+// "0777..." and "777..." all resolve to the same person.
+
+const COUNTRY_CODE = '967';
+
+// Mobile operator prefixes: 70 (Y), 71 (SabaFon), 73 (YOU/MTN), 77 (Yemen Mobile), 78 (Yemen Mobile)
+const MOBILE_PREFIXES = ['70', '71', '73', '77', '78'];
+
+const NATIONAL_LENGTH = 9;
+
+// Convert Arabic-Indic (٠-٩) and Persian (۰-۹) digits to ASCII
+const toAsciiDigits = (value) => {
+  return value
+    .replace(/[٠-٩]/g, d => String(d.charCodeAt(0) - 0x0660))
+    .replace(/[۰-۹]/g, d => String(d.charCodeAt(0) - 0x06F0));
+};
+
+// Reduce any accepted input to the 9-digit national number, or null
+const toNationalNumber = (input) => {
+  if (input === undefined || input === null) return null;
+
+  let digits = toAsciiDigits(String(input)).trim();
+  const hasPlus = digits.startsWith('+');
+  digits = digits.replace(/[^0-9]/g, '');
+
+  if (hasPlus || digits.startsWith('00')) {
+    digits = digits.replace(/^00/, '');
+    if (!digits.startsWith(COUNTRY_CODE)) return null;
+    digits = digits.slice(COUNTRY_CODE.length);
+  } else if (digits.length === COUNTRY_CODE.length + NATIONAL_LENGTH && digits.startsWith(COUNTRY_CODE)) {
+    digits = digits.slice(COUNTRY_CODE.length);
+  }
+
+  // Trunk prefix: 0777123456
+  if (digits.length === NATIONAL_LENGTH + 1 && digits.startsWith('0')) {
+    digits = digits.slice(1);
+  }
+
+  if (digits.length !== NATIONAL_LENGTH) return null;
+  if (!MOBILE_PREFIXES.includes(digits.slice(0, 2))) return null;
+
+  return digits;
+};
+
+// Normalize to E.164 (+967XXXXXXXXX); returns null if not a valid Yemeni mobile
+const normalizePhone = (input) => {
+  const national = toNationalNumber(input);
+  return national ? `+${COUNTRY_CODE}${national}` : null;
+};
+
+const isValidYemeniMobile = (input) => {
+  return normalizePhone(input) !== null;
+};
+
+// Mongoose setter: store the canonical form, leave unparseable values as-is so
+// the validator can reject them (and partial values used in queries still work)
+const phoneSetter = (value) => {
+  if (typeof value !== 'string') return value;
+  return normalizePhone(value) || value.trim();
+};
+
+// "+967 777 123 456" (international) or "777 123 456" (national)
+const formatPhone = (input, { international = true } = {}) => {
+  const national = toNationalNumber(input);
+  if (!national) return input || '';
+
+  const grouped = `${national.slice(0, 3)} ${national.slice(3, 6)} ${national.slice(6)}`;
+  return international ? `+${COUNTRY_CODE} ${grouped}` : grouped;
+};
+
+// https://wa.me/967777123456 with an optional prefilled message
+const whatsappLink = (input, text) => {
+  const e164 = normalizePhone(input);
+  if (!e164) return null;
+
+  const link = `https://wa.me/${e164.slice(1)}`;
+  return text ? `${link}?text=${encodeURIComponent(text)}` : link;
+};
+
+module.exports = {
+  COUNTRY_CODE,
+  MOBILE_PREFIXES,
+  normalizePhone,
+  isValidYemeniMobile,
+  phoneSetter,
+  formatPhone,
+  whatsappLink
+};
@@ -0,0 +1,6 @@
+// Escape user input before building a RegExp from it
+const escapeRegex = (value) => {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+module.exports = { escapeRegex };
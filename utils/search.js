@@ -0,0 +1,87 @@
+// utils/search.js
+// Text normalization shared by the search index and search queries, so that
+// Arabic spelling variants and Arabic/Latin brand names meet in the same tokens.
+const { brands, brandFilterOnly, terms } = require('../data/searchAliases.json');
+
+const ARABIC_DIACRITICS = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED]/g;
+const TATWEEL = /\u0640/g;
+const MAX_QUERY_TOKENS = 10;
+
+// Fold a string to the form stored in the index:
+// - diacritics (tashkeel) and tatweel removed
+// - alef variants (أ إ آ ٱ) -> ا, alef maqsura ى -> ي, ta marbuta ة -> ه
+// - Arabic-Indic digits -> 0-9, Latin lowercased and accent-free
+// - punctuation collapsed to single spaces
+const normalizeSearchText = (text) => {
+  return String(text ?? '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(ARABIC_DIACRITICS, '')
+    .replace(TATWEEL, '')
+    .replace(/[أإآٱ]/g, 'ا')
+    .replace(/ى/g, 'ي')
+    .replace(/ة/g, 'ه')
+    .replace(/[٠-٩]/g, (d) => String(d.charCodeAt(0) - 0x0660))
+    .replace(/[۰-۹]/g, (d) => String(d.charCodeAt(0) - 0x06F0))
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .normalize('NFC')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+};
+
+// Each group lists spellings of one brand or term; any of them finds the others
+const ALIAS_GROUPS = [...brands, ...terms].map((group) => group.map(normalizeSearchText));
+
+// Spellings that are also ordinary words ("must", "داي") would add false keyword
+// matches, so they are only used by the brand filter
+const BRAND_GROUPS = [...brands, ...brandFilterOnly].map((group) => group.map(normalizeSearchText));
+
+// Every alias spelled out in `normalized` text adds the rest of its group
+const expandAliases = (normalized) => {
+  const padded = ` ${normalized} `;
+  const extra = new Set();
+
+  for (const group of ALIAS_GROUPS) {
+    if (group.some((alias) => padded.includes(` ${alias} `))) {
+      group.filter((alias) => !padded.includes(` ${alias} `)).forEach((alias) => extra.add(alias));
+    }
+  }
+
+  return extra.size > 0 ? `${normalized} ${[...extra].join(' ')}` : normalized;
+};
+
+// The brand as given plus its other known spellings, for the brand filter
+const brandSpellings = (brand) => {
+  const normalized = normalizeSearchText(brand);
+  const spellings = new Set([String(brand).trim()]);
+
+  for (const group of BRAND_GROUPS) {
+    if (group.includes(normalized)) group.forEach((spelling) => spellings.add(spelling));
+  }
+
+  return [...spellings];
+};
+
+// Normalized, alias-expanded text for the index fields
+const buildSearchText = (...values) => {
+  const text = values.flat(Infinity).filter((v) => v !== undefined && v !== null && v !== '').join(' ');
+  return expandAliases(normalizeSearchText(text));
+};
+
+// `$search` string for a $text query, or null when nothing searchable remains.
+// Normalization strips quotes and minus signs, so user input can't use $text operators.
+const buildTextSearch = (input) => {
+  const normalized = normalizeSearchText(input);
+  if (!normalized) return null;
+
+  const tokens = normalized.split(' ').slice(0, MAX_QUERY_TOKENS).join(' ');
+  return expandAliases(tokens);
+};
+
+module.exports = {
+  normalizeSearchText,
+  buildSearchText,
+  buildTextSearch,
+  brandSpellings
+};